@@ -20,7 +20,7 @@ const authenticate = async (req, res, next) => {
 
     // Get user from database
     const [users] = await pool.query(
-      'SELECT id, google_id, email, name, picture FROM users WHERE id = ?',
+      'SELECT id, google_id, email, name, picture, default_region, current_event_id FROM users WHERE id = ?',
       [decoded.userId]
     );
 
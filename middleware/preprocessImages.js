@@ -0,0 +1,40 @@
+const imageProcessingService = require('../services/imageProcessingService');
+
+// Runs after the multer upload middleware: every uploaded image is replaced by
+// its processed copy (upright, JPEG, cropped, downscaled) for the rest of the
+// request. The upload itself stays on disk and is described by `file.original`.
+// A file that cannot be processed is passed through unchanged.
+const preprocessImages = async (req, res, next) => {
+  const files = req.file
+    ? [req.file]
+    : Array.isArray(req.files) ? req.files : Object.values(req.files || {}).flat();
+
+  for (const file of files) {
+    try {
+      const processed = await imageProcessingService.process(file.path);
+
+      file.original = {
+        path: file.path,
+        filename: file.filename,
+        size: file.size,
+        mimetype: file.mimetype
+      };
+      file.path = processed.path;
+      file.filename = processed.filename;
+      file.size = processed.bytes;
+      file.mimetype = 'image/jpeg';
+
+      console.log(
+        `🖼️  Preprocessed ${file.originalname}: ${processed.originalWidth}x${processed.originalHeight} → ` +
+        `${processed.width}x${processed.height}, ${Math.round(file.original.size / 1024)} KB → ${Math.round(processed.bytes / 1024)} KB` +
+        `${processed.cropped ? ', cropped' : ''}${processed.convertedFromHeic ? ', HEIC converted' : ''}`
+      );
+    } catch (error) {
+      console.error(`⚠️  Preprocessing failed for ${file.originalname} — using the upload as is:`, error.message);
+    }
+  }
+
+  next();
+};
+
+module.exports = preprocessImages;
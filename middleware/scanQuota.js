@@ -0,0 +1,60 @@
+const fs = require('fs');
+const usageService = require('../services/usageService');
+
+const uploadedFiles = (req) => (req.file
+  ? [req.file]
+  : Array.isArray(req.files) ? req.files : Object.values(req.files || {}).flat());
+
+// Every uploaded image is one unit — a front and back scan counts twice
+const countImages = (req) => uploadedFiles(req).length;
+
+/**
+ * Reserve scan quota before any extraction provider is called. Runs after the
+ * multer upload middleware (so images can be counted); a request over quota
+ * gets 429 and its uploads are deleted. The reservation is released when the
+ * request ends in an error — a rejected request (unknown provider or event,
+ * missing card) or a failed extraction does not use up scans. The reservation
+ * ID is left in `req.scanUsageId` for routes that give back part of it.
+ *
+ * @param {string} mode - scan | bulk | rescan | text, stored with the usage row
+ * @param {(req) => number} unitsOf - units the request consumes (default: uploaded images)
+ */
+const scanQuota = (mode, unitsOf = countImages) => async (req, res, next) => {
+  try {
+    const units = unitsOf(req);
+    if (units <= 0) return next();
+
+    const reservation = await usageService.reserve(req.user.id, mode, units);
+
+    if (!reservation.allowed) {
+      for (const file of uploadedFiles(req)) {
+        fs.promises.unlink(file.path).catch(() => {});
+      }
+
+      const { limit } = reservation.quota[reservation.exceeded];
+      return res.status(429).json({
+        success: false,
+        message: `${reservation.exceeded === 'daily' ? 'Daily' : 'Monthly'} scan quota of ${limit} reached`,
+        error: 'Scan quota exceeded',
+        quotaExceeded: true,
+        quota: reservation.quota
+      });
+    }
+
+    req.scanUsageId = reservation.usageId;
+
+    res.on('finish', () => {
+      if (res.statusCode < 400) return;
+      usageService.release(reservation.usageId).catch((error) => {
+        console.error('Failed to release scan quota:', error.message);
+      });
+    });
+
+    next();
+  } catch (error) {
+    console.error('Scan quota error:', error);
+    res.status(500).json({ success: false, message: 'Failed to check scan quota', error: error.message });
+  }
+};
+
+module.exports = scanQuota;
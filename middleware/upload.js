@@ -20,16 +20,16 @@ const storage = multer.diskStorage({
   }
 });
 
-// File filter
+// File filter — HEIC / HEIF (iOS camera) are converted to JPEG by preprocessImages
 const fileFilter = (req, file, cb) => {
-  const allowedTypes = /jpeg|jpg|png|webp/;
+  const allowedTypes = /jpeg|jpg|png|webp|heic|heif/;
   const extname = allowedTypes.test(path.extname(file.originalname).toLowerCase());
   const mimetype = allowedTypes.test(file.mimetype);
 
   if (mimetype && extname) {
     return cb(null, true);
   } else {
-    cb(new Error('Only image files (JPEG, JPG, PNG, WEBP) are allowed!'));
+    cb(new Error('Only image files (JPEG, JPG, PNG, WEBP, HEIC) are allowed!'));
   }
 };
 
@@ -42,6 +42,20 @@ const upload = multer({
   fileFilter: fileFilter
 });
 
+// Contact files for imports (see services/importService) — kept in memory, never written to uploads/
+const importUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: parseInt(process.env.MAX_FILE_SIZE) || 10 * 1024 * 1024
+  },
+  fileFilter: (req, file, cb) => {
+    if (/\.(csv|vcf|vcard|txt)$/i.test(file.originalname)) {
+      return cb(null, true);
+    }
+    cb(new Error('Only CSV and vCard (.vcf) files can be imported'));
+  }
+});
+
 // Error handling middleware
 const handleUploadError = (err, req, res, next) => {
   if (err instanceof multer.MulterError) {
@@ -64,4 +78,4 @@ const handleUploadError = (err, req, res, next) => {
   next();
 };
 
-module.exports = { upload, handleUploadError };
\ No newline at end of file
+module.exports = { upload, importUpload, handleUploadError };
\ No newline at end of file
@@ -1,6 +1,50 @@
 const mysql = require('mysql2/promise');
 require('dotenv').config();
 
+const { inferCountry, normalizePhone } = require('../utils/phoneNormalizer');
+const { addressColumns } = require('../utils/addressParser');
+const { nameColumns } = require('../utils/nameParser');
+const { detectNetwork, canonicalProfileUrl } = require('../utils/socialProfiles');
+const { estimateCost } = require('../utils/aiPricing');
+
+// CREATE TABLE IF NOT EXISTS never alters a table created by an earlier run,
+// so columns and indexes added later go through these idempotent helpers.
+async function addColumnIfMissing(connection, table, column, definition) {
+  const [rows] = await connection.query(
+    `SELECT 1 FROM INFORMATION_SCHEMA.COLUMNS
+     WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ? AND COLUMN_NAME = ?`,
+    [table, column]
+  );
+  if (rows.length === 0) {
+    await connection.query(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+    console.log(`   ➕ ${table}.${column} added`);
+  }
+}
+
+async function addIndexIfMissing(connection, table, index, definition) {
+  const [rows] = await connection.query(
+    `SELECT 1 FROM INFORMATION_SCHEMA.STATISTICS
+     WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ? AND INDEX_NAME = ?`,
+    [table, index]
+  );
+  if (rows.length === 0) {
+    await connection.query(`ALTER TABLE ${table} ADD ${definition}`);
+    console.log(`   ➕ ${table}.${index} index added`);
+  }
+}
+
+async function addForeignKeyIfMissing(connection, table, constraint, definition) {
+  const [rows] = await connection.query(
+    `SELECT 1 FROM INFORMATION_SCHEMA.TABLE_CONSTRAINTS
+     WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ? AND CONSTRAINT_NAME = ? AND CONSTRAINT_TYPE = 'FOREIGN KEY'`,
+    [table, constraint]
+  );
+  if (rows.length === 0) {
+    await connection.query(`ALTER TABLE ${table} ADD CONSTRAINT ${constraint} ${definition}`);
+    console.log(`   ➕ ${table}.${constraint} foreign key added`);
+  }
+}
+
 async function runMigrations() {
   let connection;
   
@@ -42,6 +86,13 @@ async function runMigrations() {
     `);
     console.log('✅ Table "users" created');
 
+    // ISO country used to read phone numbers printed without a +prefix
+    await addColumnIfMissing(connection, 'users', 'default_region', 'CHAR(2) NULL AFTER picture');
+
+    // Per-user scan quotas — NULL falls back to SCAN_QUOTA_DAILY / SCAN_QUOTA_MONTHLY, 0 is unlimited
+    await addColumnIfMissing(connection, 'users', 'scan_quota_daily', 'INT NULL AFTER default_region');
+    await addColumnIfMissing(connection, 'users', 'scan_quota_monthly', 'INT NULL AFTER scan_quota_daily');
+
     // Create business_cards table
     await connection.query(`
       CREATE TABLE IF NOT EXISTS business_cards (
@@ -68,6 +119,36 @@ async function runMigrations() {
     `);
     console.log('✅ Table "business_cards" created');
 
+    // Extraction quality: per-field confidence, validation flags, review queue
+    await addColumnIfMissing(connection, 'business_cards', 'field_confidence', 'JSON NULL AFTER notes');
+    await addColumnIfMissing(connection, 'business_cards', 'validation_flags', 'JSON NULL AFTER field_confidence');
+    await addColumnIfMissing(connection, 'business_cards', 'confidence_score', 'DECIMAL(4,3) NULL AFTER validation_flags');
+    await addColumnIfMissing(connection, 'business_cards', 'needs_review', 'BOOLEAN DEFAULT FALSE AFTER confidence_score');
+    await addColumnIfMissing(connection, 'business_cards', 'reviewed_at', 'TIMESTAMP NULL AFTER needs_review');
+    await addIndexIfMissing(connection, 'business_cards', 'idx_needs_review', 'INDEX idx_needs_review (user_id, needs_review)');
+    console.log('✅ Table "business_cards" extraction-quality columns ready');
+
+    // Reverse side of the card, scanned and merged into the same row
+    await addColumnIfMissing(connection, 'business_cards', 'back_image_url', 'TEXT NULL AFTER image_url');
+
+    // Photos holding several cards: every detected card points at the shared image
+    await addColumnIfMissing(connection, 'business_cards', 'source_image_url', 'TEXT NULL AFTER back_image_url');
+    await addColumnIfMissing(connection, 'business_cards', 'source_card_index', 'INT NULL AFTER source_image_url');
+
+    // Uploads as received — image_url / back_image_url hold the preprocessed copies
+    await addColumnIfMissing(connection, 'business_cards', 'original_image_url', 'TEXT NULL AFTER image_url');
+    await addColumnIfMissing(connection, 'business_cards', 'original_back_image_url', 'TEXT NULL AFTER back_image_url');
+
+    // Where the card came from: 'scan' (photo), 'text' (pasted signature / contact info) or 'import' (CSV / vCard file)
+    await addColumnIfMissing(connection, 'business_cards', 'source', "VARCHAR(20) NOT NULL DEFAULT 'scan' AFTER user_id");
+
+    // Images of cards merged into this one (see services/duplicateService) — kept alongside image_url
+    await addColumnIfMissing(connection, 'business_cards', 'merged_images', 'JSON NULL AFTER source_card_index');
+
+    // Soft delete — trashed cards are purged after TRASH_RETENTION_DAYS (see services/trashService)
+    await addColumnIfMissing(connection, 'business_cards', 'deleted_at', 'TIMESTAMP NULL DEFAULT NULL');
+    await addIndexIfMissing(connection, 'business_cards', 'idx_user_deleted', 'INDEX idx_user_deleted (user_id, deleted_at)');
+
     // Create email_campaigns table
     await connection.query(`
       CREATE TABLE IF NOT EXISTS email_campaigns (
@@ -137,6 +218,391 @@ async function runMigrations() {
     `);
     console.log('✅ Table "activity_logs" created');
 
+    // Structured postal address next to the formatted one
+    await addColumnIfMissing(connection, 'business_cards', 'address_street', 'VARCHAR(255) NULL AFTER address');
+    await addColumnIfMissing(connection, 'business_cards', 'address_city', 'VARCHAR(120) NULL AFTER address_street');
+    await addColumnIfMissing(connection, 'business_cards', 'address_region', 'VARCHAR(120) NULL AFTER address_city');
+    await addColumnIfMissing(connection, 'business_cards', 'address_postal_code', 'VARCHAR(20) NULL AFTER address_region');
+    await addColumnIfMissing(connection, 'business_cards', 'address_country', 'VARCHAR(120) NULL AFTER address_postal_code');
+    await addColumnIfMissing(connection, 'business_cards', 'address_country_code', 'CHAR(2) NULL AFTER address_country');
+    await addIndexIfMissing(connection, 'business_cards', 'idx_address_city', 'INDEX idx_address_city (user_id, address_city)');
+    await addIndexIfMissing(connection, 'business_cards', 'idx_address_country', 'INDEX idx_address_country (user_id, address_country_code)');
+
+    // Split addresses stored before structured parts existed
+    const [unparsedAddresses] = await connection.query(`
+      SELECT id, address FROM business_cards
+      WHERE address IS NOT NULL AND address <> ''
+        AND address_city IS NULL AND address_country IS NULL AND address_street IS NULL
+    `);
+    for (const card of unparsedAddresses) {
+      await connection.query('UPDATE business_cards SET ? WHERE id = ?', [addressColumns(card.address), card.id]);
+    }
+    if (unparsedAddresses.length > 0) {
+      console.log(`   🏠 ${unparsedAddresses.length} stored address(es) split into parts`);
+    }
+
+    // Structured personal name next to the printed one
+    await addColumnIfMissing(connection, 'business_cards', 'name_prefix', 'VARCHAR(50) NULL AFTER name');
+    await addColumnIfMissing(connection, 'business_cards', 'first_name', 'VARCHAR(120) NULL AFTER name_prefix');
+    await addColumnIfMissing(connection, 'business_cards', 'middle_name', 'VARCHAR(120) NULL AFTER first_name');
+    await addColumnIfMissing(connection, 'business_cards', 'last_name', 'VARCHAR(120) NULL AFTER middle_name');
+    await addColumnIfMissing(connection, 'business_cards', 'name_suffix', 'VARCHAR(50) NULL AFTER last_name');
+
+    const [unparsedNames] = await connection.query(`
+      SELECT id, name FROM business_cards
+      WHERE name IS NOT NULL AND name <> '' AND first_name IS NULL AND last_name IS NULL
+    `);
+    for (const card of unparsedNames) {
+      await connection.query('UPDATE business_cards SET ? WHERE id = ?', [nameColumns(card.name), card.id]);
+    }
+    if (unparsedNames.length > 0) {
+      console.log(`   👤 ${unparsedNames.length} stored name(s) split into parts`);
+    }
+
+    // Create card_contact_points table — typed phones, emails, websites and social profiles per card
+    await connection.query(`
+      CREATE TABLE IF NOT EXISTS card_contact_points (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        card_id INT NOT NULL,
+        kind VARCHAR(20) NOT NULL,
+        type VARCHAR(30) NOT NULL,
+        value VARCHAR(255) NOT NULL,
+        is_primary BOOLEAN DEFAULT FALSE,
+        position INT DEFAULT 0,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (card_id) REFERENCES business_cards(id) ON DELETE CASCADE,
+        INDEX idx_card_kind (card_id, kind),
+        INDEX idx_value (value)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+    `);
+    console.log('✅ Table "card_contact_points" created');
+
+    // E.164 form of each phone / canonical URL of each social profile, next to the text as printed
+    await addColumnIfMissing(connection, 'card_contact_points', 'normalized_value', 'VARCHAR(255) NULL AFTER value');
+    await connection.query('ALTER TABLE card_contact_points MODIFY normalized_value VARCHAR(255) NULL');
+    await addIndexIfMissing(connection, 'card_contact_points', 'idx_normalized_value', 'INDEX idx_normalized_value (normalized_value)');
+    await addColumnIfMissing(connection, 'business_cards', 'phone_e164', 'VARCHAR(20) NULL AFTER phone');
+    await addIndexIfMissing(connection, 'business_cards', 'idx_phone_e164', 'INDEX idx_phone_e164 (phone_e164)');
+
+    // Backfill the single phone / email / website of older cards as primary contact points
+    for (const kind of ['phone', 'email', 'website']) {
+      await connection.query(`
+        INSERT INTO card_contact_points (card_id, kind, type, value, is_primary, position)
+        SELECT bc.id, '${kind}', 'work', bc.${kind}, TRUE, 0
+        FROM business_cards bc
+        WHERE bc.${kind} IS NOT NULL AND bc.${kind} <> ''
+          AND NOT EXISTS (
+            SELECT 1 FROM card_contact_points cp WHERE cp.card_id = bc.id AND cp.kind = '${kind}'
+          )
+      `);
+    }
+
+    // Normalise phones stored before E.164 support
+    const [unnormalized] = await connection.query(`
+      SELECT cp.id, cp.card_id, cp.value, cp.is_primary, bc.address, bc.website, bc.email, u.default_region
+      FROM card_contact_points cp
+      JOIN business_cards bc ON bc.id = cp.card_id
+      JOIN users u ON u.id = bc.user_id
+      WHERE cp.kind = 'phone' AND cp.normalized_value IS NULL
+    `);
+    for (const point of unnormalized) {
+      const { e164 } = normalizePhone(point.value, inferCountry({ ...point, defaultRegion: point.default_region }));
+      if (!e164) continue;
+      await connection.query('UPDATE card_contact_points SET normalized_value = ? WHERE id = ?', [e164, point.id]);
+      if (point.is_primary) {
+        await connection.query('UPDATE business_cards SET phone_e164 = ? WHERE id = ?', [e164, point.card_id]);
+      }
+    }
+    if (unnormalized.length > 0) {
+      console.log(`   ☎️  ${unnormalized.length} stored phone number(s) checked for E.164`);
+    }
+
+    // Websites on LinkedIn, X, Instagram, … saved before social profiles existed
+    const [websites] = await connection.query(`
+      SELECT cp.id, cp.value, cp.is_primary, bc.address, bc.email, u.default_region
+      FROM card_contact_points cp
+      JOIN business_cards bc ON bc.id = cp.card_id
+      JOIN users u ON u.id = bc.user_id
+      WHERE cp.kind = 'website'
+    `);
+    let socialCount = 0;
+    for (const point of websites) {
+      // The primary website stays one, as in normalizeContactPoints
+      const network = detectNetwork(point.value);
+      if (!network || point.is_primary) continue;
+      const country = inferCountry({ ...point, defaultRegion: point.default_region });
+      await connection.query(
+        "UPDATE card_contact_points SET kind = 'social', type = ?, normalized_value = ? WHERE id = ?",
+        [network, canonicalProfileUrl(network, point.value, country), point.id]
+      );
+      socialCount++;
+    }
+    if (socialCount > 0) {
+      console.log(`   🔗 ${socialCount} stored website(s) moved to social profiles`);
+    }
+
+    // Create scan_jobs table
+    await connection.query(`
+      CREATE TABLE IF NOT EXISTS scan_jobs (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        user_id INT NOT NULL,
+        provider VARCHAR(50),
+        status ENUM('queued', 'processing', 'completed', 'failed') DEFAULT 'queued',
+        total_images INT DEFAULT 0,
+        processed_count INT DEFAULT 0,
+        succeeded_count INT DEFAULT 0,
+        failed_count INT DEFAULT 0,
+        started_at TIMESTAMP NULL,
+        completed_at TIMESTAMP NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+        INDEX idx_user_id (user_id),
+        INDEX idx_status (status)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+    `);
+    console.log('✅ Table "scan_jobs" created');
+
+    // Create scan_job_items table
+    await connection.query(`
+      CREATE TABLE IF NOT EXISTS scan_job_items (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        job_id INT NOT NULL,
+        position INT NOT NULL,
+        image_path TEXT NOT NULL,
+        image_url TEXT,
+        original_name VARCHAR(255),
+        status ENUM('pending', 'processing', 'completed', 'failed') DEFAULT 'pending',
+        provider VARCHAR(50),
+        card_id INT,
+        error_message TEXT,
+        started_at TIMESTAMP NULL,
+        completed_at TIMESTAMP NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (job_id) REFERENCES scan_jobs(id) ON DELETE CASCADE,
+        FOREIGN KEY (card_id) REFERENCES business_cards(id) ON DELETE SET NULL,
+        INDEX idx_job_id (job_id),
+        INDEX idx_status (status)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+    `);
+    console.log('✅ Table "scan_job_items" created');
+
+    // Create extractions table — one row per provider call, kept for auditing and re-scans
+    await connection.query(`
+      CREATE TABLE IF NOT EXISTS extractions (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        user_id INT NOT NULL,
+        card_id INT,
+        mode VARCHAR(20) NOT NULL DEFAULT 'scan',
+        side ENUM('front', 'back') DEFAULT 'front',
+        provider VARCHAR(50) NOT NULL,
+        model VARCHAR(100),
+        prompt_version VARCHAR(50),
+        status ENUM('succeeded', 'failed') NOT NULL,
+        raw_text MEDIUMTEXT,
+        parsed_result JSON,
+        prompt_tokens INT,
+        completion_tokens INT,
+        total_tokens INT,
+        latency_ms INT,
+        error_message TEXT,
+        applied_fields JSON,
+        applied_at TIMESTAMP NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+        FOREIGN KEY (card_id) REFERENCES business_cards(id) ON DELETE SET NULL,
+        INDEX idx_card_id (card_id),
+        INDEX idx_user_created (user_id, created_at)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+    `);
+    console.log('✅ Table "extractions" created');
+
+    // Create extraction_cards table — the cards a multi-card extraction produced.
+    // The photo is extracted (and billed) once, so its rows keep card_id NULL
+    await connection.query(`
+      CREATE TABLE IF NOT EXISTS extraction_cards (
+        extraction_id INT NOT NULL,
+        card_id INT NOT NULL,
+        PRIMARY KEY (extraction_id, card_id),
+        FOREIGN KEY (extraction_id) REFERENCES extractions(id) ON DELETE CASCADE,
+        FOREIGN KEY (card_id) REFERENCES business_cards(id) ON DELETE CASCADE,
+        INDEX idx_card_id (card_id)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+    `);
+    console.log('✅ Table "extraction_cards" created');
+
+    // Extractions are billed usage, so deleting a card keeps them (card_id becomes NULL)
+    const [cascadingKeys] = await connection.query(
+      `SELECT CONSTRAINT_NAME FROM INFORMATION_SCHEMA.REFERENTIAL_CONSTRAINTS
+       WHERE CONSTRAINT_SCHEMA = DATABASE() AND TABLE_NAME = 'extractions'
+         AND REFERENCED_TABLE_NAME = 'business_cards' AND DELETE_RULE = 'CASCADE'`
+    );
+    for (const { CONSTRAINT_NAME: constraint } of cascadingKeys) {
+      await connection.query(`ALTER TABLE extractions DROP FOREIGN KEY ${constraint}`);
+      await connection.query(
+        `ALTER TABLE extractions ADD CONSTRAINT ${constraint} FOREIGN KEY (card_id) REFERENCES business_cards(id) ON DELETE SET NULL`
+      );
+      console.log(`   🔁 extractions.${constraint} now keeps rows of deleted cards`);
+    }
+
+    // Estimated cost of each provider call (see utils/aiPricing)
+    await addColumnIfMissing(connection, 'extractions', 'cost_usd', 'DECIMAL(12,6) NULL AFTER total_tokens');
+    await addIndexIfMissing(connection, 'extractions', 'idx_user_provider_created', 'INDEX idx_user_provider_created (user_id, provider, created_at)');
+
+    const [unpriced] = await connection.query(
+      'SELECT id, provider, prompt_tokens, completion_tokens FROM extractions WHERE cost_usd IS NULL AND total_tokens IS NOT NULL'
+    );
+    for (const extraction of unpriced) {
+      await connection.query('UPDATE extractions SET cost_usd = ? WHERE id = ?', [
+        estimateCost(extraction.provider, extraction.prompt_tokens, extraction.completion_tokens),
+        extraction.id
+      ]);
+    }
+    if (unpriced.length > 0) {
+      console.log(`   💲 ${unpriced.length} stored extraction(s) priced`);
+    }
+
+    // Create scan_usage table — one row per metered scan request, counted against the quotas
+    await connection.query(`
+      CREATE TABLE IF NOT EXISTS scan_usage (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        user_id INT NOT NULL,
+        mode VARCHAR(20) NOT NULL,
+        units INT NOT NULL DEFAULT 1,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+        INDEX idx_user_created (user_id, created_at)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+    `);
+    console.log('✅ Table "scan_usage" created');
+
+    // The reservation a bulk job's images were counted in — units come back for images that fail
+    await addColumnIfMissing(connection, 'scan_jobs', 'usage_id', 'INT NULL AFTER provider');
+    await addForeignKeyIfMissing(connection, 'scan_jobs', 'fk_scan_jobs_usage',
+      'FOREIGN KEY (usage_id) REFERENCES scan_usage(id) ON DELETE SET NULL');
+
+    // Create card_duplicates table — likely duplicate pairs, stored with the lower card ID as candidate_id
+    await connection.query(`
+      CREATE TABLE IF NOT EXISTS card_duplicates (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        user_id INT NOT NULL,
+        card_id INT NOT NULL,
+        candidate_id INT NOT NULL,
+        score DECIMAL(4,3) NOT NULL,
+        reasons JSON NULL,
+        status ENUM('pending', 'dismissed') DEFAULT 'pending',
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        resolved_at TIMESTAMP NULL,
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+        FOREIGN KEY (card_id) REFERENCES business_cards(id) ON DELETE CASCADE,
+        FOREIGN KEY (candidate_id) REFERENCES business_cards(id) ON DELETE CASCADE,
+        UNIQUE KEY uniq_pair (card_id, candidate_id),
+        INDEX idx_user_status (user_id, status)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+    `);
+    console.log('✅ Table "card_duplicates" created');
+
+    // Create tags table — user-defined labels ("Hot lead", "Vendor", "GITEX 2026")
+    await connection.query(`
+      CREATE TABLE IF NOT EXISTS tags (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        user_id INT NOT NULL,
+        name VARCHAR(100) NOT NULL,
+        color VARCHAR(7) NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+        UNIQUE KEY uniq_user_name (user_id, name)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+    `);
+    console.log('✅ Table "tags" created');
+
+    // Create card_tags table — many-to-many between cards and tags
+    await connection.query(`
+      CREATE TABLE IF NOT EXISTS card_tags (
+        card_id INT NOT NULL,
+        tag_id INT NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (card_id, tag_id),
+        FOREIGN KEY (card_id) REFERENCES business_cards(id) ON DELETE CASCADE,
+        FOREIGN KEY (tag_id) REFERENCES tags(id) ON DELETE CASCADE,
+        INDEX idx_tag_id (tag_id)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+    `);
+    console.log('✅ Table "card_tags" created');
+
+    // Create events table — where cards were collected (trade show, conference)
+    await connection.query(`
+      CREATE TABLE IF NOT EXISTS events (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        user_id INT NOT NULL,
+        name VARCHAR(255) NOT NULL,
+        venue VARCHAR(255) NULL,
+        starts_on DATE NULL,
+        ends_on DATE NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+        INDEX idx_user_starts (user_id, starts_on)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+    `);
+    console.log('✅ Table "events" created');
+
+    // The event new scans are attached to by default
+    await addColumnIfMissing(connection, 'users', 'current_event_id', 'INT NULL AFTER scan_quota_monthly');
+    await addForeignKeyIfMissing(connection, 'users', 'fk_users_current_event',
+      'FOREIGN KEY (current_event_id) REFERENCES events(id) ON DELETE SET NULL');
+
+    // Meeting context: the event, when and where the card was scanned
+    await addColumnIfMissing(connection, 'business_cards', 'event_id', 'INT NULL AFTER source');
+    await addColumnIfMissing(connection, 'business_cards', 'met_at', 'TIMESTAMP NULL AFTER event_id');
+    await addColumnIfMissing(connection, 'business_cards', 'met_latitude', 'DECIMAL(9,6) NULL AFTER met_at');
+    await addColumnIfMissing(connection, 'business_cards', 'met_longitude', 'DECIMAL(9,6) NULL AFTER met_latitude');
+    await addForeignKeyIfMissing(connection, 'business_cards', 'fk_cards_event',
+      'FOREIGN KEY (event_id) REFERENCES events(id) ON DELETE SET NULL');
+    await addIndexIfMissing(connection, 'business_cards', 'idx_user_event', 'INDEX idx_user_event (user_id, event_id)');
+
+    // Bulk scans carry the meeting context of the request to every card they create
+    await addColumnIfMissing(connection, 'scan_jobs', 'event_id', 'INT NULL AFTER provider');
+    await addColumnIfMissing(connection, 'scan_jobs', 'met_at', 'TIMESTAMP NULL AFTER event_id');
+    await addColumnIfMissing(connection, 'scan_jobs', 'met_latitude', 'DECIMAL(9,6) NULL AFTER met_at');
+    await addColumnIfMissing(connection, 'scan_jobs', 'met_longitude', 'DECIMAL(9,6) NULL AFTER met_latitude');
+    await addForeignKeyIfMissing(connection, 'scan_jobs', 'fk_scan_jobs_event',
+      'FOREIGN KEY (event_id) REFERENCES events(id) ON DELETE SET NULL');
+    console.log('✅ Meeting context columns ready');
+
+    // Full-text card search (see services/cardSearchService)
+    await addIndexIfMissing(connection, 'business_cards', 'ft_card_search',
+      'FULLTEXT INDEX ft_card_search (name, email, company, job_title, address, website, notes)');
+    await addIndexIfMissing(connection, 'card_contact_points', 'ft_value', 'FULLTEXT INDEX ft_value (value)');
+    await addIndexIfMissing(connection, 'business_cards', 'idx_user_created', 'INDEX idx_user_created (user_id, created_at, id)');
+    console.log('✅ Card search indexes ready');
+
+    // Create card_revisions table — field-level edit history (see services/revisionService)
+    await connection.query(`
+      CREATE TABLE IF NOT EXISTS card_revisions (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        card_id INT NOT NULL,
+        user_id INT NOT NULL,
+        revision INT NOT NULL,
+        field VARCHAR(50) NOT NULL,
+        old_value JSON NULL,
+        new_value JSON NULL,
+        source ENUM('ocr', 'user', 'google-sync', 'import') NOT NULL,
+        note VARCHAR(255) NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (card_id) REFERENCES business_cards(id) ON DELETE CASCADE,
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+        UNIQUE KEY uniq_card_revision_field (card_id, revision, field)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+    `);
+    console.log('✅ Table "card_revisions" created');
+
+    // A revision has one row per changed field; edits hold the card row lock (see
+    // cardService.editCard), and this key stops two of them writing the same row
+    await addIndexIfMissing(connection, 'card_revisions', 'uniq_card_revision_field',
+      'UNIQUE KEY uniq_card_revision_field (card_id, revision, field)');
+
     console.log('\n🎉 All migrations completed successfully!');
     
   } catch (error) {
@@ -4,6 +4,7 @@ const jwt = require('jsonwebtoken');
 const { pool } = require('../config/database');
 const googleAuthService = require('../services/googleAuthService');
 const authenticate = require('../middleware/authenticate');
+const { isSupportedCountry } = require('libphonenumber-js');
 
 // @route   GET /api/auth/google
 // @desc    Get Google OAuth URL
@@ -128,6 +129,33 @@ router.get('/me', authenticate, async (req, res) => {
   }
 });
 
+// @route   PUT /api/auth/me/preferences
+// @desc    Update user preferences (defaultRegion: ISO country used for local phone numbers)
+// @access  Private
+router.put('/me/preferences', authenticate, async (req, res) => {
+  try {
+    const { defaultRegion } = req.body;
+    let region = null;
+
+    if (defaultRegion) {
+      region = String(defaultRegion).trim().toUpperCase();
+      if (!isSupportedCountry(region)) {
+        return res.status(400).json({ success: false, message: `Unsupported region "${defaultRegion}"` });
+      }
+    }
+
+    await pool.query('UPDATE users SET default_region = ? WHERE id = ?', [region, req.user.id]);
+
+    res.json({
+      success: true,
+      user: { ...req.user, default_region: region }
+    });
+  } catch (error) {
+    console.error('Update preferences error:', error);
+    res.status(500).json({ success: false, message: 'Failed to update preferences' });
+  }
+});
+
 // @route   POST /api/auth/logout
 // @desc    Logout user
 // @access  Private
@@ -2,125 +2,286 @@ const express = require('express');
 const router = express.Router();
 const { pool } = require('../config/database');
 const authenticate = require('../middleware/authenticate');
-const { upload, handleUploadError } = require('../middleware/upload');
-const openaiService = require('../services/openaiService'); // ✅ Replaced mistralService
+const { upload, importUpload, handleUploadError } = require('../middleware/upload');
+const preprocessImages = require('../middleware/preprocessImages');
+const scanQuota = require('../middleware/scanQuota');
+const extractionService = require('../services/extractionService');
 const googleContactsService = require('../services/googleContactsService');
+const cardService = require('../services/cardService');
+const scanJobService = require('../services/scanJobService');
+const duplicateService = require('../services/duplicateService');
+const tagService = require('../services/tagService');
+const eventService = require('../services/eventService');
+const cardSearchService = require('../services/cardSearchService');
+const revisionService = require('../services/revisionService');
+const trashService = require('../services/trashService');
+const cardBulkService = require('../services/cardBulkService');
+const exportService = require('../services/exportService');
+const importService = require('../services/importService');
+const extractionLogService = require('../services/extractionLogService');
+const usageService = require('../services/usageService');
+const { assessCard } = require('../utils/cardQuality');
+const { mergeCardSides } = require('../utils/cardMerge');
+const { DIFF_FIELDS, diffCard, acceptedUpdate } = require('../utils/cardDiff');
 const path = require('path');
+const fs = require('fs');
+
+const uploadDir = process.env.UPLOAD_DIR || 'uploads';
+
+// Disk path of a stored `/uploads/...` image URL
+const storedImagePath = (imageUrl) => path.join(uploadDir, path.basename(imageUrl));
+
+// Map a failed extraction (every provider in the chain failed) to an HTTP response
+const sendExtractionError = (res, extractionResult) => {
+  console.error('❌ Extraction failed:', extractionResult.error);
+
+  // Rate limit
+  if (extractionResult.rateLimited) {
+    return res.status(429).json({
+      success: false,
+      message: 'All extraction providers are rate limited or out of credits. Please wait a moment and try again.',
+      error: 'Rate limit exceeded',
+      rateLimited: true,
+      attempts: extractionResult.attempts,
+    });
+  }
+
+  // API key issue
+  if (extractionResult.notConfigured) {
+    return res.status(500).json({
+      success: false,
+      message: `${extractionResult.error}. Set OPENAI_API_KEY, GEMINI_API_KEY or MISTRAL_API_KEY in backend/.env`,
+      error: 'API key missing or invalid',
+      attempts: extractionResult.attempts,
+    });
+  }
+
+  // Generic failure
+  return res.status(500).json({
+    success: false,
+    message: 'Failed to extract card information',
+    error: extractionResult.error,
+    attempts: extractionResult.attempts,
+  });
+};
+
+/**
+ * Multi-card mode — one photo, one business_cards row per detected card,
+ * each linked back to the shared source image
+ */
+const scanMultipleCards = async (req, res, file, provider, meeting) => {
+  const imageUrl = `/uploads/${file.filename}`;
+  const originalImageUrl = `/uploads/${(file.original || file).filename}`;
+
+  console.log('🃏 Multi-card mode — detecting every card in the photo...');
+  const extractionResult = await extractionService.extractMultipleCards(file.path, { provider });
+
+  if (!extractionResult.success) {
+    await extractionLogService.record(req.user.id, null, extractionResult.extractions, { mode: 'multi' });
+    return sendExtractionError(res, extractionResult);
+  }
+
+  console.log(`✅ ${extractionResult.provider} detected ${extractionResult.cards.length} card(s)`);
+
+  const baseUrl = `${req.protocol}://${req.get('host')}`;
+  const connection = await pool.getConnection();
+  const cardIds = [];
+
+  try {
+    await connection.beginTransaction();
+
+    for (const [index, detected] of extractionResult.cards.entries()) {
+      cardIds.push(await cardService.createCard(req.user.id, {
+        ...cardService.buildCardRow(detected.data, detected.quality),
+        ...meeting,
+        image_url: imageUrl,
+        original_image_url: originalImageUrl,
+        source_image_url: imageUrl,
+        source_card_index: index,
+      }, connection));
+    }
+
+    await connection.commit();
+  } catch (error) {
+    await connection.rollback();
+    throw error;
+  } finally {
+    connection.release();
+  }
+
+  // One provider call for the whole photo — stored once and linked to every card
+  const extractionIds = await extractionLogService.record(req.user.id, null, extractionResult.extractions, { mode: 'multi' });
+  await extractionLogService.linkCards(extractionIds, cardIds);
+
+  const cards = [];
+  for (const cardId of cardIds) {
+    cards.push(cardService.withImageUrls(await cardService.getCard(cardId), baseUrl));
+  }
+
+  const duplicates = await duplicateService.flagCandidates(req.user.id, cardIds);
+
+  console.log(`🎉 Multi-card scan complete — ${cards.length} card(s) saved`);
+
+  return res.json({
+    success: true,
+    message: `${cards.length} card(s) detected and saved`,
+    provider: extractionResult.provider,
+    attempts: extractionResult.attempts,
+    sourceImageUrl: `${baseUrl}${imageUrl}`,
+    needsReview: cards.filter((card) => card.needs_review).map((card) => card.id),
+    duplicates,
+    cards,
+  });
+};
+
+const scanUpload = upload.fields([
+  { name: 'card', maxCount: 1 },  // legacy single-image field, same as `front`
+  { name: 'front', maxCount: 1 },
+  { name: 'back', maxCount: 1 },
+]);
 
 // @route   POST /api/cards/scan
-// @desc    Upload and scan business card
+// @desc    Upload and scan business card — `front` (or `card`) plus optional `back` image;
+//          optional `provider` field pins one provider; `mode=multi` splits a photo of
+//          several cards into one card each. The card joins the current event unless
+//          `eventId` names another ("none" for no event); `latitude` / `longitude` and
+//          `metAt` record where and when the card was collected
 // @access  Private
-router.post('/scan', authenticate, upload.single('card'), handleUploadError, async (req, res) => {
+router.post('/scan', authenticate, scanUpload, handleUploadError, scanQuota('scan'), preprocessImages, async (req, res) => {
   try {
+    const frontFile = req.files?.front?.[0] || req.files?.card?.[0];
+    const backFile  = req.files?.back?.[0];
+
     console.log('📸 Scan card request received');
     console.log('User ID:', req.user.id);
-    console.log('File uploaded:', req.file ? 'Yes' : 'No');
+    console.log('Files uploaded:', frontFile ? 'front' : 'none', backFile ? '+ back' : '');
 
-    if (!req.file) {
+    if (!frontFile) {
       console.error('❌ No file in request');
       return res.status(400).json({ success: false, message: 'No file uploaded' });
     }
 
-    console.log('✅ File details:', {
-      filename: req.file.filename,
-      size: req.file.size,
-      mimetype: req.file.mimetype,
-      path: req.file.path,
-    });
+    for (const file of [frontFile, backFile].filter(Boolean)) {
+      console.log('✅ File details:', {
+        field: file.fieldname,
+        filename: file.filename,
+        size: file.size,
+        mimetype: file.mimetype,
+        path: file.path,
+      });
+    }
 
-    const imagePath = req.file.path;
-    const imageUrl  = `/uploads/${req.file.filename}`;
+    // Processed copies (see middleware/preprocessImages) and the uploads they came from
+    const imageUrl             = `/uploads/${frontFile.filename}`;
+    const originalImageUrl     = `/uploads/${(frontFile.original || frontFile).filename}`;
+    const backImageUrl         = backFile ? `/uploads/${backFile.filename}` : null;
+    const originalBackImageUrl = backFile ? `/uploads/${(backFile.original || backFile).filename}` : null;
 
-    // ── Extract info — single attempt, no retries ──────────────────────────
-    console.log('🤖 Processing image with OpenAI GPT-4o Vision (single attempt)...');
-    const extractionResult = await openaiService.extractCardInfo(imagePath);
+    const provider = (req.body.provider || req.query.provider || '').trim().toLowerCase() || undefined;
+    if (provider && !extractionService.has(provider)) {
+      return res.status(400).json({
+        success: false,
+        message: `Unknown extraction provider "${provider}"`,
+        providers: extractionService.list(),
+      });
+    }
 
-    // ── ✅ SUCCESS — save to DB and return immediately ─────────────────────
-    // This block runs ONLY when extraction worked (with or without fallback).
-    // Nothing retries after this point.
-    if (extractionResult.success) {
+    // Meeting context — the current event unless `eventId` names another, optional GPS position
+    const meeting = await eventService.meetingContext(req.user, req.body);
+    if (meeting.error) {
+      return res.status(400).json({ success: false, message: meeting.error });
+    }
 
-      if (extractionResult.fallback) {
-        console.log('⚠️  Fallback mode — card saved with empty fields for manual entry');
-      } else {
-        console.log('✅ OpenAI extraction successful:', extractionResult.data);
+    const mode = (req.body.mode || req.query.mode || 'single').toLowerCase();
+    if (mode === 'multi') {
+      if (backFile) {
+        return res.status(400).json({ success: false, message: 'A back image cannot be combined with multi-card mode' });
       }
+      return await scanMultipleCards(req, res, frontFile, provider, meeting.context);
+    }
 
-      // Save to database
-      console.log('💾 Saving to database...');
-      const [result] = await pool.query(
-        `INSERT INTO business_cards
-         (user_id, name, email, phone, company, job_title, address, website, image_url)
-         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
-        [
-          req.user.id,
-          extractionResult.data.name,
-          extractionResult.data.email,
-          extractionResult.data.phone,
-          extractionResult.data.company,
-          extractionResult.data.job_title,
-          extractionResult.data.address,
-          extractionResult.data.website,
-          imageUrl,
-        ]
-      );
-
-      const cardId = result.insertId;
-      console.log('✅ Card saved with ID:', cardId);
-
-      // Fetch saved card
-      const [cards] = await pool.query(
-        'SELECT * FROM business_cards WHERE id = ?',
-        [cardId]
-      );
-
-      const card = cards[0];
-
-      // Convert relative path to full URL
-      const baseUrl = `${req.protocol}://${req.get('host')}`;
-      card.image_url = card.image_url ? `${baseUrl}${card.image_url}` : null;
-
-      console.log('🎉 Scan complete — returning card data');
-
-      // ✅ RETURN HERE — done, no further processing
-      return res.json({
-        success: true,
-        message: extractionResult.fallback
-          ? 'Card saved — please fill in the details manually'
-          : 'Card scanned successfully',
-        card,
-      });
+    // ── Extract info — walks the provider chain until one succeeds ─────────
+    console.log(`🤖 Processing image with ${provider || extractionService.getOrder().join(' → ')}...`);
+    const extractionResult = await extractionService.extractCardInfo(frontFile.path, { provider });
+
+    if (!extractionResult.success) {
+      await extractionLogService.record(req.user.id, null, extractionResult.extractions);
+      return sendExtractionError(res, extractionResult);
     }
 
-    // ── ❌ EXTRACTION FAILED — no success, no retry ────────────────────────
-    console.error('❌ OpenAI extraction failed:', extractionResult.error);
+    if (extractionResult.fallback) {
+      console.log('⚠️  Fallback mode — card saved with empty fields for manual entry');
+    } else {
+      console.log(`✅ ${extractionResult.provider} extraction successful:`, extractionResult.data);
+    }
 
-    // Rate limit
-    if (extractionResult.rateLimited) {
-      return res.status(429).json({
-        success: false,
-        message: 'OpenAI rate limit exceeded. Please wait a moment and try again.',
-        error: 'Rate limit exceeded',
-        rateLimited: true,
-        help: 'Check usage at https://platform.openai.com/account/usage',
-      });
+    let cardData = extractionResult.data;
+    let quality  = extractionResult.quality;
+    let notes    = null;
+    let merge    = null;
+    let backResult = null;
+
+    // ── Back side — extracted separately, then merged into the front ───────
+    if (backFile) {
+      console.log('🔄 Extracting back side...');
+      backResult = await extractionService.extractCardInfo(backFile.path, { provider });
+
+      if (backResult.success && !backResult.fallback) {
+        merge    = mergeCardSides(extractionResult, backResult);
+        cardData = merge.data;
+        quality  = assessCard(cardData, merge.confidence);
+        notes    = merge.notes || null;
+        console.log(`✅ Back side merged — ${merge.conflicts.length} conflicting field(s)`);
+      } else {
+        console.log('⚠️  Back side could not be read — keeping front only:', backResult.error);
+      }
     }
 
-    // API key issue
-    if (extractionResult.error?.includes('API key')) {
-      return res.status(500).json({
-        success: false,
-        message: 'OpenAI API key is not configured. Set OPENAI_API_KEY in backend/.env',
-        error: 'API key missing or invalid',
-        help: 'Get your key at https://platform.openai.com/api-keys',
-      });
+    // Save to database
+    console.log('💾 Saving to database...');
+    const cardId = await cardService.createCard(req.user.id, {
+      ...cardService.buildCardRow(cardData, quality),
+      ...meeting.context,
+      image_url: imageUrl,
+      original_image_url: originalImageUrl,
+      back_image_url: backImageUrl,
+      original_back_image_url: originalBackImageUrl,
+      notes,
+    });
+    console.log('✅ Card saved with ID:', cardId);
+
+    await extractionLogService.record(req.user.id, cardId, extractionResult.extractions);
+    if (backResult) {
+      await extractionLogService.record(req.user.id, cardId, backResult.extractions, { side: 'back' });
     }
 
-    // Generic failure
-    return res.status(500).json({
-      success: false,
-      message: 'Failed to extract card information',
-      error: extractionResult.error,
+    // Images nothing could be read from do not count against the quota
+    const unreadImages = (extractionResult.fallback ? 1 : 0) + (backResult && (!backResult.success || backResult.fallback) ? 1 : 0);
+    if (unreadImages > 0) await usageService.release(req.scanUsageId, unreadImages);
+
+    const duplicates = await duplicateService.flagCandidates(req.user.id, [cardId]);
+
+    const card = cardService.withImageUrls(
+      await cardService.getCard(cardId),
+      `${req.protocol}://${req.get('host')}`
+    );
+
+    console.log('🎉 Scan complete — returning card data');
+
+    return res.json({
+      success: true,
+      message: extractionResult.fallback
+        ? 'Card saved — please fill in the details manually'
+        : quality.needsReview
+          ? 'Card scanned — some fields need review'
+          : 'Card scanned successfully',
+      needsReview: quality.needsReview,
+      provider: extractionResult.provider,
+      attempts: extractionResult.attempts,
+      ...(extractionResult.code && { code: extractionResult.code }),
+      ...(merge && { sources: merge.sources, conflicts: merge.conflicts }),
+      duplicates,
+      card,
     });
 
   } catch (error) {
@@ -134,38 +295,321 @@ router.post('/scan', authenticate, upload.single('card'), handleUploadError, asy
   }
 });
 
+// @route   POST /api/cards/scan/bulk
+// @desc    Queue many card images for background scanning — returns a job ID at once.
+//          eventId / latitude / longitude / metAt apply to every card, as for a single scan
+// @access  Private
+router.post('/scan/bulk', authenticate, upload.array('cards', parseInt(process.env.MAX_BULK_IMAGES) || 50), handleUploadError, scanQuota('bulk'), async (req, res) => {
+  try {
+    if (!req.files || req.files.length === 0) {
+      return res.status(400).json({ success: false, message: 'No files uploaded' });
+    }
+
+    const provider = (req.body.provider || req.query.provider || '').trim().toLowerCase() || undefined;
+    if (provider && !extractionService.has(provider)) {
+      return res.status(400).json({
+        success: false,
+        message: `Unknown extraction provider "${provider}"`,
+        providers: extractionService.list(),
+      });
+    }
+
+    const meeting = await eventService.meetingContext(req.user, req.body);
+    if (meeting.error) {
+      return res.status(400).json({ success: false, message: meeting.error });
+    }
+
+    const jobId = await scanJobService.createJob(req.user.id, req.files, {
+      provider,
+      meeting: meeting.context,
+      usageId: req.scanUsageId,
+    });
+    console.log(`📦 Bulk scan job ${jobId} queued with ${req.files.length} image(s)`);
+
+    res.status(202).json({
+      success: true,
+      message: `${req.files.length} image(s) queued for scanning`,
+      jobId,
+      statusUrl: `/api/cards/scan/jobs/${jobId}`,
+    });
+
+  } catch (error) {
+    console.error('Bulk scan error:', error);
+    res.status(500).json({ success: false, message: 'Failed to queue bulk scan', error: error.message });
+  }
+});
+
+// @route   GET /api/cards/scan/jobs
+// @desc    List recent bulk scan jobs
+// @access  Private
+router.get('/scan/jobs', authenticate, async (req, res) => {
+  try {
+    const jobs = await scanJobService.listJobs(req.user.id, parseInt(req.query.limit) || 20);
+    res.json({ success: true, jobs });
+
+  } catch (error) {
+    console.error('Get scan jobs error:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch scan jobs' });
+  }
+});
+
+// @route   GET /api/cards/scan/jobs/:jobId
+// @desc    Bulk scan job progress with per-image results
+// @access  Private
+router.get('/scan/jobs/:jobId', authenticate, async (req, res) => {
+  try {
+    const result = await scanJobService.getJob(req.user.id, req.params.jobId);
+
+    if (!result) {
+      return res.status(404).json({ success: false, message: 'Scan job not found' });
+    }
+
+    res.json({ success: true, ...result });
+
+  } catch (error) {
+    console.error('Get scan job error:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch scan job' });
+  }
+});
+
+// @route   POST /api/cards/parse-text
+// @desc    Create a card from pasted `text` — email signature, LinkedIn contact info or
+//          vCard; optional `provider` pins one provider (openai or local)
+// @access  Private
+router.post('/parse-text', authenticate, scanQuota('text', (req) => (String(req.body.text || '').trim() ? 1 : 0)), async (req, res) => {
+  try {
+    const text = typeof req.body.text === 'string' ? req.body.text.trim() : '';
+    const maxLength = parseInt(process.env.MAX_PARSE_TEXT_LENGTH) || 20000;
+
+    if (!text) {
+      return res.status(400).json({ success: false, message: 'Text is required' });
+    }
+    if (text.length > maxLength) {
+      return res.status(400).json({ success: false, message: `Text is longer than ${maxLength} characters` });
+    }
+
+    const provider = (req.body.provider || '').trim().toLowerCase() || undefined;
+    if (provider && !extractionService.has(provider)) {
+      return res.status(400).json({
+        success: false,
+        message: `Unknown extraction provider "${provider}"`,
+        providers: extractionService.list(),
+      });
+    }
+
+    const meeting = await eventService.meetingContext(req.user, req.body);
+    if (meeting.error) {
+      return res.status(400).json({ success: false, message: meeting.error });
+    }
+
+    const extractionResult = await extractionService.extractFromText(text, { provider });
+
+    if (!extractionResult.success) {
+      await extractionLogService.record(req.user.id, null, extractionResult.extractions, { mode: 'text' });
+      return sendExtractionError(res, extractionResult);
+    }
+
+    // Unlike a photo there is nothing to keep for manual entry
+    if (extractionResult.fallback) {
+      await extractionLogService.record(req.user.id, null, extractionResult.extractions, { mode: 'text' });
+      return res.status(422).json({
+        success: false,
+        message: 'No contact details found in the text',
+        error: extractionResult.error,
+        attempts: extractionResult.attempts,
+      });
+    }
+
+    console.log(`✅ ${extractionResult.provider} text extraction successful:`, extractionResult.data);
+
+    const cardId = await cardService.createCard(req.user.id, {
+      ...cardService.buildCardRow(extractionResult.data, extractionResult.quality),
+      ...meeting.context,
+      source: 'text',
+    });
+    await extractionLogService.record(req.user.id, cardId, extractionResult.extractions, { mode: 'text' });
+    const duplicates = await duplicateService.flagCandidates(req.user.id, [cardId]);
+
+    const card = cardService.withImageUrls(
+      await cardService.getCard(cardId),
+      `${req.protocol}://${req.get('host')}`
+    );
+
+    res.json({
+      success: true,
+      message: extractionResult.quality.needsReview
+        ? 'Card created — some fields need review'
+        : 'Card created from text',
+      needsReview: extractionResult.quality.needsReview,
+      provider: extractionResult.provider,
+      attempts: extractionResult.attempts,
+      duplicates,
+      card,
+    });
+
+  } catch (error) {
+    console.error('Parse text error:', error);
+    res.status(500).json({ success: false, message: 'Failed to create card from text', error: error.message });
+  }
+});
+
 // @route   GET /api/cards
-// @desc    Get all cards for user
+// @desc    Search the user's cards.
+//          Filters: search (full text across every field, notes and contact points),
+//          jobTitle, company, city, country (name or ISO code), synced, hasEmail, hasPhone,
+//          emailed, needsReview (true / false), createdFrom / createdTo, metFrom / metTo
+//          (ISO dates), tags (comma-separated tag IDs or names) with tagMatch any | all,
+//          eventId (or "none").
+//          sort: created_at (default) | updated_at | met_at | name | company | job_title |
+//          confidence | relevance (default with a search); order: asc | desc.
+//          Pages: `page` + `limit`, or `cursor` — pass back `pagination.nextCursor` for
+//          a page that stays stable while new cards are added (not with sort=relevance,
+//          which pages by offset only)
 // @access  Private
 router.get('/', authenticate, async (req, res) => {
   try {
-    const { page = 1, limit = 20, search = '' } = req.query;
-    const offset = (page - 1) * limit;
+    const result = await cardSearchService.search(req.user.id, req.query);
+
+    if (result.error) {
+      return res.status(400).json({ success: false, message: result.error });
+    }
+
+    const { cards, total, limit, nextCursor, sort, order } = result;
+    await cardService.attachContactPoints(cards);
+    await cardService.attachTags(cards);
+
+    const page = req.query.cursor ? null : Math.max(parseInt(req.query.page) || 1, 1);
+
+    res.json({
+      success: true,
+      cards,
+      sort,
+      order,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit),
+        nextCursor,
+      },
+    });
+
+  } catch (error) {
+    console.error('Get cards error:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch cards' });
+  }
+});
 
-    let query = 'SELECT * FROM business_cards WHERE user_id = ?';
-    const params = [req.user.id];
+// @route   GET /api/cards/export
+// @desc    Download cards as vCard, CSV or XLSX (streamed) — format (vcard | csv | xlsx),
+//          columns (comma-separated, csv / xlsx), version (3.0 | 4.0) and photos (vcard),
+//          cardIds (comma-separated), and the filters of GET /api/cards; all cards by default
+// @access  Private
+router.get('/export', authenticate, async (req, res) => {
+  try {
+    const exportOptions = await exportService.prepare(req.user.id, req.query);
 
-    if (search) {
-      query += ' AND (name LIKE ? OR email LIKE ? OR company LIKE ?)';
-      const searchTerm = `%${search}%`;
-      params.push(searchTerm, searchTerm, searchTerm);
+    if (exportOptions.error) {
+      return res.status(400).json({ success: false, message: exportOptions.error });
     }
 
-    query += ' ORDER BY created_at DESC LIMIT ? OFFSET ?';
-    params.push(parseInt(limit), parseInt(offset));
+    const { contentType, filename } = exportService.download(exportOptions.format);
+    res.setHeader('Content-Type', contentType);
+    res.setHeader('Content-Disposition', exportService.attachmentHeader(filename));
 
-    const [cards] = await pool.query(query, params);
+    const exported = await exportService.streamExport(exportOptions, res);
+    console.log(`📤 Exported ${exported} card(s) as ${exportOptions.format}`);
 
-    let countQuery = 'SELECT COUNT(*) as total FROM business_cards WHERE user_id = ?';
-    const countParams = [req.user.id];
+  } catch (error) {
+    console.error('Export cards error:', error);
+    if (res.headersSent) {
+      res.destroy(error);
+    } else {
+      res.status(500).json({ success: false, message: 'Failed to export cards' });
+    }
+  }
+});
 
-    if (search) {
-      countQuery += ' AND (name LIKE ? OR email LIKE ? OR company LIKE ?)';
-      const searchTerm = `%${search}%`;
-      countParams.push(searchTerm, searchTerm, searchTerm);
+// @route   POST /api/cards/import
+// @desc    Import contacts from a CSV, LinkedIn Connections.csv or .vcf file (multipart `file`).
+//          Fields: format (csv | linkedin | vcard, detected by default), mapping (JSON
+//          { column: field | null } over the suggested one), dryRun (true: report only),
+//          onDuplicate (skip | update — fill empty fields | create), tags (comma-separated,
+//          added to every imported card). Returns a report row per record: created | updated | skipped
+// @access  Private
+router.post('/import', authenticate, importUpload.single('file'), handleUploadError, async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ success: false, message: 'A CSV or vCard file is required' });
     }
 
-    const [countResult] = await pool.query(countQuery, countParams);
+    const format = req.body.format ? String(req.body.format).toLowerCase() : undefined;
+    if (format && !importService.formats.includes(format)) {
+      return res.status(400).json({ success: false, message: `format must be one of: ${importService.formats.join(', ')}` });
+    }
+
+    let mapping = req.body.mapping || null;
+    if (typeof mapping === 'string') {
+      try {
+        mapping = JSON.parse(mapping);
+      } catch {
+        return res.status(400).json({ success: false, message: 'mapping must be a JSON object of column → field' });
+      }
+    }
+
+    const parsed = importService.parseFile(req.file, format);
+    if (parsed.error) {
+      return res.status(400).json({ success: false, message: parsed.error });
+    }
+
+    const report = await importService.run(req.user, parsed, {
+      mapping,
+      dryRun: ['true', '1', 'yes'].includes(String(req.body.dryRun).toLowerCase()),
+      onDuplicate: req.body.onDuplicate || 'skip',
+      tags: String(req.body.tags || '').split(',').map((tag) => tag.trim()).filter(Boolean),
+      filename: req.file.originalname,
+    });
+
+    if (report.error) {
+      return res.status(400).json({ success: false, message: report.error });
+    }
+
+    const { created, updated, skipped } = report.summary;
+    res.json({
+      success: true,
+      message: report.dryRun
+        ? `Preview: ${created} to create, ${updated} to update, ${skipped} to skip`
+        : `Imported: ${created} created, ${updated} updated, ${skipped} skipped`,
+      fields: importService.fields,
+      ...report,
+    });
+
+  } catch (error) {
+    console.error('Import cards error:', error);
+    res.status(500).json({ success: false, message: 'Import failed — no cards were saved', error: error.message });
+  }
+});
+
+// @route   GET /api/cards/review
+// @desc    List cards flagged for review (low confidence or failed validation)
+// @access  Private
+router.get('/review', authenticate, async (req, res) => {
+  try {
+    const { page = 1, limit = 20 } = req.query;
+    const offset = (page - 1) * limit;
+
+    const [cards] = await pool.query(
+      `SELECT * FROM business_cards
+       WHERE user_id = ? AND needs_review = TRUE AND deleted_at IS NULL
+       ORDER BY confidence_score ASC, created_at DESC
+       LIMIT ? OFFSET ?`,
+      [req.user.id, parseInt(limit), parseInt(offset)]
+    );
+
+    const [countResult] = await pool.query(
+      'SELECT COUNT(*) as total FROM business_cards WHERE user_id = ? AND needs_review = TRUE AND deleted_at IS NULL',
+      [req.user.id]
+    );
     const total = countResult[0].total;
 
     res.json({
@@ -180,8 +624,171 @@ router.get('/', authenticate, async (req, res) => {
     });
 
   } catch (error) {
-    console.error('Get cards error:', error);
-    res.status(500).json({ success: false, message: 'Failed to fetch cards' });
+    console.error('Get review queue error:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch review queue' });
+  }
+});
+
+// @route   GET /api/cards/trash
+// @desc    List trashed cards, most recently deleted first, with the date each will be purged
+// @access  Private
+router.get('/trash', authenticate, async (req, res) => {
+  try {
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+
+    const { cards, total, retentionDays } = await trashService.listTrash(req.user.id, {
+      limit,
+      offset: (page - 1) * limit,
+    });
+
+    res.json({
+      success: true,
+      cards,
+      retentionDays,
+      pagination: { page, limit, total, pages: Math.ceil(total / limit) },
+    });
+
+  } catch (error) {
+    console.error('Get trash error:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch trash' });
+  }
+});
+
+// @route   POST /api/cards/trash/restore
+// @desc    Restore trashed cards — { cardIds }
+// @access  Private
+router.post('/trash/restore', authenticate, async (req, res) => {
+  try {
+    const cardIds = Array.isArray(req.body.cardIds) ? req.body.cardIds.map((id) => parseInt(id)).filter(Boolean) : [];
+
+    if (cardIds.length === 0) {
+      return res.status(400).json({ success: false, message: 'Card IDs are required' });
+    }
+
+    const restored = await trashService.restoreCards(req.user.id, cardIds);
+
+    res.json({ success: true, message: `${restored} card(s) restored`, restored });
+
+  } catch (error) {
+    console.error('Restore cards error:', error);
+    res.status(500).json({ success: false, message: 'Failed to restore cards' });
+  }
+});
+
+// @route   POST /api/cards/trash/:id/restore
+// @desc    Restore a trashed card
+// @access  Private
+router.post('/trash/:id/restore', authenticate, async (req, res) => {
+  try {
+    const restored = await trashService.restoreCards(req.user.id, [req.params.id]);
+
+    if (restored === 0) {
+      return res.status(404).json({ success: false, message: 'Card not found in trash' });
+    }
+
+    res.json({
+      success: true,
+      message: 'Card restored successfully',
+      card: await cardService.getCard(req.params.id),
+    });
+
+  } catch (error) {
+    console.error('Restore card error:', error);
+    res.status(500).json({ success: false, message: 'Failed to restore card' });
+  }
+});
+
+// @route   DELETE /api/cards/trash/:id
+// @desc    Permanently delete a trashed card and its image files now
+// @access  Private
+router.delete('/trash/:id', authenticate, async (req, res) => {
+  try {
+    const purged = await trashService.purgeCards(req.user.id, [req.params.id]);
+
+    if (purged.cards === 0) {
+      return res.status(404).json({ success: false, message: 'Card not found in trash' });
+    }
+
+    res.json({ success: true, message: 'Card deleted permanently', filesDeleted: purged.files });
+
+  } catch (error) {
+    console.error('Purge card error:', error);
+    res.status(500).json({ success: false, message: 'Failed to delete card' });
+  }
+});
+
+// @route   GET /api/cards/duplicates
+// @desc    List likely duplicate pairs (status: pending | dismissed), best match first
+// @access  Private
+router.get('/duplicates', authenticate, async (req, res) => {
+  try {
+    const { page = 1, limit = 20, status = 'pending' } = req.query;
+    const offset = (page - 1) * limit;
+
+    if (!['pending', 'dismissed'].includes(status)) {
+      return res.status(400).json({ success: false, message: 'Status must be pending or dismissed' });
+    }
+
+    const { duplicates, total } = await duplicateService.listDuplicates(req.user.id, {
+      status,
+      limit: parseInt(limit),
+      offset: parseInt(offset),
+    });
+
+    const baseUrl = `${req.protocol}://${req.get('host')}`;
+    for (const pair of duplicates) {
+      cardService.withImageUrls(pair.card, baseUrl);
+      cardService.withImageUrls(pair.candidate, baseUrl);
+    }
+
+    res.json({
+      success: true,
+      duplicates,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit),
+      },
+    });
+
+  } catch (error) {
+    console.error('Get duplicates error:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch duplicates' });
+  }
+});
+
+// @route   POST /api/cards/duplicates/refresh
+// @desc    Check all of the user's cards for duplicates (cards saved before detection existed)
+// @access  Private
+router.post('/duplicates/refresh', authenticate, async (req, res) => {
+  try {
+    const found = await duplicateService.refresh(req.user.id);
+    res.json({ success: true, message: `${found} new possible duplicate pair(s) found`, found });
+
+  } catch (error) {
+    console.error('Refresh duplicates error:', error);
+    res.status(500).json({ success: false, message: 'Failed to check for duplicates', error: error.message });
+  }
+});
+
+// @route   POST /api/cards/duplicates/:pairId/dismiss
+// @desc    Mark a duplicate pair as not the same person
+// @access  Private
+router.post('/duplicates/:pairId/dismiss', authenticate, async (req, res) => {
+  try {
+    const dismissed = await duplicateService.dismiss(req.user.id, req.params.pairId);
+
+    if (!dismissed) {
+      return res.status(404).json({ success: false, message: 'Duplicate pair not found' });
+    }
+
+    res.json({ success: true, message: 'Duplicate dismissed' });
+
+  } catch (error) {
+    console.error('Dismiss duplicate error:', error);
+    res.status(500).json({ success: false, message: 'Failed to dismiss duplicate' });
   }
 });
 
@@ -191,7 +798,7 @@ router.get('/', authenticate, async (req, res) => {
 router.get('/:id', authenticate, async (req, res) => {
   try {
     const [cards] = await pool.query(
-      'SELECT * FROM business_cards WHERE id = ? AND user_id = ?',
+      'SELECT * FROM business_cards WHERE id = ? AND user_id = ? AND deleted_at IS NULL',
       [req.params.id, req.user.id]
     );
 
@@ -199,6 +806,9 @@ router.get('/:id', authenticate, async (req, res) => {
       return res.status(404).json({ success: false, message: 'Card not found' });
     }
 
+    await cardService.attachContactPoints(cards);
+    await cardService.attachTags(cards);
+
     res.json({ success: true, card: cards[0] });
 
   } catch (error) {
@@ -208,14 +818,77 @@ router.get('/:id', authenticate, async (req, res) => {
 });
 
 // @route   PUT /api/cards/:id
-// @desc    Update card
+// @desc    Replace card fields (omitted name / company / job_title / address / notes are
+//          cleared — use PATCH to change only some) — `phones` / `emails` / `websites` /
+//          `socials` arrays of { type, value } replace the typed contact points; plain
+//          phone / email / website replace the primary. address_street / _city / _region /
+//          _postal_code / _country set the address parts, otherwise they are parsed from
+//          `address`; likewise name_prefix / first_name / middle_name / last_name /
+//          name_suffix for `name`
 // @access  Private
 router.put('/:id', authenticate, async (req, res) => {
   try {
-    const { name, email, phone, company, job_title, address, website, notes } = req.body;
+    const edit = await cardService.editCard(req.user.id, req.params.id, (card, connection) =>
+      cardService.updateCard(card, req.body, req.user.default_region, { connection }));
+
+    if (!edit) {
+      return res.status(404).json({ success: false, message: 'Card not found' });
+    }
+
+    res.json({
+      success: true,
+      message: 'Card updated successfully',
+      revision: edit.result,
+      card: await cardService.getCard(req.params.id),
+    });
+
+  } catch (error) {
+    console.error('Update card error:', error);
+    res.status(500).json({ success: false, message: 'Failed to update card' });
+  }
+});
+
+// @route   PATCH /api/cards/:id
+// @desc    Update only the fields sent (same fields as PUT); every change is kept in the card's history
+// @access  Private
+router.patch('/:id', authenticate, async (req, res) => {
+  try {
+    const edit = await cardService.editCard(req.user.id, req.params.id, (card, connection) =>
+      cardService.patchCard(card, req.body, req.user.default_region, { connection }));
+
+    if (!edit) {
+      return res.status(404).json({ success: false, message: 'Card not found' });
+    }
+
+    res.json({
+      success: true,
+      message: edit.result ? 'Card updated successfully' : 'No changes',
+      revision: edit.result,
+      card: await cardService.getCard(req.params.id),
+    });
+
+  } catch (error) {
+    console.error('Patch card error:', error);
+    res.status(500).json({ success: false, message: 'Failed to update card' });
+  }
+});
+
+// @route   GET /api/cards/:id/vcard
+// @desc    Download a card as a vCard (version 3.0 | 4.0) with its image embedded as the photo
+// @access  Private
+router.get('/:id/vcard', authenticate, async (req, res) => {
+  try {
+    const version = String(req.query.version || '3.0');
+
+    if (!exportService.vcardVersions.includes(version)) {
+      return res.status(400).json({
+        success: false,
+        message: `vCard version must be one of: ${exportService.vcardVersions.join(', ')}`,
+      });
+    }
 
     const [cards] = await pool.query(
-      'SELECT * FROM business_cards WHERE id = ? AND user_id = ?',
+      'SELECT id FROM business_cards WHERE id = ? AND user_id = ? AND deleted_at IS NULL',
       [req.params.id, req.user.id]
     );
 
@@ -223,38 +896,351 @@ router.put('/:id', authenticate, async (req, res) => {
       return res.status(404).json({ success: false, message: 'Card not found' });
     }
 
-    await pool.query(
-      `UPDATE business_cards SET
-        name = ?, email = ?, phone = ?, company = ?,
-        job_title = ?, address = ?, website = ?, notes = ?
-       WHERE id = ? AND user_id = ?`,
-      [name, email, phone, company, job_title, address, website, notes, req.params.id, req.user.id]
+    const card = await cardService.getCard(cards[0].id);
+    const vcard = await exportService.cardVCard(card, version);
+    const filename = `${(card.name || card.company || `card-${card.id}`).replace(/[\\/:*?"<>|\r\n]+/g, ' ').trim()}.vcf`;
+
+    res.setHeader('Content-Type', 'text/vcard; charset=utf-8');
+    res.setHeader('Content-Disposition', exportService.attachmentHeader(filename));
+    res.send(vcard);
+
+  } catch (error) {
+    console.error('Export vCard error:', error);
+    res.status(500).json({ success: false, message: 'Failed to export card' });
+  }
+});
+
+// @route   GET /api/cards/:id/history
+// @desc    Revision history of a card, newest first — per revision: source
+//          (ocr | user | google-sync | import), time and the changed fields' old / new values
+// @access  Private
+router.get('/:id/history', authenticate, async (req, res) => {
+  try {
+    const [cards] = await pool.query(
+      'SELECT id FROM business_cards WHERE id = ? AND user_id = ? AND deleted_at IS NULL',
+      [req.params.id, req.user.id]
     );
 
-    const [updatedCards] = await pool.query(
-      'SELECT * FROM business_cards WHERE id = ?',
-      [req.params.id]
+    if (cards.length === 0) {
+      return res.status(404).json({ success: false, message: 'Card not found' });
+    }
+
+    const revisions = await revisionService.getHistory(cards[0].id);
+    res.json({ success: true, revisions });
+
+  } catch (error) {
+    console.error('Get card history error:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch card history' });
+  }
+});
+
+// @route   POST /api/cards/:id/revert
+// @desc    Restore the card's fields to how they were right after `revision`
+//          (recorded as a new user revision, so the revert itself can be undone)
+// @access  Private
+router.post('/:id/revert', authenticate, async (req, res) => {
+  try {
+    const revisionNumber = parseInt(req.body.revision);
+
+    if (!revisionNumber) {
+      return res.status(400).json({ success: false, message: 'A revision number is required' });
+    }
+
+    const edit = await cardService.editCard(req.user.id, req.params.id, async (locked, connection) => {
+      const [card] = await cardService.attachContactPoints([locked], connection);
+      const state = await revisionService.stateAt(card.id, revisionNumber, revisionService.snapshot(card));
+      if (!state || state.fields.length === 0) return { state, revision: null };
+
+      const changes = Object.fromEntries(state.fields.map((field) => [field, state.values[field]]));
+      const revision = await cardService.patchCard(card, changes, req.user.default_region, {
+        source: 'user',
+        note: `Reverted to revision ${revisionNumber}`,
+        connection,
+      });
+      return { state, revision };
+    });
+
+    if (!edit) {
+      return res.status(404).json({ success: false, message: 'Card not found' });
+    }
+
+    const { state, revision } = edit.result;
+
+    if (!state) {
+      return res.status(404).json({ success: false, message: `Revision ${revisionNumber} not found for this card` });
+    }
+
+    res.json({
+      success: true,
+      message: revision ? `Card reverted to revision ${revisionNumber}` : `Card already matches revision ${revisionNumber}`,
+      revertedFields: state.fields,
+      revision,
+      card: await cardService.getCard(req.params.id),
+    });
+
+  } catch (error) {
+    console.error('Revert card error:', error);
+    res.status(500).json({ success: false, message: 'Failed to revert card', error: error.message });
+  }
+});
+
+// @route   GET /api/cards/:id/extractions
+// @desc    Stored extraction attempts for a card (provider, prompt version, raw output, latency, errors)
+// @access  Private
+router.get('/:id/extractions', authenticate, async (req, res) => {
+  try {
+    const extractions = await extractionLogService.listForCard(req.user.id, req.params.id);
+    res.json({ success: true, extractions });
+
+  } catch (error) {
+    console.error('Get extractions error:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch extractions' });
+  }
+});
+
+// @route   POST /api/cards/:id/rescan
+// @desc    Re-run extraction on the stored image (`side`: front | back, optional `provider`)
+//          and return a field-by-field diff against the card — nothing changes until the
+//          diff is applied with POST /api/cards/:id/rescan/:extractionId/apply
+// @access  Private
+router.post('/:id/rescan', authenticate, scanQuota('rescan', () => 1), async (req, res) => {
+  try {
+    const provider = (req.body.provider || req.query.provider || '').trim().toLowerCase() || undefined;
+    if (provider && !extractionService.has(provider)) {
+      return res.status(400).json({
+        success: false,
+        message: `Unknown extraction provider "${provider}"`,
+        providers: extractionService.list(),
+      });
+    }
+
+    const [cards] = await pool.query(
+      'SELECT * FROM business_cards WHERE id = ? AND user_id = ? AND deleted_at IS NULL',
+      [req.params.id, req.user.id]
     );
 
+    if (cards.length === 0) {
+      return res.status(404).json({ success: false, message: 'Card not found' });
+    }
+
+    const [card] = await cardService.attachContactPoints(cards);
+    const side = req.body.side === 'back' ? 'back' : 'front';
+
+    // Cards split from a multi-card photo are re-detected from the whole photo
+    const fromMultiPhoto = side === 'front' && card.source_image_url && card.source_card_index != null;
+    const imageUrl = fromMultiPhoto ? card.source_image_url : side === 'back' ? card.back_image_url : card.image_url;
+
+    if (!imageUrl) {
+      return res.status(400).json({ success: false, message: `Card has no ${side} image to rescan` });
+    }
+
+    const imagePath = storedImagePath(imageUrl);
+    if (!fs.existsSync(imagePath)) {
+      return res.status(404).json({ success: false, message: 'Stored card image not found' });
+    }
+
+    console.log(`🔁 Rescanning card ${card.id} (${side}) with ${provider || extractionService.getOrder().join(' → ')}...`);
+
+    const extractionResult = fromMultiPhoto
+      ? await extractionService.extractMultipleCards(imagePath, { provider })
+      : await extractionService.extractCardInfo(imagePath, { provider });
+
+    const extractionIds = await extractionLogService.record(
+      req.user.id, card.id, extractionResult.extractions, { mode: 'rescan', side }
+    );
+
+    if (!extractionResult.success) {
+      return sendExtractionError(res, extractionResult);
+    }
+
+    const detected = fromMultiPhoto ? extractionResult.cards[card.source_card_index] : extractionResult;
+
+    if (!detected || extractionResult.fallback) {
+      return res.status(422).json({
+        success: false,
+        message: detected ? 'The card could not be read — nothing to compare' : 'The card was not found in the photo again',
+        error: extractionResult.error,
+        attempts: extractionResult.attempts,
+      });
+    }
+
+    const diff = diffCard(card, detected.data, detected.quality.fieldConfidence);
+    const extractionId = extractionIds[extractionIds.length - 1];
+
     res.json({
       success: true,
-      message: 'Card updated successfully',
-      card: updatedCards[0],
+      provider: extractionResult.provider,
+      attempts: extractionResult.attempts,
+      extractionId,
+      changedFields: diff.filter((entry) => entry.changed).map((entry) => entry.field),
+      diff,
+      applyUrl: `/api/cards/${card.id}/rescan/${extractionId}/apply`,
     });
 
   } catch (error) {
-    console.error('Update card error:', error);
-    res.status(500).json({ success: false, message: 'Failed to update card' });
+    console.error('Rescan card error:', error);
+    res.status(500).json({ success: false, message: 'Failed to rescan card', error: error.message });
   }
 });
 
-// @route   DELETE /api/cards/:id
-// @desc    Delete card
+// @route   POST /api/cards/:id/rescan/:extractionId/apply
+// @desc    Accept `fields` (default: every changed field) from a rescan; the rest are rejected
 // @access  Private
-router.delete('/:id', authenticate, async (req, res) => {
+router.post('/:id/rescan/:extractionId/apply', authenticate, async (req, res) => {
+  try {
+    const [cards] = await pool.query(
+      'SELECT * FROM business_cards WHERE id = ? AND user_id = ? AND deleted_at IS NULL',
+      [req.params.id, req.user.id]
+    );
+
+    if (cards.length === 0) {
+      return res.status(404).json({ success: false, message: 'Card not found' });
+    }
+
+    const extraction = await extractionLogService.getExtraction(req.user.id, req.params.extractionId);
+
+    if (!extraction || extraction.card_id !== cards[0].id || extraction.status !== 'succeeded') {
+      return res.status(404).json({ success: false, message: 'Extraction not found for this card' });
+    }
+
+    if (extraction.applied_at) {
+      return res.status(409).json({ success: false, message: 'This extraction has already been applied' });
+    }
+
+    const [card] = await cardService.attachContactPoints(cards);
+    const parsed = Array.isArray(extraction.parsed_result)
+      ? extraction.parsed_result[card.source_card_index]
+      : extraction.parsed_result;
+    const data = parsed?.data || {};
+
+    const changed = diffCard(card, data).filter((entry) => entry.changed).map((entry) => entry.field);
+    const fields = Array.isArray(req.body.fields) ? req.body.fields : changed;
+
+    const unknown = fields.filter((field) => !DIFF_FIELDS.includes(field));
+    if (unknown.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Unknown field(s): ${unknown.join(', ')}`,
+        fields: DIFF_FIELDS,
+      });
+    }
+
+    if (fields.length > 0) {
+      await cardService.editCard(req.user.id, card.id, async (locked, connection) => {
+        const [current] = await cardService.attachContactPoints([locked], connection);
+        return cardService.updateCard(current, acceptedUpdate(current, data, fields), req.user.default_region, {
+          source: 'ocr',
+          note: `Rescan #${extraction.id} applied`,
+          connection,
+        });
+      });
+    }
+    await extractionLogService.markApplied(extraction.id, fields);
+
+    res.json({
+      success: true,
+      message: fields.length > 0 ? `${fields.length} field(s) updated from the rescan` : 'Rescan rejected — card unchanged',
+      appliedFields: fields,
+      card: await cardService.getCard(card.id),
+    });
+
+  } catch (error) {
+    console.error('Apply rescan error:', error);
+    res.status(500).json({ success: false, message: 'Failed to apply rescan', error: error.message });
+  }
+});
+
+// @route   PUT /api/cards/:id/tags
+// @desc    Replace the card's tags — `tags` is a list of tag IDs or names; new names are created
+// @access  Private
+router.put('/:id/tags', authenticate, async (req, res) => {
+  try {
+    if (!Array.isArray(req.body.tags)) {
+      return res.status(400).json({ success: false, message: 'Tags must be a list of tag IDs or names' });
+    }
+
+    const [cards] = await pool.query(
+      'SELECT id FROM business_cards WHERE id = ? AND user_id = ? AND deleted_at IS NULL',
+      [req.params.id, req.user.id]
+    );
+
+    if (cards.length === 0) {
+      return res.status(404).json({ success: false, message: 'Card not found' });
+    }
+
+    const { tagIds, unknown } = await tagService.resolveTags(req.user.id, req.body.tags, { create: true });
+    if (unknown.length > 0) {
+      return res.status(400).json({ success: false, message: `Unknown tag(s): ${unknown.join(', ')}` });
+    }
+
+    await tagService.setCardTags(req.user.id, cards[0].id, tagIds);
+    const [card] = await cardService.attachTags(cards);
+
+    res.json({ success: true, message: 'Card tags updated', tags: card.tags });
+
+  } catch (error) {
+    console.error('Set card tags error:', error);
+    res.status(500).json({ success: false, message: 'Failed to update card tags', error: error.message });
+  }
+});
+
+// @route   POST /api/cards/:id/merge
+// @desc    Merge another card (`duplicateId`) into this one and delete it. The duplicate's
+//          value is used for fields listed in `fields` and for fields this card lacks;
+//          both cards' contact points and images are kept, sent emails are re-pointed.
+// @access  Private
+router.post('/:id/merge', authenticate, async (req, res) => {
+  try {
+    const primaryId = parseInt(req.params.id);
+    const duplicateId = parseInt(req.body.duplicateId);
+    const fields = Array.isArray(req.body.fields) ? req.body.fields : [];
+
+    if (!duplicateId) {
+      return res.status(400).json({ success: false, message: 'duplicateId is required' });
+    }
+    if (duplicateId === primaryId) {
+      return res.status(400).json({ success: false, message: 'A card cannot be merged into itself' });
+    }
+
+    const unknown = fields.filter((field) => !duplicateService.mergeFields.includes(field));
+    if (unknown.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Unknown field(s): ${unknown.join(', ')}`,
+        fields: duplicateService.mergeFields,
+      });
+    }
+
+    const merged = await duplicateService.mergeCards(
+      req.user.id, primaryId, duplicateId, fields, req.user.default_region
+    );
+
+    if (!merged) {
+      return res.status(404).json({ success: false, message: 'Card not found' });
+    }
+
+    res.json({
+      success: true,
+      message: `Card #${duplicateId} merged into #${primaryId}`,
+      fieldsFromDuplicate: merged.fields,
+      repointed: merged.repointed,
+      card: cardService.withImageUrls(merged.card, `${req.protocol}://${req.get('host')}`),
+    });
+
+  } catch (error) {
+    console.error('Merge cards error:', error);
+    res.status(500).json({ success: false, message: 'Failed to merge cards', error: error.message });
+  }
+});
+
+// @route   POST /api/cards/:id/reviewed
+// @desc    Mark a card as reviewed without editing it
+// @access  Private
+router.post('/:id/reviewed', authenticate, async (req, res) => {
   try {
     const [result] = await pool.query(
-      'DELETE FROM business_cards WHERE id = ? AND user_id = ?',
+      `UPDATE business_cards SET needs_review = FALSE, reviewed_at = NOW()
+       WHERE id = ? AND user_id = ? AND deleted_at IS NULL`,
       [req.params.id, req.user.id]
     );
 
@@ -262,7 +1248,29 @@ router.delete('/:id', authenticate, async (req, res) => {
       return res.status(404).json({ success: false, message: 'Card not found' });
     }
 
-    res.json({ success: true, message: 'Card deleted successfully' });
+    res.json({ success: true, message: 'Card marked as reviewed' });
+
+  } catch (error) {
+    console.error('Mark reviewed error:', error);
+    res.status(500).json({ success: false, message: 'Failed to mark card as reviewed' });
+  }
+});
+
+// @route   DELETE /api/cards/:id
+// @desc    Move a card to the trash (restorable until it is purged, see GET /api/cards/trash)
+// @access  Private
+router.delete('/:id', authenticate, async (req, res) => {
+  try {
+    const trashed = await trashService.trashCards(req.user.id, [req.params.id]);
+
+    if (trashed === 0) {
+      return res.status(404).json({ success: false, message: 'Card not found' });
+    }
+
+    res.json({
+      success: true,
+      message: `Card moved to trash — it will be deleted permanently in ${trashService.retentionDays} days`,
+    });
 
   } catch (error) {
     console.error('Delete card error:', error);
@@ -276,7 +1284,7 @@ router.delete('/:id', authenticate, async (req, res) => {
 router.post('/:id/sync', authenticate, async (req, res) => {
   try {
     const [cards] = await pool.query(
-      'SELECT * FROM business_cards WHERE id = ? AND user_id = ?',
+      'SELECT * FROM business_cards WHERE id = ? AND user_id = ? AND deleted_at IS NULL',
       [req.params.id, req.user.id]
     );
 
@@ -284,7 +1292,7 @@ router.post('/:id/sync', authenticate, async (req, res) => {
       return res.status(404).json({ success: false, message: 'Card not found' });
     }
 
-    const card = cards[0];
+    const [card] = await cardService.attachContactPoints(cards);
     const syncResult = await googleContactsService.syncContact(req.user.id, card);
 
     if (!syncResult.success) {
@@ -295,10 +1303,7 @@ router.post('/:id/sync', authenticate, async (req, res) => {
       });
     }
 
-    await pool.query(
-      'UPDATE business_cards SET synced_to_google = TRUE, google_contact_id = ? WHERE id = ?',
-      [syncResult.contactId, req.params.id]
-    );
+    await cardService.markSynced(card, syncResult.contactId);
 
     res.json({
       success: true,
@@ -325,7 +1330,7 @@ router.post('/batch-sync', authenticate, async (req, res) => {
 
     const placeholders = cardIds.map(() => '?').join(',');
     const [cards] = await pool.query(
-      `SELECT * FROM business_cards WHERE id IN (${placeholders}) AND user_id = ?`,
+      `SELECT * FROM business_cards WHERE id IN (${placeholders}) AND user_id = ? AND deleted_at IS NULL`,
       [...cardIds, req.user.id]
     );
 
@@ -333,14 +1338,12 @@ router.post('/batch-sync', authenticate, async (req, res) => {
       return res.status(404).json({ success: false, message: 'No cards found' });
     }
 
+    await cardService.attachContactPoints(cards);
     const results = await googleContactsService.batchSyncContacts(req.user.id, cards);
 
     for (const result of results) {
       if (result.success) {
-        await pool.query(
-          'UPDATE business_cards SET synced_to_google = TRUE, google_contact_id = ? WHERE id = ?',
-          [result.googleContactId, result.contactId]
-        );
+        await cardService.markSynced(cards.find((card) => card.id === result.contactId), result.googleContactId);
       }
     }
 
@@ -358,6 +1361,32 @@ router.post('/batch-sync', authenticate, async (req, res) => {
   }
 });
 
+// @route   POST /api/cards/bulk
+// @desc    Apply one action to many cards in a single transaction — { action, cardIds | filter, ... }:
+//          delete, tag / untag (tags), set_field (field, value), assign_event (eventId),
+//          mark_reviewed. `filter` takes the filters of GET /api/cards. set_field leaves cards
+//          in the review queue. Returns a status per card: updated | unchanged | not_found
+// @access  Private
+router.post('/bulk', authenticate, async (req, res) => {
+  try {
+    const result = await cardBulkService.run(req.user, req.body);
+
+    if (result.error) {
+      return res.status(400).json({ success: false, message: result.error });
+    }
+
+    res.json({
+      success: true,
+      message: `${result.updated} of ${result.matched} card(s) updated`,
+      ...result,
+    });
+
+  } catch (error) {
+    console.error('Bulk card action error:', error);
+    res.status(500).json({ success: false, message: 'Bulk action failed — no cards were changed', error: error.message });
+  }
+});
+
 // @route   GET /api/cards/dashboard/stats
 // @desc    Get cards statistics
 // @access  Private
@@ -367,8 +1396,9 @@ router.get('/dashboard/stats', authenticate, async (req, res) => {
       `SELECT
         COUNT(*) as total_cards,
         SUM(CASE WHEN synced_to_google = TRUE THEN 1 ELSE 0 END) as synced_cards,
+        SUM(CASE WHEN needs_review = TRUE THEN 1 ELSE 0 END) as needs_review_cards,
         COUNT(DISTINCT DATE(created_at)) as active_days
-       FROM business_cards WHERE user_id = ?`,
+       FROM business_cards WHERE user_id = ? AND deleted_at IS NULL`,
       [req.user.id]
     );
 
@@ -3,6 +3,11 @@ const router = express.Router();
 const { pool } = require('../config/database');
 const authenticate = require('../middleware/authenticate');
 const gmailService = require('../services/gmailService');
+const cardService = require('../services/cardService');
+const tagService = require('../services/tagService');
+const eventService = require('../services/eventService');
+const { nameParts } = require('../utils/nameParser');
+const { profileLinks } = require('../utils/socialProfiles');
 
 // @route   GET /api/email/drafts
 // @desc    Get Gmail drafts
@@ -58,25 +63,43 @@ router.get('/drafts/:draftId', authenticate, async (req, res) => {
 });
 
 // @route   POST /api/email/campaigns
-// @desc    Create and send email campaign
+// @desc    Create and send email campaign. Recipients are `cardIds`, or every card with an
+//          email tagged with `tags` (tag IDs or names; tagMatch: any (default) | all)
 // @access  Private
 router.post('/campaigns', authenticate, async (req, res) => {
   try {
-    const { campaignName, senderName, draftId, subject, body, cardIds, customNotes } = req.body;
+    const { campaignName, senderName, draftId, subject, body, cardIds, customNotes, tags, tagMatch } = req.body;
+    const byCardIds = Array.isArray(cardIds) && cardIds.length > 0;
+    const byTags = Array.isArray(tags) && tags.length > 0;
 
-    if (!campaignName || !senderName || !subject || !body || !cardIds || !Array.isArray(cardIds) || cardIds.length === 0) {
+    if (!campaignName || !senderName || !subject || !body || (!byCardIds && !byTags)) {
       return res.status(400).json({
         success: false,
-        message: 'Campaign name, sender name, subject, body, and card IDs are required'
+        message: 'Campaign name, sender name, subject, body, and card IDs or tags are required'
       });
     }
 
     // Get cards
-    const placeholders = cardIds.map(() => '?').join(',');
-    const [cards] = await pool.query(
-      `SELECT * FROM business_cards WHERE id IN (${placeholders}) AND user_id = ?`,
-      [...cardIds, req.user.id]
-    );
+    let cards;
+    if (byCardIds) {
+      const placeholders = cardIds.map(() => '?').join(',');
+      [cards] = await pool.query(
+        `SELECT * FROM business_cards WHERE id IN (${placeholders}) AND user_id = ? AND deleted_at IS NULL`,
+        [...cardIds, req.user.id]
+      );
+    } else {
+      const { tagIds, unknown } = await tagService.resolveTags(req.user.id, tags);
+      if (unknown.length > 0) {
+        return res.status(400).json({ success: false, message: `Unknown tag(s): ${unknown.join(', ')}` });
+      }
+
+      const tagFilter = tagService.cardFilter(tagIds, tagMatch === 'all' ? 'all' : 'any');
+      [cards] = await pool.query(
+        `SELECT * FROM business_cards
+         WHERE user_id = ? AND deleted_at IS NULL AND email IS NOT NULL AND email <> '' AND ${tagFilter.sql}`,
+        [req.user.id, ...tagFilter.params]
+      );
+    }
 
     if (cards.length === 0) {
       return res.status(404).json({
@@ -85,6 +108,12 @@ router.post('/campaigns', authenticate, async (req, res) => {
       });
     }
 
+    // Social profiles for the {{linkedin}} / {{twitter}} / … merge tags
+    await cardService.attachContactPoints(cards);
+
+    // Where each contact was met, for {{event_name}}
+    const eventNames = await eventService.namesFor(cards.map((card) => card.event_id));
+
     // Create campaign
     const [campaignResult] = await pool.query(
       `INSERT INTO email_campaigns 
@@ -99,8 +128,8 @@ router.post('/campaigns', authenticate, async (req, res) => {
     const replaceParameters = (text, card, customNote = '', senderName = '') => {
       if (!text) return '';
       
-      const firstName = card.name ? card.name.split(' ')[0] : '';
-      const lastName = card.name ? card.name.split(' ').slice(1).join(' ') : '';
+      const { prefix, first_name: firstName, middle_name: middleName, last_name: lastName } = nameParts(card);
+      const links = profileLinks(card.socials);
       
       console.log('Replacing parameters for:', card.name);
       console.log('Original text:', text.substring(0, 100) + '...');
@@ -109,11 +138,19 @@ router.post('/campaigns', authenticate, async (req, res) => {
         .replace(/\{\{name\}\}/g, card.name || '')
         .replace(/\{\{first_name\}\}/g, firstName)
         .replace(/\{\{last_name\}\}/g, lastName)
+        .replace(/\{\{middle_name\}\}/g, middleName)
+        .replace(/\{\{prefix\}\}/g, prefix)
         .replace(/\{\{email\}\}/g, card.email || '')
         .replace(/\{\{company\}\}/g, card.company || '')
         .replace(/\{\{job_title\}\}/g, card.job_title || '')
         .replace(/\{\{phone\}\}/g, card.phone || '')
         .replace(/\{\{website\}\}/g, card.website || '')
+        .replace(/\{\{linkedin\}\}/g, links.linkedin)
+        .replace(/\{\{(?:twitter|x)\}\}/g, links.twitter)
+        .replace(/\{\{whatsapp\}\}/g, links.whatsapp)
+        .replace(/\{\{instagram\}\}/g, links.instagram)
+        .replace(/\{\{facebook\}\}/g, links.facebook)
+        .replace(/\{\{event_name\}\}/g, eventNames.get(card.event_id) || '')
         .replace(/\{\{custom_note\}\}/g, customNote)
         .replace(/\{\{sender_name\}\}/g, senderName);
       
@@ -0,0 +1,186 @@
+const express = require('express');
+const router = express.Router();
+const authenticate = require('../middleware/authenticate');
+const eventService = require('../services/eventService');
+
+const cardIdsOf = (body) => (Array.isArray(body.cardIds) ? body.cardIds.map((id) => parseInt(id)).filter(Boolean) : []);
+
+// @route   GET /api/events
+// @desc    List the user's events (newest first) with their card counts
+// @access  Private
+router.get('/', authenticate, async (req, res) => {
+  try {
+    const events = await eventService.listEvents(req.user.id, req.user.current_event_id);
+    res.json({ success: true, events, currentEventId: req.user.current_event_id || null });
+
+  } catch (error) {
+    console.error('Get events error:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch events' });
+  }
+});
+
+// @route   POST /api/events
+// @desc    Create an event — { name, venue?, starts_on?, ends_on? (YYYY-MM-DD), current? }
+// @access  Private
+router.post('/', authenticate, async (req, res) => {
+  try {
+    const invalid = eventService.validate(req.body);
+
+    if (invalid) {
+      return res.status(400).json({ success: false, message: invalid });
+    }
+
+    const event = await eventService.createEvent(req.user.id, req.body);
+    if (req.body.current) {
+      await eventService.setCurrentEvent(req.user.id, event.id);
+    }
+
+    res.status(201).json({ success: true, event, currentEventId: req.body.current ? event.id : req.user.current_event_id || null });
+
+  } catch (error) {
+    console.error('Create event error:', error);
+    res.status(500).json({ success: false, message: 'Failed to create event' });
+  }
+});
+
+// @route   GET /api/events/current
+// @desc    The event new scans are attached to (null when none is set)
+// @access  Private
+router.get('/current', authenticate, async (req, res) => {
+  try {
+    const event = req.user.current_event_id
+      ? await eventService.getEvent(req.user.id, req.user.current_event_id)
+      : null;
+
+    res.json({ success: true, event });
+
+  } catch (error) {
+    console.error('Get current event error:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch current event' });
+  }
+});
+
+// @route   PUT /api/events/current
+// @desc    Set the current event — { eventId } (null to stop attaching scans to an event)
+// @access  Private
+router.put('/current', authenticate, async (req, res) => {
+  try {
+    let event = null;
+
+    if (req.body.eventId != null) {
+      event = await eventService.getEvent(req.user.id, req.body.eventId);
+      if (!event) {
+        return res.status(404).json({ success: false, message: 'Event not found' });
+      }
+    }
+
+    await eventService.setCurrentEvent(req.user.id, event ? event.id : null);
+
+    res.json({
+      success: true,
+      message: event ? `Scans will be attached to "${event.name}"` : 'Current event cleared',
+      event,
+    });
+
+  } catch (error) {
+    console.error('Set current event error:', error);
+    res.status(500).json({ success: false, message: 'Failed to set current event' });
+  }
+});
+
+// @route   GET /api/events/:id
+// @desc    Get an event with its stats (cards scanned, synced, emailed)
+// @access  Private
+router.get('/:id', authenticate, async (req, res) => {
+  try {
+    const event = await eventService.getEvent(req.user.id, req.params.id);
+
+    if (!event) {
+      return res.status(404).json({ success: false, message: 'Event not found' });
+    }
+
+    const stats = await eventService.getStats(req.user.id, event.id);
+
+    res.json({
+      success: true,
+      event: { ...event, is_current: event.id === req.user.current_event_id },
+      stats,
+    });
+
+  } catch (error) {
+    console.error('Get event error:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch event' });
+  }
+});
+
+// @route   PUT /api/events/:id
+// @desc    Update an event's name, venue or dates
+// @access  Private
+router.put('/:id', authenticate, async (req, res) => {
+  try {
+    const existing = await eventService.getEvent(req.user.id, req.params.id);
+
+    if (!existing) {
+      return res.status(404).json({ success: false, message: 'Event not found' });
+    }
+
+    const invalid = eventService.validate({ ...existing, ...req.body });
+    if (invalid) {
+      return res.status(400).json({ success: false, message: invalid });
+    }
+
+    const event = await eventService.updateEvent(req.user.id, existing.id, req.body);
+    res.json({ success: true, event });
+
+  } catch (error) {
+    console.error('Update event error:', error);
+    res.status(500).json({ success: false, message: 'Failed to update event' });
+  }
+});
+
+// @route   DELETE /api/events/:id
+// @desc    Delete an event — its cards are kept, without an event
+// @access  Private
+router.delete('/:id', authenticate, async (req, res) => {
+  try {
+    const deleted = await eventService.deleteEvent(req.user.id, req.params.id);
+
+    if (!deleted) {
+      return res.status(404).json({ success: false, message: 'Event not found' });
+    }
+
+    res.json({ success: true, message: 'Event deleted successfully' });
+
+  } catch (error) {
+    console.error('Delete event error:', error);
+    res.status(500).json({ success: false, message: 'Failed to delete event' });
+  }
+});
+
+// @route   POST /api/events/:id/cards
+// @desc    Move the cards in `cardIds` to this event
+// @access  Private
+router.post('/:id/cards', authenticate, async (req, res) => {
+  try {
+    const cardIds = cardIdsOf(req.body);
+
+    if (cardIds.length === 0) {
+      return res.status(400).json({ success: false, message: 'Card IDs are required' });
+    }
+
+    const event = await eventService.getEvent(req.user.id, req.params.id);
+    if (!event) {
+      return res.status(404).json({ success: false, message: 'Event not found' });
+    }
+
+    const assigned = await eventService.assignCards(req.user.id, cardIds, event.id);
+
+    res.json({ success: true, message: `${assigned} card(s) added to "${event.name}"`, assigned });
+
+  } catch (error) {
+    console.error('Assign event cards error:', error);
+    res.status(500).json({ success: false, message: 'Failed to add cards to event' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,148 @@
+const express = require('express');
+const router = express.Router();
+const authenticate = require('../middleware/authenticate');
+const tagService = require('../services/tagService');
+
+const isDuplicateName = (error) => error.code === 'ER_DUP_ENTRY';
+
+const cardIdsOf = (body) => (Array.isArray(body.cardIds) ? body.cardIds.map((id) => parseInt(id)).filter(Boolean) : []);
+
+// @route   GET /api/tags
+// @desc    List the user's tags with the number of cards on each
+// @access  Private
+router.get('/', authenticate, async (req, res) => {
+  try {
+    const tags = await tagService.listTags(req.user.id);
+    res.json({ success: true, tags });
+
+  } catch (error) {
+    console.error('Get tags error:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch tags' });
+  }
+});
+
+// @route   POST /api/tags
+// @desc    Create a tag — { name, color? } (color as #rrggbb)
+// @access  Private
+router.post('/', authenticate, async (req, res) => {
+  try {
+    const { name, color } = req.body;
+    const invalid = tagService.validate({ name: name ?? '', color });
+
+    if (invalid) {
+      return res.status(400).json({ success: false, message: invalid });
+    }
+
+    const tag = await tagService.createTag(req.user.id, { name, color });
+    res.status(201).json({ success: true, tag });
+
+  } catch (error) {
+    if (isDuplicateName(error)) {
+      return res.status(409).json({ success: false, message: 'A tag with this name already exists' });
+    }
+    console.error('Create tag error:', error);
+    res.status(500).json({ success: false, message: 'Failed to create tag' });
+  }
+});
+
+// @route   PUT /api/tags/:id
+// @desc    Rename or recolor a tag
+// @access  Private
+router.put('/:id', authenticate, async (req, res) => {
+  try {
+    const { name, color } = req.body;
+    const invalid = tagService.validate({ name, color });
+
+    if (invalid) {
+      return res.status(400).json({ success: false, message: invalid });
+    }
+
+    const tag = await tagService.updateTag(req.user.id, req.params.id, { name, color });
+
+    if (!tag) {
+      return res.status(404).json({ success: false, message: 'Tag not found' });
+    }
+
+    res.json({ success: true, tag });
+
+  } catch (error) {
+    if (isDuplicateName(error)) {
+      return res.status(409).json({ success: false, message: 'A tag with this name already exists' });
+    }
+    console.error('Update tag error:', error);
+    res.status(500).json({ success: false, message: 'Failed to update tag' });
+  }
+});
+
+// @route   DELETE /api/tags/:id
+// @desc    Delete a tag (the cards themselves are kept)
+// @access  Private
+router.delete('/:id', authenticate, async (req, res) => {
+  try {
+    const deleted = await tagService.deleteTag(req.user.id, req.params.id);
+
+    if (!deleted) {
+      return res.status(404).json({ success: false, message: 'Tag not found' });
+    }
+
+    res.json({ success: true, message: 'Tag deleted successfully' });
+
+  } catch (error) {
+    console.error('Delete tag error:', error);
+    res.status(500).json({ success: false, message: 'Failed to delete tag' });
+  }
+});
+
+// @route   POST /api/tags/:id/cards
+// @desc    Bulk tag — add the tag to every card in `cardIds`
+// @access  Private
+router.post('/:id/cards', authenticate, async (req, res) => {
+  try {
+    const cardIds = cardIdsOf(req.body);
+
+    if (cardIds.length === 0) {
+      return res.status(400).json({ success: false, message: 'Card IDs are required' });
+    }
+
+    const tag = await tagService.getTag(req.user.id, req.params.id);
+    if (!tag) {
+      return res.status(404).json({ success: false, message: 'Tag not found' });
+    }
+
+    const tagged = await tagService.tagCards(req.user.id, cardIds, [tag.id]);
+
+    res.json({ success: true, message: `Tag "${tag.name}" added to ${tagged} card(s)`, tagged });
+
+  } catch (error) {
+    console.error('Tag cards error:', error);
+    res.status(500).json({ success: false, message: 'Failed to tag cards' });
+  }
+});
+
+// @route   DELETE /api/tags/:id/cards
+// @desc    Bulk untag — remove the tag from every card in `cardIds`
+// @access  Private
+router.delete('/:id/cards', authenticate, async (req, res) => {
+  try {
+    const cardIds = cardIdsOf(req.body);
+
+    if (cardIds.length === 0) {
+      return res.status(400).json({ success: false, message: 'Card IDs are required' });
+    }
+
+    const tag = await tagService.getTag(req.user.id, req.params.id);
+    if (!tag) {
+      return res.status(404).json({ success: false, message: 'Tag not found' });
+    }
+
+    const untagged = await tagService.untagCards(req.user.id, cardIds, [tag.id]);
+
+    res.json({ success: true, message: `Tag "${tag.name}" removed from ${untagged} card(s)`, untagged });
+
+  } catch (error) {
+    console.error('Untag cards error:', error);
+    res.status(500).json({ success: false, message: 'Failed to untag cards' });
+  }
+});
+
+module.exports = router;
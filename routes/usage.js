@@ -0,0 +1,49 @@
+const express = require('express');
+const router = express.Router();
+const authenticate = require('../middleware/authenticate');
+const usageService = require('../services/usageService');
+
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+
+const isValidDate = (date) => !Number.isNaN(date.getTime());
+
+// @route   GET /api/usage
+// @desc    Scan quota (daily / monthly used, limit, remaining) and AI consumption —
+//          calls, tokens and estimated cost per provider and per day between `from`
+//          and `to` (ISO dates; default: the current month)
+// @access  Private
+router.get('/', authenticate, async (req, res) => {
+  try {
+    const now = new Date();
+    const from = req.query.from ? new Date(req.query.from) : new Date(now.getFullYear(), now.getMonth(), 1);
+    const to = req.query.to ? new Date(req.query.to) : new Date(now.getFullYear(), now.getMonth(), now.getDate() + 1);
+
+    // A plain date as `to` includes that whole day
+    if (DATE_ONLY.test(req.query.to || '')) to.setUTCDate(to.getUTCDate() + 1);
+
+    if (!isValidDate(from) || !isValidDate(to)) {
+      return res.status(400).json({ success: false, message: '`from` and `to` must be valid dates' });
+    }
+    if (from >= to) {
+      return res.status(400).json({ success: false, message: '`from` must be before `to`' });
+    }
+
+    const [quota, consumption] = await Promise.all([
+      usageService.getQuota(req.user.id),
+      usageService.getConsumption(req.user.id, from, to),
+    ]);
+
+    res.json({
+      success: true,
+      quota,
+      period: { from: from.toISOString(), to: to.toISOString() },
+      ...consumption,
+    });
+
+  } catch (error) {
+    console.error('Get usage error:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch usage' });
+  }
+});
+
+module.exports = router;
@@ -7,6 +7,8 @@ const path = require('path');
 require('dotenv').config();
 
 const { testConnection } = require('./config/database');
+const scanJobService = require('./services/scanJobService');
+const trashService = require('./services/trashService');
 
 // Initialize app
 const app = express();
@@ -60,6 +62,9 @@ app.use('/uploads', express.static(path.join(__dirname, process.env.UPLOAD_DIR |
 app.use('/api/auth', require('./routes/auth'));
 app.use('/api/cards', require('./routes/cards'));
 app.use('/api/email', require('./routes/email'));
+app.use('/api/usage', require('./routes/usage'));
+app.use('/api/tags', require('./routes/tags'));
+app.use('/api/events', require('./routes/events'));
 
 // Health check
 app.get('/health', (req, res) => {
@@ -80,6 +85,9 @@ app.get('/', (req, res) => {
       auth: '/api/auth',
       cards: '/api/cards',
       email: '/api/email',
+      usage: '/api/usage',
+      tags: '/api/tags',
+      events: '/api/events',
       health: '/health'
     }
   });
@@ -111,6 +119,13 @@ const startServer = async () => {
   try {
     // Test database connection
     await testConnection();
+
+    // Pick up bulk scans interrupted by the last shutdown
+    scanJobService.resumeInterruptedJobs()
+      .catch((error) => console.error('Failed to resume scan jobs:', error.message));
+
+    // Permanently delete cards trashed longer than the retention period
+    trashService.startPurgeSchedule();
     
     // Start listening
     app.listen(PORT, () => {
@@ -0,0 +1,51 @@
+const sharp = require('sharp');
+const {
+  MultiFormatReader,
+  BinaryBitmap,
+  HybridBinarizer,
+  RGBLuminanceSource,
+  DecodeHintType,
+  BarcodeFormat
+} = require('@zxing/library');
+const { parseContactPayload } = require('../utils/vcardParser');
+
+// Local QR / barcode decoding for card images — no API call involved.
+class BarcodeService {
+  constructor() {
+    this.hints = new Map([[DecodeHintType.TRY_HARDER, true]]);
+  }
+
+  /**
+   * Decode the QR code or barcode printed on a card image
+   *
+   * @param {string} imagePath
+   * @returns {{ format, text, kind, data }|null} null when the image holds no readable code
+   */
+  async decode(imagePath) {
+    const { data, info } = await sharp(imagePath)
+      .rotate()
+      .greyscale()
+      .raw()
+      .toBuffer({ resolveWithObject: true });
+
+    const luminance = new RGBLuminanceSource(new Uint8ClampedArray(data), info.width, info.height);
+    const reader = new MultiFormatReader();
+
+    let result;
+    try {
+      result = reader.decode(new BinaryBitmap(new HybridBinarizer(luminance)), this.hints);
+    } catch (error) {
+      // NotFound / Checksum / Format exceptions — no code, or one too damaged to read
+      return null;
+    }
+
+    const text = result.getText();
+    return {
+      format: BarcodeFormat[result.getBarcodeFormat()],
+      text,
+      ...parseContactPayload(text)
+    };
+  }
+}
+
+module.exports = new BarcodeService();
@@ -0,0 +1,233 @@
+const { pool } = require('../config/database');
+const cardService = require('./cardService');
+const cardSearchService = require('./cardSearchService');
+const tagService = require('./tagService');
+const eventService = require('./eventService');
+const trashService = require('./trashService');
+const duplicateService = require('./duplicateService');
+
+// One action applied to many cards (POST /api/cards/bulk) — chosen by ID or by
+// the same filters as GET /api/cards. All cards change in one transaction, so
+// either every card gets the action or none does. Each card is reported as
+// updated, unchanged (it already matched) or not_found.
+
+const ACTIONS = ['delete', 'tag', 'untag', 'set_field', 'assign_event', 'mark_reviewed'];
+
+// Fields `set_field` can give many cards at once. Only that field counts as
+// checked by the user — the cards' other confidences and review state are kept
+const SETTABLE_FIELDS = ['company', 'job_title', 'notes', 'address_city', 'address_region', 'address_country'];
+
+const MAX_CARDS = parseInt(process.env.MAX_BULK_CARDS) || 500;
+
+class CardBulkService {
+  get actions() {
+    return ACTIONS;
+  }
+
+  get settableFields() {
+    return SETTABLE_FIELDS;
+  }
+
+  /**
+   * @param {object} user - req.user (id, default_region)
+   * @param {object} input - { action, cardIds | filter, ...action params }:
+   *   tag / untag   - tags: IDs or names (tag creates new names)
+   *   set_field     - field (see settableFields), value (null / "" clears it)
+   *   assign_event  - eventId (null / "none" removes the cards from their event)
+   *   delete, mark_reviewed - nothing
+   * @returns {{ action, matched, updated, unchanged, notFound, results: Array<{ id, status }> }|{ error: string }}
+   */
+  async run(user, input = {}) {
+    const { action } = input;
+
+    if (!ACTIONS.includes(action)) {
+      return { error: `Unknown action "${action}". Use one of: ${ACTIONS.join(', ')}` };
+    }
+
+    const params = await this.prepare(user, action, input);
+    if (params.error) return params;
+
+    const target = await this.target(user.id, input);
+    if (target.error) return target;
+
+    const connection = await pool.getConnection();
+    let statuses;
+    let cards;
+
+    try {
+      await connection.beginTransaction();
+
+      [cards] = await connection.query(
+        `SELECT * FROM business_cards WHERE ${target.where} ORDER BY id LIMIT ? FOR UPDATE`,
+        [...target.params, MAX_CARDS + 1]
+      );
+
+      if (cards.length > MAX_CARDS) {
+        await connection.rollback();
+        return { error: `The filter matches more than ${MAX_CARDS} cards — narrow it down` };
+      }
+
+      statuses = cards.length > 0 ? await this.apply(user, action, cards, params, connection) : new Map();
+      await connection.commit();
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
+      connection.release();
+    }
+
+    const updatedIds = cards.filter((card) => statuses.get(card.id) === 'updated').map((card) => card.id);
+
+    // Changed names or companies can make new duplicate pairs
+    if (action === 'set_field' && updatedIds.length > 0) {
+      await duplicateService.flagCandidates(user.id, updatedIds);
+    }
+
+    const ids = target.cardIds || cards.map((card) => card.id);
+    const results = ids.map((id) => ({ id, status: statuses.get(id) || 'not_found' }));
+
+    return {
+      action,
+      matched: cards.length,
+      updated: updatedIds.length,
+      unchanged: results.filter((result) => result.status === 'unchanged').length,
+      notFound: results.filter((result) => result.status === 'not_found').length,
+      results,
+    };
+  }
+
+  /**
+   * Validate and resolve the action's parameters (before the transaction starts)
+   */
+  async prepare(user, action, input) {
+    if (action === 'tag' || action === 'untag') {
+      const tags = Array.isArray(input.tags) ? input.tags : [];
+      if (tags.length === 0) return { error: 'Tags are required' };
+
+      const { tagIds, unknown } = await tagService.resolveTags(user.id, tags, { create: action === 'tag' });
+      if (unknown.length > 0) return { error: `Unknown tag(s): ${unknown.join(', ')}` };
+      return { tagIds };
+    }
+
+    if (action === 'set_field') {
+      if (!SETTABLE_FIELDS.includes(input.field)) {
+        return { error: `field must be one of: ${SETTABLE_FIELDS.join(', ')}` };
+      }
+      const value = input.value == null ? '' : String(input.value).trim();
+      return { field: input.field, value: value || null };
+    }
+
+    if (action === 'assign_event') {
+      if (input.eventId === undefined) return { error: 'eventId is required (null to remove cards from their event)' };
+
+      const requested = String(input.eventId ?? '').trim().toLowerCase();
+      if (!requested || requested === 'none' || requested === 'null') return { eventId: null };
+
+      const event = await eventService.getEvent(user.id, requested);
+      return event ? { eventId: event.id } : { error: 'Event not found' };
+    }
+
+    return {};
+  }
+
+  /**
+   * WHERE clause selecting the user's cards from `cardIds` or `filter`
+   *
+   * @returns {{ where, params, cardIds? }|{ error: string }}
+   */
+  async target(userId, input) {
+    if (input.cardIds !== undefined && input.filter !== undefined) {
+      return { error: 'Send either cardIds or filter, not both' };
+    }
+
+    if (input.filter !== undefined) {
+      if (!input.filter || typeof input.filter !== 'object') return { error: 'filter must be an object' };
+
+      const parsed = cardSearchService.parseFilters(input.filter);
+      if (parsed.error) return parsed;
+      return cardSearchService.buildWhere(userId, parsed.filters);
+    }
+
+    const cardIds = Array.isArray(input.cardIds)
+      ? [...new Set(input.cardIds.map((id) => parseInt(id)).filter(Boolean))]
+      : [];
+
+    if (cardIds.length === 0) return { error: 'Card IDs or a filter are required' };
+    if (cardIds.length > MAX_CARDS) return { error: `At most ${MAX_CARDS} cards per request` };
+
+    return {
+      where: 'user_id = ? AND deleted_at IS NULL AND id IN (?)',
+      params: [userId, cardIds],
+      cardIds,
+    };
+  }
+
+  /**
+   * @returns {Map<number, 'updated'|'unchanged'>}
+   */
+  async apply(user, action, cards, params, connection) {
+    const ids = cards.map((card) => card.id);
+    const statuses = new Map(ids.map((id) => [id, 'updated']));
+    const unchanged = (card) => statuses.set(card.id, 'unchanged');
+
+    switch (action) {
+      case 'delete':
+        await trashService.trashCards(user.id, ids, connection);
+        break;
+
+      case 'tag':
+      case 'untag': {
+        const [links] = await connection.query(
+          `SELECT card_id, COUNT(*) AS tagged FROM card_tags
+           WHERE card_id IN (?) AND tag_id IN (?)
+           GROUP BY card_id`,
+          [ids, params.tagIds]
+        );
+        const tagged = new Map(links.map((link) => [link.card_id, Number(link.tagged)]));
+
+        for (const card of cards) {
+          const count = tagged.get(card.id) || 0;
+          if (action === 'tag' ? count === params.tagIds.length : count === 0) unchanged(card);
+        }
+
+        if (action === 'tag') await tagService.tagCards(user.id, ids, params.tagIds, connection);
+        else await tagService.untagCards(user.id, ids, params.tagIds, connection);
+        break;
+      }
+
+      case 'set_field':
+        for (const card of cards) {
+          const revision = await cardService.patchCard(card, { [params.field]: params.value }, user.default_region, {
+            source: 'user',
+            note: 'Bulk update',
+            connection,
+          });
+          if (!revision) unchanged(card);
+        }
+        break;
+
+      case 'assign_event': {
+        cards.filter((card) => card.event_id === params.eventId).forEach(unchanged);
+        const moving = cards.filter((card) => card.event_id !== params.eventId).map((card) => card.id);
+        await eventService.assignCards(user.id, moving, params.eventId, connection);
+        break;
+      }
+
+      case 'mark_reviewed': {
+        cards.filter((card) => !card.needs_review).forEach(unchanged);
+        const reviewing = cards.filter((card) => card.needs_review).map((card) => card.id);
+        if (reviewing.length > 0) {
+          await connection.query(
+            'UPDATE business_cards SET needs_review = FALSE, reviewed_at = NOW() WHERE id IN (?)',
+            [reviewing]
+          );
+        }
+        break;
+      }
+    }
+
+    return statuses;
+  }
+}
+
+module.exports = new CardBulkService();
@@ -0,0 +1,367 @@
+const { pool } = require('../config/database');
+const tagService = require('./tagService');
+
+// Card list filtering, sorting and pagination for GET /api/cards.
+//
+// Full-text search uses the ft_card_search FULLTEXT index (name, email, company,
+// job_title, address, website, notes) plus ft_value on every contact point.
+// Words shorter than InnoDB's minimum token size (3) fall back to LIKE, email
+// addresses are matched with LIKE, and phone numbers by their digits against
+// the normalized (E.164) contact points.
+//
+// Pages can be fetched by offset (`page`) or by cursor. A cursor encodes the
+// sort value and ID of the last card returned, so cards inserted meanwhile do
+// not shift the next page. Relevance scores change as cards are added or
+// edited, so `sort=relevance` pages by offset only.
+
+const SEARCH_COLUMNS = 'name, email, company, job_title, address, website, notes';
+const LIKE_COLUMNS = ['name', 'email', 'company', 'job_title', 'notes'];
+const MIN_TOKEN_LENGTH = 3;
+
+const PHONE_SHAPED = /^\s*\+?[\d\s().\/-]+$/;
+const MIN_PHONE_DIGITS = 6;
+
+// Sort field → a non-null SQL expression (keyset pagination cannot compare NULLs)
+const SORT_FIELDS = {
+  created_at: { sql: 'created_at', type: 'date' },
+  updated_at: { sql: 'updated_at', type: 'date' },
+  met_at: { sql: 'COALESCE(met_at, created_at)', type: 'date' },
+  name: { sql: "COALESCE(name, '')", type: 'string' },
+  company: { sql: "COALESCE(company, '')", type: 'string' },
+  job_title: { sql: "COALESCE(job_title, '')", type: 'string' },
+  confidence: { sql: 'COALESCE(confidence_score, 0)', type: 'number' },
+  relevance: { sql: null, type: 'number' },
+};
+
+const MAX_LIMIT = 100;
+
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * "true" / "1" / "yes" → true, "false" / "0" / "no" → false, anything else → null (no filter)
+ */
+const parseFlag = (value) => {
+  const text = String(value ?? '').trim().toLowerCase();
+  if (['true', '1', 'yes'].includes(text)) return true;
+  if (['false', '0', 'no'].includes(text)) return false;
+  return null;
+};
+
+/**
+ * @param {boolean} endOfDay - a plain date as an upper bound includes that whole day
+ */
+const parseDate = (value, endOfDay = false) => {
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) return undefined;
+  if (endOfDay && DATE_ONLY.test(value)) date.setUTCDate(date.getUTCDate() + 1);
+  return date;
+};
+
+/**
+ * Split a search into FULLTEXT boolean-mode terms ("quoted phrases" kept whole,
+ * every word required, prefix-matched), short words for LIKE, and email
+ * addresses (the FULLTEXT parser splits them at @ and .) for LIKE against the
+ * card's emails. A search that reads as a phone number also yields its digits.
+ */
+const parseSearch = (search) => {
+  const fulltext = [];
+  const short = [];
+  const emails = [];
+
+  for (const [, phrase, word] of String(search).matchAll(/"([^"]+)"|(\S+)/g)) {
+    if (phrase) {
+      const clean = phrase.replace(/["]/g, '').trim();
+      if (clean) fulltext.push(`+"${clean}"`);
+      continue;
+    }
+
+    if (word.includes('@')) {
+      emails.push(word.replace(/^[<("']+|[>)"',;]+$/g, '').toLowerCase());
+      continue;
+    }
+
+    const clean = word.replace(/[+\-<>()~*"]/g, '');
+    if (!clean) continue;
+    if (clean.length < MIN_TOKEN_LENGTH) short.push(clean);
+    else fulltext.push(`+${clean}*`);
+  }
+
+  // "+91 98765 43210", "(415) 555-0100" — compared without the trunk 0 so
+  // national formats find numbers stored in E.164
+  const digits = PHONE_SHAPED.test(search) ? search.replace(/\D/g, '').replace(/^0+/, '') : '';
+
+  return {
+    fulltext: fulltext.join(' '),
+    short,
+    emails,
+    phoneDigits: digits.length >= MIN_PHONE_DIGITS ? digits : null,
+  };
+};
+
+// LIKE with backslash as the escape character (see containsPattern)
+const LIKE = "LIKE ? ESCAPE '\\\\'";
+
+/**
+ * `%value%` pattern with the value's own %, _ and \ taken literally
+ */
+const containsPattern = (value) => `%${String(value).replace(/[\\%_]/g, '\\$&')}%`;
+
+const encodeCursor = (sort, order, value, id) =>
+  Buffer.from(JSON.stringify({ s: sort, o: order, v: value, id })).toString('base64url');
+
+const decodeCursor = (cursor) => {
+  try {
+    const decoded = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    return decoded && Number.isInteger(decoded.id) ? decoded : null;
+  } catch {
+    return null;
+  }
+};
+
+class CardSearchService {
+  get sortFields() {
+    return Object.keys(SORT_FIELDS);
+  }
+
+  /**
+   * Read filters from query-string style parameters:
+   *   search, jobTitle, company, city, country, synced, hasEmail, hasPhone, emailed,
+   *   needsReview, createdFrom, createdTo, metFrom, metTo, tags, tagMatch, eventId
+   *
+   * @returns {{ filters: object }|{ error: string }}
+   */
+  parseFilters(query = {}) {
+    const filters = {
+      search: String(query.search || '').trim(),
+      jobTitle: String(query.jobTitle || '').trim(),
+      company: String(query.company || '').trim(),
+      city: String(query.city || '').trim(),
+      country: String(query.country || '').trim(),
+      synced: parseFlag(query.synced),
+      hasEmail: parseFlag(query.hasEmail),
+      hasPhone: parseFlag(query.hasPhone),
+      emailed: parseFlag(query.emailed),
+      needsReview: parseFlag(query.needsReview),
+      tags: (Array.isArray(query.tags) ? query.tags : String(query.tags || '').split(','))
+        .map((tag) => String(tag).trim())
+        .filter(Boolean),
+      tagMatch: query.tagMatch === 'all' ? 'all' : 'any',
+      eventId: String(query.eventId || '').trim(),
+    };
+
+    for (const [field, endOfDay] of [['createdFrom', false], ['createdTo', true], ['metFrom', false], ['metTo', true]]) {
+      if (!query[field]) continue;
+      filters[field] = parseDate(query[field], endOfDay);
+      if (!filters[field]) return { error: `${field} must be a valid date` };
+    }
+
+    return { filters };
+  }
+
+  /**
+   * WHERE clause (without the keyword) and params for a user's cards matching `filters`
+   * (trashed cards never match)
+   *
+   * @returns {{ where: string, params: Array }|{ error: string }}
+   */
+  async buildWhere(userId, filters) {
+    const conditions = ['user_id = ?', 'deleted_at IS NULL'];
+    const params = [userId];
+
+    if (filters.search) {
+      const { fulltext, short, emails, phoneDigits } = parseSearch(filters.search);
+      const searchConditions = [];
+      const searchParams = [];
+
+      if (fulltext) {
+        searchConditions.push(
+          `(MATCH(${SEARCH_COLUMNS}) AGAINST (? IN BOOLEAN MODE)
+            OR id IN (SELECT card_id FROM card_contact_points WHERE MATCH(value) AGAINST (? IN BOOLEAN MODE)))`
+        );
+        searchParams.push(fulltext, fulltext);
+      }
+
+      for (const word of short) {
+        searchConditions.push(`(${LIKE_COLUMNS.map((column) => `${column} ${LIKE}`).join(' OR ')}
+          OR id IN (SELECT card_id FROM card_contact_points WHERE value ${LIKE}))`);
+        searchParams.push(...LIKE_COLUMNS.map(() => containsPattern(word)), containsPattern(word));
+      }
+
+      for (const email of emails) {
+        searchConditions.push(`(email ${LIKE}
+          OR id IN (SELECT card_id FROM card_contact_points WHERE kind = 'email' AND value ${LIKE}))`);
+        searchParams.push(containsPattern(email), containsPattern(email));
+      }
+
+      // A phone-shaped search matches either its words or the number
+      let searchSql = searchConditions.join(' AND ');
+      if (phoneDigits) {
+        const phoneSql = `(phone_e164 LIKE ?
+          OR id IN (SELECT card_id FROM card_contact_points WHERE kind = 'phone' AND normalized_value LIKE ?))`;
+        searchSql = searchSql ? `((${searchSql}) OR ${phoneSql})` : phoneSql;
+        searchParams.push(`%${phoneDigits}%`, `%${phoneDigits}%`);
+      }
+
+      if (searchSql) {
+        conditions.push(searchSql);
+        params.push(...searchParams);
+      }
+    }
+
+    if (filters.jobTitle) {
+      conditions.push(`job_title ${LIKE}`);
+      params.push(containsPattern(filters.jobTitle));
+    }
+
+    if (filters.company) {
+      conditions.push(`company ${LIKE}`);
+      params.push(containsPattern(filters.company));
+    }
+
+    if (filters.city) {
+      conditions.push('address_city = ?');
+      params.push(filters.city);
+    }
+
+    if (filters.country) {
+      conditions.push('(address_country_code = ? OR address_country = ?)');
+      params.push(filters.country, filters.country);
+    }
+
+    if (filters.synced != null) {
+      conditions.push(filters.synced ? 'synced_to_google = TRUE' : '(synced_to_google = FALSE OR synced_to_google IS NULL)');
+    }
+
+    if (filters.hasEmail != null) {
+      conditions.push(filters.hasEmail ? "(email IS NOT NULL AND email <> '')" : "(email IS NULL OR email = '')");
+    }
+
+    if (filters.hasPhone != null) {
+      conditions.push(filters.hasPhone ? "(phone IS NOT NULL AND phone <> '')" : "(phone IS NULL OR phone = '')");
+    }
+
+    if (filters.emailed != null) {
+      conditions.push(`${filters.emailed ? '' : 'NOT '}EXISTS (
+        SELECT 1 FROM sent_emails se WHERE se.card_id = business_cards.id AND se.status = 'sent')`);
+    }
+
+    if (filters.needsReview != null) {
+      conditions.push(filters.needsReview ? 'needs_review = TRUE' : 'needs_review = FALSE');
+    }
+
+    if (filters.createdFrom) {
+      conditions.push('created_at >= ?');
+      params.push(filters.createdFrom);
+    }
+
+    if (filters.createdTo) {
+      conditions.push('created_at < ?');
+      params.push(filters.createdTo);
+    }
+
+    if (filters.metFrom) {
+      conditions.push('COALESCE(met_at, created_at) >= ?');
+      params.push(filters.metFrom);
+    }
+
+    if (filters.metTo) {
+      conditions.push('COALESCE(met_at, created_at) < ?');
+      params.push(filters.metTo);
+    }
+
+    if (filters.tags && filters.tags.length > 0) {
+      const { tagIds, unknown } = await tagService.resolveTags(userId, filters.tags);
+      if (unknown.length > 0) return { error: `Unknown tag(s): ${unknown.join(', ')}` };
+
+      const tagFilter = tagService.cardFilter(tagIds, filters.tagMatch);
+      conditions.push(tagFilter.sql);
+      params.push(...tagFilter.params);
+    }
+
+    if (filters.eventId === 'none') {
+      conditions.push('event_id IS NULL');
+    } else if (filters.eventId) {
+      conditions.push('event_id = ?');
+      params.push(filters.eventId);
+    }
+
+    return { where: conditions.join(' AND '), params };
+  }
+
+  /**
+   * @param {object} query - req.query: filters (see parseFilters), sort, order (asc | desc),
+   *   limit, and either page or cursor
+   * @returns {{ cards, total, nextCursor, sort, order }|{ error: string }}
+   */
+  async search(userId, query = {}) {
+    const parsed = this.parseFilters(query);
+    if (parsed.error) return parsed;
+
+    const { filters } = parsed;
+    const sort = query.sort || (parseSearch(filters.search).fulltext ? 'relevance' : 'created_at');
+    const order = String(query.order || (SORT_FIELDS[sort]?.type === 'string' ? 'asc' : 'desc')).toLowerCase();
+
+    if (!SORT_FIELDS[sort]) {
+      return { error: `Unknown sort field "${sort}". Use one of: ${this.sortFields.join(', ')}` };
+    }
+    if (!['asc', 'desc'].includes(order)) {
+      return { error: 'Order must be asc or desc' };
+    }
+    if (sort === 'relevance' && !parseSearch(filters.search).fulltext) {
+      return { error: 'Sorting by relevance needs a search of at least one word of 3+ characters' };
+    }
+
+    const built = await this.buildWhere(userId, filters);
+    if (built.error) return built;
+
+    const limit = Math.min(Math.max(parseInt(query.limit) || 20, 1), MAX_LIMIT);
+    const sortSql = sort === 'relevance' ? `MATCH(${SEARCH_COLUMNS}) AGAINST (?)` : SORT_FIELDS[sort].sql;
+    const sortParams = sort === 'relevance' ? [parseSearch(filters.search).fulltext.replace(/[+*"]/g, '')] : [];
+
+    let where = built.where;
+    const params = [...built.params];
+
+    if (query.cursor && sort === 'relevance') {
+      return { error: 'Results sorted by relevance are paged with `page` — cursors need another sort' };
+    }
+
+    if (query.cursor) {
+      const cursor = decodeCursor(query.cursor);
+      if (!cursor) return { error: 'Invalid cursor' };
+      if (cursor.s !== sort || cursor.o !== order) {
+        return { error: 'The cursor belongs to a different sort — start again without it' };
+      }
+
+      const value = SORT_FIELDS[sort].type === 'date' ? new Date(cursor.v) : cursor.v;
+      const comparison = order === 'asc' ? '>' : '<';
+      where += ` AND (${sortSql} ${comparison} ? OR (${sortSql} = ? AND id ${comparison} ?))`;
+      params.push(...sortParams, value, ...sortParams, value, cursor.id);
+    }
+
+    const offset = query.cursor ? 0 : (Math.max(parseInt(query.page) || 1, 1) - 1) * limit;
+
+    const [cards] = await pool.query(
+      `SELECT *, ${sortSql} AS sort_value FROM business_cards
+       WHERE ${where}
+       ORDER BY sort_value ${order}, id ${order}
+       LIMIT ? OFFSET ?`,
+      [...sortParams, ...params, limit, offset]
+    );
+
+    const [countResult] = await pool.query(
+      `SELECT COUNT(*) as total FROM business_cards WHERE ${built.where}`,
+      built.params
+    );
+
+    const last = cards[cards.length - 1];
+    const nextCursor = cards.length === limit && sort !== 'relevance'
+      ? encodeCursor(sort, order, last.sort_value instanceof Date ? last.sort_value.toISOString() : last.sort_value, last.id)
+      : null;
+
+    for (const card of cards) delete card.sort_value;
+
+    return { cards, total: countResult[0].total, limit, nextCursor, sort, order };
+  }
+}
+
+module.exports = new CardSearchService();
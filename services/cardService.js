@@ -0,0 +1,425 @@
+const { pool } = require('../config/database');
+const {
+  normalizeContactPoints,
+  groupContactPoints,
+  applyContactUpdate,
+  primaryValues
+} = require('../utils/contactPoints');
+const { inferCountry, normalizePhone } = require('../utils/phoneNormalizer');
+const { canonicalProfileUrl } = require('../utils/socialProfiles');
+const { addressColumns, formatAddress } = require('../utils/addressParser');
+const { nameColumns, formatName } = require('../utils/nameParser');
+const { CARD_FIELDS, assessUserEdit } = require('../utils/cardQuality');
+const revisionService = require('./revisionService');
+
+// Stored image URLs of a card, relative to the server (`/uploads/...`)
+const IMAGE_COLUMNS = ['image_url', 'original_image_url', 'back_image_url', 'original_back_image_url', 'source_image_url'];
+
+// Columns stored as MySQL JSON — serialised on write, mysql2 parses them on read
+const JSON_COLUMNS = ['field_confidence', 'validation_flags', 'merged_images'];
+
+// Structured parts stored next to `name` / `address` — body keys as accepted by updateCard
+const NAME_PART_KEYS = ['name_prefix', 'first_name', 'middle_name', 'last_name', 'name_suffix'];
+const ADDRESS_PART_KEYS = ['address_street', 'address_city', 'address_region', 'address_postal_code', 'address_country'];
+
+// Quality-scored field (see utils/cardQuality) → body keys that set it
+const EDITED_BY = {
+  name: ['name', ...NAME_PART_KEYS],
+  email: ['email', 'emails'],
+  phone: ['phone', 'phones'],
+  company: ['company'],
+  job_title: ['job_title'],
+  address: ['address', ...ADDRESS_PART_KEYS],
+  website: ['website', 'websites'],
+};
+
+class CardService {
+  /**
+   * Build business_cards columns from extracted fields and their quality assessment
+   */
+  buildCardRow(data, quality) {
+    return {
+      name: data.name,
+      ...nameColumns(data.name, data.name_parts),
+      email: data.email,
+      phone: data.phone,
+      company: data.company,
+      job_title: data.job_title,
+      address: data.address,
+      ...addressColumns(data.address, data.address_parts),
+      website: data.website,
+      field_confidence: quality.fieldConfidence,
+      validation_flags: quality.validationFlags,
+      confidence_score: quality.score,
+      needs_review: quality.needsReview,
+      contact_points: normalizeContactPoints(data)
+    };
+  }
+
+  serialize(columns) {
+    const row = { ...columns };
+    for (const column of JSON_COLUMNS) {
+      if (row[column] != null && typeof row[column] !== 'string') {
+        row[column] = JSON.stringify(row[column]);
+      }
+    }
+    return row;
+  }
+
+  /**
+   * Insert a card. A `contact_points` entry in `columns` is written to
+   * card_contact_points instead of business_cards. The initial values are the
+   * card's first revision, from `revisionSource` (ocr | import).
+   */
+  async createCard(userId, columns, connection = pool, revisionSource = 'ocr') {
+    const { contact_points: rawContactPoints, ...cardColumns } = columns;
+    let contactPoints = rawContactPoints;
+
+    if (contactPoints) {
+      const defaultRegion = await this.getDefaultRegion(userId, connection);
+      contactPoints = this.normalizeContactValues(contactPoints, cardColumns, defaultRegion);
+      cardColumns.phone_e164 = this.primaryE164(contactPoints);
+    }
+
+    const [result] = await connection.query(
+      'INSERT INTO business_cards SET ?',
+      [this.serialize({ ...cardColumns, user_id: userId })]
+    );
+
+    if (contactPoints) {
+      await this.replaceContactPoints(result.insertId, contactPoints, connection);
+    }
+
+    await revisionService.record(
+      result.insertId,
+      userId,
+      {},
+      revisionService.snapshot({ ...cardColumns, ...groupContactPoints(contactPoints || []) }),
+      revisionSource,
+      { connection }
+    );
+
+    return result.insertId;
+  }
+
+  /**
+   * Replace a card's fields with a user edit (PUT semantics — omitted scalar
+   * fields are cleared, omitted contact point kinds are kept).
+   *
+   * @param {object} card - stored business_cards row
+   * @param {object} body - name, company, job_title, notes, address, phone / email / website,
+   *   phones / emails / websites / socials, name_prefix / first_name / middle_name / last_name / name_suffix,
+   *   address_street / _city / _region / _postal_code / _country
+   * @param {string} defaultRegion - owner's default phone region
+   * @param {{ source?: string, note?: string, connection?, edited?: string[] }} revision - recorded with
+   *   the changed fields (source: user by default, ocr for an applied rescan); `connection` for a
+   *   transaction; `edited` - the quality-scored fields the user set (default: all of them)
+   * @returns {number|null} revision number, null when nothing changed
+   */
+  async updateCard(card, body, defaultRegion, { source = 'user', note, connection = pool, edited = CARD_FIELDS } = {}) {
+    const { company, job_title, notes } = body;
+
+    const nameInput = {
+      prefix: body.name_prefix,
+      first_name: body.first_name,
+      middle_name: body.middle_name,
+      last_name: body.last_name,
+      suffix: body.name_suffix
+    };
+    const hasNameParts = Object.values(nameInput).some((part) => part !== undefined);
+    const name = hasNameParts && !body.name ? formatName(nameInput) : body.name;
+
+    const addressParts = {
+      street: body.address_street,
+      city: body.address_city,
+      region: body.address_region,
+      postal_code: body.address_postal_code,
+      country: body.address_country
+    };
+    const hasAddressParts = Object.values(addressParts).some((part) => part !== undefined);
+    const address = hasAddressParts && !body.address ? formatAddress(addressParts) : body.address;
+
+    const storedPoints = await this.getContactPoints(card.id, connection);
+    const before = revisionService.snapshot({ ...card, ...groupContactPoints(storedPoints) });
+
+    let contactPoints = applyContactUpdate(storedPoints, body, card);
+    const { phone, email, website } = primaryValues(contactPoints);
+
+    contactPoints = this.normalizeContactValues(contactPoints, { address, website, email }, defaultRegion);
+
+    // User-entered values are trusted; the fields not edited keep their stored confidence
+    const quality = assessUserEdit({ name, email, phone, company, job_title, address, website }, { edited, stored: card });
+
+    await this.replaceContactPoints(card.id, contactPoints, connection);
+
+    await connection.query(
+      'UPDATE business_cards SET ? WHERE id = ?',
+      [{
+        ...nameColumns(name, hasNameParts ? nameInput : null),
+        ...addressColumns(address, hasAddressParts ? addressParts : null)
+      }, card.id]
+    );
+
+    await connection.query(
+      `UPDATE business_cards SET
+        name = ?, email = ?, phone = ?, phone_e164 = ?, company = ?,
+        job_title = ?, address = ?, website = ?, notes = ?,
+        field_confidence = ?, validation_flags = ?, confidence_score = ?,
+        needs_review = ?, reviewed_at = IF(?, reviewed_at, NOW())
+       WHERE id = ?`,
+      [
+        name, email, phone, this.primaryE164(contactPoints),
+        company, job_title, address, website, notes,
+        JSON.stringify(quality.fieldConfidence),
+        JSON.stringify(quality.validationFlags),
+        quality.score,
+        quality.needsReview,
+        quality.needsReview,
+        card.id
+      ]
+    );
+
+    return revisionService.record(
+      card.id,
+      card.user_id,
+      before,
+      revisionService.snapshot({ name, company, job_title, address, notes, ...groupContactPoints(contactPoints) }),
+      source,
+      { note, connection }
+    );
+  }
+
+  /**
+   * Update only the fields present in `input` (PATCH semantics) — see updateCard
+   * for the accepted fields. Stored name / address parts are kept unless the
+   * name / address or one of its parts is sent. Only the sent fields count as
+   * checked by the user, so the card's review state is otherwise kept.
+   */
+  async patchCard(card, input, defaultRegion, revision = {}) {
+    const body = {
+      company: card.company,
+      job_title: card.job_title,
+      notes: card.notes,
+      ...this.partsBody(card, input, 'name', NAME_PART_KEYS),
+      ...this.partsBody(card, input, 'address', ADDRESS_PART_KEYS),
+    };
+
+    for (const key of ['company', 'job_title', 'notes', 'phone', 'email', 'website', 'phones', 'emails', 'websites', 'socials']) {
+      if (input[key] !== undefined) body[key] = input[key];
+    }
+
+    const edited = CARD_FIELDS.filter((field) => EDITED_BY[field].some((key) => input[key] !== undefined));
+
+    return this.updateCard(card, body, defaultRegion, { ...revision, edited });
+  }
+
+  /**
+   * Body entries for a value with structured parts (name, address) in a patch:
+   *   - nothing sent → the stored value and parts (parsed again if none are stored)
+   *   - only the value sent → the value, parsed again
+   *   - parts sent → those parts over the stored ones, the value rebuilt from them unless sent
+   */
+  partsBody(card, input, field, partKeys) {
+    const sentParts = partKeys.filter((key) => input[key] !== undefined);
+
+    if (input[field] === undefined && sentParts.length === 0) {
+      const storedKeys = partKeys.some((key) => card[key]) ? [field, ...partKeys] : [field];
+      return Object.fromEntries(storedKeys.map((key) => [key, card[key]]));
+    }
+    if (sentParts.length === 0) {
+      return { [field]: input[field] };
+    }
+
+    const parts = Object.fromEntries(partKeys.map((key) => [key, input[key] !== undefined ? input[key] : card[key] || '']));
+    return { ...parts, [field]: input[field] };
+  }
+
+  /**
+   * Run `edit(card, connection)` on one of the user's cards in a transaction,
+   * with the card row locked so concurrent edits get consecutive revisions and
+   * the card, its contact points and its revision rows are written together
+   *
+   * @returns {{ result }|null} what `edit` returned, null when the card is not found
+   */
+  async editCard(userId, cardId, edit) {
+    const connection = await pool.getConnection();
+
+    try {
+      await connection.beginTransaction();
+
+      const [cards] = await connection.query(
+        'SELECT * FROM business_cards WHERE id = ? AND user_id = ? AND deleted_at IS NULL FOR UPDATE',
+        [cardId, userId]
+      );
+
+      if (cards.length === 0) {
+        await connection.rollback();
+        return null;
+      }
+
+      const result = await edit(cards[0], connection);
+      await connection.commit();
+      return { result };
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
+      connection.release();
+    }
+  }
+
+  /**
+   * Store the Google Contacts link of a synced card (recorded as a google-sync revision)
+   */
+  async markSynced(card, contactId) {
+    await this.editCard(card.user_id, card.id, async (locked, connection) => {
+      await connection.query(
+        'UPDATE business_cards SET synced_to_google = TRUE, google_contact_id = ? WHERE id = ?',
+        [contactId, locked.id]
+      );
+
+      await revisionService.record(
+        locked.id,
+        locked.user_id,
+        { google_contact_id: locked.google_contact_id || null },
+        { google_contact_id: contactId || null },
+        'google-sync',
+        { connection }
+      );
+    });
+  }
+
+  async replaceContactPoints(cardId, points, connection = pool) {
+    await connection.query('DELETE FROM card_contact_points WHERE card_id = ?', [cardId]);
+
+    if (points.length === 0) return;
+
+    await connection.query(
+      `INSERT INTO card_contact_points (card_id, kind, type, value, normalized_value, is_primary, position)
+       VALUES ?`,
+      [points.map((p) => [cardId, p.kind, p.type, p.value, p.normalized_value || null, p.is_primary, p.position])]
+    );
+  }
+
+  async getDefaultRegion(userId, connection = pool) {
+    const [users] = await connection.query('SELECT default_region FROM users WHERE id = ?', [userId]);
+    return users[0]?.default_region || null;
+  }
+
+  /**
+   * Set `normalized_value` on contact points: E.164 for phones, the canonical
+   * profile URL for socials. Numbers without a +prefix (phones and WhatsApp) are
+   * read in the country inferred from the card's address, website or email,
+   * then the owner's default region.
+   */
+  normalizeContactValues(points, card, defaultRegion) {
+    const country = inferCountry({
+      address: card.address,
+      website: card.website,
+      email: card.email,
+      defaultRegion
+    });
+
+    return points.map((point) => {
+      if (point.kind === 'phone') {
+        return { ...point, normalized_value: normalizePhone(point.value, country).e164 };
+      }
+      if (point.kind === 'social') {
+        return { ...point, normalized_value: canonicalProfileUrl(point.type, point.value, country) };
+      }
+      return point;
+    });
+  }
+
+  primaryE164(points) {
+    return points.find((p) => p.kind === 'phone' && p.is_primary)?.normalized_value || null;
+  }
+
+  async getContactPoints(cardId, connection = pool) {
+    const [points] = await connection.query(
+      'SELECT * FROM card_contact_points WHERE card_id = ? ORDER BY kind, position',
+      [cardId]
+    );
+    return points;
+  }
+
+  /**
+   * Add `phones`, `emails`, `websites` and `socials` arrays to each card (mutates and returns them)
+   */
+  async attachContactPoints(cards, connection = pool) {
+    if (cards.length === 0) return cards;
+
+    const [points] = await connection.query(
+      'SELECT * FROM card_contact_points WHERE card_id IN (?) ORDER BY kind, position',
+      [cards.map((card) => card.id)]
+    );
+
+    for (const card of cards) {
+      Object.assign(card, groupContactPoints(points.filter((p) => p.card_id === card.id)));
+    }
+    return cards;
+  }
+
+  /**
+   * Add a `tags` array ({ id, name, color }) to each card (mutates and returns them)
+   */
+  async attachTags(cards, connection = pool) {
+    if (cards.length === 0) return cards;
+
+    const [rows] = await connection.query(
+      `SELECT ct.card_id, t.id, t.name, t.color
+       FROM card_tags ct
+       JOIN tags t ON t.id = ct.tag_id
+       WHERE ct.card_id IN (?)
+       ORDER BY t.name`,
+      [cards.map((card) => card.id)]
+    );
+
+    for (const card of cards) {
+      card.tags = rows
+        .filter((row) => row.card_id === card.id)
+        .map(({ id, name, color }) => ({ id, name, color }));
+    }
+    return cards;
+  }
+
+  async getCard(cardId, connection = pool) {
+    const [cards] = await connection.query(
+      'SELECT * FROM business_cards WHERE id = ?',
+      [cardId]
+    );
+    if (cards.length === 0) return null;
+
+    await this.attachContactPoints(cards, connection);
+    await this.attachTags(cards, connection);
+    return cards[0];
+  }
+
+  /**
+   * The card's stored image URLs (image_url, back_image_url, their originals and
+   * the multi-card source photo) — null when it has none, e.g. a card made from text
+   */
+  imageUrls(card) {
+    const images = Object.fromEntries(IMAGE_COLUMNS.filter((column) => card[column]).map((column) => [column, card[column]]));
+    return Object.keys(images).length > 0 ? images : null;
+  }
+
+  /**
+   * Turn stored relative upload paths into absolute URLs for API responses
+   */
+  withImageUrls(card, baseUrl) {
+    const absolute = (images) => {
+      for (const column of IMAGE_COLUMNS) {
+        if (images[column] && images[column].startsWith('/')) {
+          images[column] = `${baseUrl}${images[column]}`;
+        }
+      }
+    };
+
+    absolute(card);
+    for (const images of card.merged_images || []) absolute(images);
+    return card;
+  }
+}
+
+module.exports = new CardService();
@@ -0,0 +1,341 @@
+const { pool } = require('../config/database');
+const cardService = require('./cardService');
+const revisionService = require('./revisionService');
+const { matchProfile, indexProfiles, findMatches } = require('../utils/duplicateMatcher');
+const { assessUserEdit } = require('../utils/cardQuality');
+const { FIELD_LABELS } = require('../utils/cardMerge');
+const { normalizeContactPoints, mergeContactLists, primaryValues, groupContactPoints } = require('../utils/contactPoints');
+
+// Likely duplicates inside a user's own cards (see utils/duplicateMatcher) and
+// merging a pair into one card. A pair is stored once in card_duplicates with
+// the newer card as card_id and the older one as candidate_id.
+
+// Scalar fields and the business_cards columns that travel with them on a merge
+const MERGE_COLUMNS = {
+  name: ['name', 'name_prefix', 'first_name', 'middle_name', 'last_name', 'name_suffix'],
+  company: ['company'],
+  job_title: ['job_title'],
+  address: [
+    'address', 'address_street', 'address_city', 'address_region',
+    'address_postal_code', 'address_country', 'address_country_code'
+  ],
+};
+
+// Primary contact point of each kind — the other values of both cards are always kept
+const CONTACT_FIELDS = ['email', 'phone', 'website'];
+
+const MERGE_FIELDS = [...Object.keys(MERGE_COLUMNS), ...CONTACT_FIELDS];
+
+// Tables whose rows follow a merged card to the card it was merged into
+const CARD_HISTORY_TABLES = ['sent_emails', 'extractions', 'scan_job_items'];
+
+// Pairs are hidden while either card is in the trash, and shown again on restore
+const NOT_TRASHED = `NOT EXISTS (
+  SELECT 1 FROM business_cards bc WHERE bc.id IN (d.card_id, d.candidate_id) AND bc.deleted_at IS NOT NULL)`;
+
+const clean = (value) => String(value || '').toLowerCase().replace(/\s+/g, ' ').trim();
+
+class DuplicateService {
+  get mergeFields() {
+    return MERGE_FIELDS;
+  }
+
+  async loadProfiles(userId, connection = pool) {
+    const [cards] = await connection.query(
+      'SELECT id, name, company, email FROM business_cards WHERE user_id = ? AND deleted_at IS NULL',
+      [userId]
+    );
+    await cardService.attachContactPoints(cards, connection);
+    return cards.map(matchProfile);
+  }
+
+  async savePair(userId, cardId, match, connection = pool) {
+    await connection.query(
+      `INSERT INTO card_duplicates (user_id, card_id, candidate_id, score, reasons)
+       VALUES (?, ?, ?, ?, ?)
+       ON DUPLICATE KEY UPDATE score = VALUES(score), reasons = VALUES(reasons)`,
+      [userId, Math.max(cardId, match.id), Math.min(cardId, match.id), match.score, JSON.stringify(match.reasons)]
+    );
+  }
+
+  /**
+   * Compare freshly saved cards with the rest of the user's cards and store
+   * the likely duplicates. Never throws — a failed check must not fail the scan.
+   *
+   * @returns {Array<{ card_id, candidate_id, score, reasons }>}
+   */
+  async flagCandidates(userId, cardIds) {
+    try {
+      const profiles = await this.loadProfiles(userId);
+      const index = indexProfiles(profiles);
+      const flagged = [];
+      const seen = new Set();
+
+      for (const profile of profiles.filter((p) => cardIds.includes(p.id))) {
+        for (const match of findMatches(profile, index)) {
+          const pair = [profile.id, match.id].sort((a, b) => a - b).join(':');
+          if (seen.has(pair)) continue;
+          seen.add(pair);
+
+          await this.savePair(userId, profile.id, match);
+          flagged.push({ card_id: profile.id, candidate_id: match.id, score: match.score, reasons: match.reasons });
+        }
+      }
+
+      if (flagged.length > 0) {
+        console.log(`👥 ${flagged.length} possible duplicate(s) flagged`);
+      }
+      return flagged;
+    } catch (error) {
+      console.error('Duplicate check error:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Check every card of the user against every other — for cards saved before
+   * duplicate detection existed. Dismissed pairs stay dismissed.
+   *
+   * @returns {number} new pairs found (pairs already stored, dismissed or not, are not counted)
+   */
+  async refresh(userId) {
+    const profiles = await this.loadProfiles(userId);
+    const index = indexProfiles(profiles);
+    let found = 0;
+
+    const [stored] = await pool.query('SELECT card_id, candidate_id FROM card_duplicates WHERE user_id = ?', [userId]);
+    const storedPairs = new Set(stored.map((pair) => `${pair.card_id}:${pair.candidate_id}`));
+
+    for (const profile of profiles) {
+      for (const match of findMatches(profile, index).filter((m) => m.id < profile.id)) {
+        await this.savePair(userId, profile.id, match);
+        if (!storedPairs.has(`${profile.id}:${match.id}`)) found++;
+      }
+    }
+
+    return found;
+  }
+
+  /**
+   * @returns {{ duplicates: Array<{ id, score, reasons, status, created_at, card, candidate }>, total }}
+   */
+  async listDuplicates(userId, { status = 'pending', limit = 20, offset = 0 } = {}) {
+    const [pairs] = await pool.query(
+      `SELECT * FROM card_duplicates d
+       WHERE user_id = ? AND status = ? AND ${NOT_TRASHED}
+       ORDER BY score DESC, created_at DESC
+       LIMIT ? OFFSET ?`,
+      [userId, status, limit, offset]
+    );
+
+    const [countResult] = await pool.query(
+      `SELECT COUNT(*) as total FROM card_duplicates d WHERE user_id = ? AND status = ? AND ${NOT_TRASHED}`,
+      [userId, status]
+    );
+
+    if (pairs.length === 0) return { duplicates: [], total: countResult[0].total };
+
+    const [cards] = await pool.query(
+      'SELECT * FROM business_cards WHERE id IN (?)',
+      [[...new Set(pairs.flatMap((pair) => [pair.card_id, pair.candidate_id]))]]
+    );
+    await cardService.attachContactPoints(cards);
+    const byId = new Map(cards.map((card) => [card.id, card]));
+
+    return {
+      duplicates: pairs.map((pair) => ({
+        id: pair.id,
+        score: Number(pair.score),
+        reasons: pair.reasons || [],
+        status: pair.status,
+        created_at: pair.created_at,
+        card: byId.get(pair.card_id),
+        candidate: byId.get(pair.candidate_id),
+      })),
+      total: countResult[0].total,
+    };
+  }
+
+  /**
+   * @returns {boolean} false when the pair does not exist
+   */
+  async dismiss(userId, pairId) {
+    const [result] = await pool.query(
+      `UPDATE card_duplicates SET status = 'dismissed', resolved_at = NOW()
+       WHERE id = ? AND user_id = ?`,
+      [pairId, userId]
+    );
+    return result.affectedRows > 0;
+  }
+
+  /**
+   * Merge `duplicateId` into `primaryId`, then delete the duplicate.
+   *
+   * Per field the primary card's value is kept, unless it is empty or the field
+   * is listed in `fields` — then the duplicate's value is used. Replaced values
+   * are kept in the notes. Every phone, email, website and social profile of
+   * both cards is kept; `email` / `phone` / `website` in `fields` make the
+   * duplicate's value the primary one. The duplicate's images move to
+   * `merged_images` (or become the card's images if it had none), and its sent
+   * emails, extraction log and scan job items are re-pointed at the primary card,
+   * which also gets the duplicate's tags.
+   *
+   * @param {string[]} fields - see mergeFields
+   * @returns {{ card, fields: string[], repointed: object }|null} null when either card is not the user's
+   */
+  async mergeCards(userId, primaryId, duplicateId, fields, defaultRegion) {
+    const connection = await pool.getConnection();
+    let merged;
+
+    try {
+      await connection.beginTransaction();
+
+      const [cards] = await connection.query(
+        'SELECT * FROM business_cards WHERE id IN (?) AND user_id = ? AND deleted_at IS NULL FOR UPDATE',
+        [[primaryId, duplicateId], userId]
+      );
+      const primary = cards.find((card) => card.id === primaryId);
+      const duplicate = cards.find((card) => card.id === duplicateId);
+
+      if (!primary || !duplicate) {
+        await connection.rollback();
+        return null;
+      }
+
+      await cardService.attachContactPoints(cards, connection);
+
+      const takeDuplicate = (field) => Boolean(duplicate[field]) && (fields.includes(field) || !primary[field]);
+      const update = {};
+      const replaced = [];
+
+      for (const [field, columns] of Object.entries(MERGE_COLUMNS)) {
+        const [source, other] = takeDuplicate(field) ? [duplicate, primary] : [primary, duplicate];
+        for (const column of columns) update[column] = source[column] ?? null;
+
+        if (other[field] && clean(other[field]) !== clean(source[field])) {
+          replaced.push(`${FIELD_LABELS[field]}: ${other[field]}`);
+        }
+      }
+
+      // ── Contact points — both cards' lists, the chosen primary values first
+      const contactData = mergeContactLists(primary, duplicate);
+      for (const field of CONTACT_FIELDS) {
+        contactData[field] = takeDuplicate(field) ? duplicate[field] : primary[field];
+      }
+
+      const contactPoints = cardService.normalizeContactValues(
+        normalizeContactPoints(contactData),
+        { address: update.address, website: contactData.website, email: contactData.email },
+        defaultRegion
+      );
+      await cardService.replaceContactPoints(primary.id, contactPoints, connection);
+      const { phone, email, website } = primaryValues(contactPoints);
+
+      // ── Images — nothing is deleted from disk
+      const mergedImages = [...(primary.merged_images || [])];
+      const duplicateImages = cardService.imageUrls(duplicate);
+
+      if (duplicateImages && !cardService.imageUrls(primary)) {
+        Object.assign(update, duplicateImages, { source_card_index: duplicate.source_card_index });
+      } else if (duplicateImages) {
+        mergedImages.push({ card_id: duplicate.id, ...duplicateImages });
+      }
+      mergedImages.push(...(duplicate.merged_images || []));
+
+      // ── Meeting context, if only the duplicate was tied to an event
+      if (!primary.event_id && duplicate.event_id) {
+        Object.assign(update, {
+          event_id: duplicate.event_id,
+          met_at: duplicate.met_at,
+          met_latitude: duplicate.met_latitude,
+          met_longitude: duplicate.met_longitude,
+        });
+      }
+
+      // ── Google Contacts link, if only the duplicate was synced
+      if (!primary.google_contact_id && duplicate.google_contact_id) {
+        update.google_contact_id = duplicate.google_contact_id;
+        update.synced_to_google = duplicate.synced_to_google;
+      }
+
+      const notes = [
+        primary.notes,
+        clean(duplicate.notes) !== clean(primary.notes) ? duplicate.notes : null,
+        replaced.length > 0 ? `Values from merged card #${duplicate.id}:\n${replaced.join('\n')}` : null,
+      ].filter(Boolean).join('\n\n');
+
+      // Choosing values is a user edit — trusted like one
+      const quality = assessUserEdit({ ...update, email, phone, website });
+
+      await connection.query('UPDATE business_cards SET ? WHERE id = ?', [
+        cardService.serialize({
+          ...update,
+          email: email || null,
+          phone: phone || null,
+          phone_e164: cardService.primaryE164(contactPoints),
+          website: website || null,
+          notes: notes || null,
+          merged_images: mergedImages.length > 0 ? mergedImages : null,
+          field_confidence: quality.fieldConfidence,
+          validation_flags: quality.validationFlags,
+          confidence_score: quality.score,
+          needs_review: quality.needsReview,
+          reviewed_at: quality.needsReview ? primary.reviewed_at : new Date(),
+        }),
+        primary.id
+      ]);
+
+      await revisionService.record(
+        primary.id,
+        userId,
+        revisionService.snapshot(primary),
+        revisionService.snapshot({ ...primary, ...update, notes, ...groupContactPoints(contactPoints) }),
+        'user',
+        { note: `Merged card #${duplicate.id}`, connection }
+      );
+
+      const repointed = {};
+      for (const table of CARD_HISTORY_TABLES) {
+        const [result] = await connection.query(
+          `UPDATE ${table} SET card_id = ? WHERE card_id = ?`,
+          [primary.id, duplicate.id]
+        );
+        repointed[table] = result.affectedRows;
+      }
+
+      // Links the merged card already has are left to cascade away with the duplicate
+      await connection.query(
+        'UPDATE IGNORE extraction_cards SET card_id = ? WHERE card_id = ?',
+        [primary.id, duplicate.id]
+      );
+
+      await connection.query(
+        `INSERT IGNORE INTO card_tags (card_id, tag_id, created_at)
+         SELECT ?, tag_id, created_at FROM card_tags WHERE card_id = ?`,
+        [primary.id, duplicate.id]
+      );
+
+      // Cascades to the duplicate's contact points, tags and card_duplicates pairs
+      await connection.query('DELETE FROM business_cards WHERE id = ?', [duplicate.id]);
+
+      await connection.commit();
+
+      merged = {
+        fields: MERGE_FIELDS.filter(takeDuplicate),
+        repointed,
+      };
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
+      connection.release();
+    }
+
+    // Pairs the duplicate had with other cards now belong to the merged card
+    await this.flagCandidates(userId, [primaryId]);
+
+    return { card: await cardService.getCard(primaryId), ...merged };
+  }
+}
+
+module.exports = new DuplicateService();
@@ -0,0 +1,215 @@
+const { pool } = require('../config/database');
+
+// Events where cards are collected (a trade show, a conference). A user can
+// have one current event; scans are attached to it unless they name another.
+
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+
+// DATE columns as plain YYYY-MM-DD — mysql2 would turn them into local-midnight Dates
+const EVENT_SELECT = `e.id, e.user_id, e.name, e.venue,
+  DATE_FORMAT(e.starts_on, '%Y-%m-%d') AS starts_on,
+  DATE_FORMAT(e.ends_on, '%Y-%m-%d') AS ends_on,
+  e.created_at, e.updated_at`;
+
+const parseCoordinate = (value, limit) => {
+  const number = parseFloat(value);
+  return Number.isFinite(number) && Math.abs(number) <= limit ? number : null;
+};
+
+class EventService {
+  /**
+   * @param {object} input - name, venue, starts_on, ends_on (YYYY-MM-DD)
+   * @returns {string|null} error message, null when valid
+   */
+  validate(input) {
+    const name = String(input.name || '').trim();
+    if (!name) return 'Event name is required';
+    if (name.length > 255) return 'Event name is longer than 255 characters';
+
+    for (const field of ['starts_on', 'ends_on']) {
+      if (input[field] && (!DATE_ONLY.test(input[field]) || Number.isNaN(new Date(input[field]).getTime()))) {
+        return `${field} must be a date like 2026-10-12`;
+      }
+    }
+    if (input.starts_on && input.ends_on && input.ends_on < input.starts_on) {
+      return 'ends_on must not be before starts_on';
+    }
+    return null;
+  }
+
+  columns(input) {
+    const columns = {};
+    if (input.name !== undefined) columns.name = String(input.name).trim();
+    for (const field of ['venue', 'starts_on', 'ends_on']) {
+      if (input[field] !== undefined) columns[field] = input[field] ? String(input[field]).trim() : null;
+    }
+    return columns;
+  }
+
+  async listEvents(userId, currentEventId) {
+    const [events] = await pool.query(
+      `SELECT ${EVENT_SELECT}, COUNT(bc.id) AS card_count
+       FROM events e
+       LEFT JOIN business_cards bc ON bc.event_id = e.id AND bc.deleted_at IS NULL
+       WHERE e.user_id = ?
+       GROUP BY e.id
+       ORDER BY COALESCE(e.starts_on, DATE(e.created_at)) DESC, e.id DESC`,
+      [userId]
+    );
+    return events.map((event) => ({ ...event, is_current: event.id === currentEventId }));
+  }
+
+  async getEvent(userId, eventId) {
+    const [events] = await pool.query(
+      `SELECT ${EVENT_SELECT} FROM events e WHERE e.id = ? AND e.user_id = ?`,
+      [eventId, userId]
+    );
+    return events[0] || null;
+  }
+
+  async createEvent(userId, input) {
+    const [result] = await pool.query('INSERT INTO events SET ?', [{ ...this.columns(input), user_id: userId }]);
+    return this.getEvent(userId, result.insertId);
+  }
+
+  async updateEvent(userId, eventId, input) {
+    const columns = this.columns(input);
+    if (Object.keys(columns).length > 0) {
+      await pool.query('UPDATE events SET ? WHERE id = ? AND user_id = ?', [columns, eventId, userId]);
+    }
+    return this.getEvent(userId, eventId);
+  }
+
+  /**
+   * Cards keep their meeting date and location; their event_id is cleared
+   */
+  async deleteEvent(userId, eventId) {
+    const [result] = await pool.query('DELETE FROM events WHERE id = ? AND user_id = ?', [eventId, userId]);
+    return result.affectedRows > 0;
+  }
+
+  async setCurrentEvent(userId, eventId) {
+    await pool.query('UPDATE users SET current_event_id = ? WHERE id = ?', [eventId, userId]);
+  }
+
+  /**
+   * Move cards to an event (or out of any event with `eventId` null) — cards
+   * that are not the user's are skipped
+   *
+   * @returns {number} cards updated
+   */
+  async assignCards(userId, cardIds, eventId, connection = pool) {
+    if (cardIds.length === 0) return 0;
+
+    const [result] = await connection.query(
+      'UPDATE business_cards SET event_id = ? WHERE user_id = ? AND deleted_at IS NULL AND id IN (?)',
+      [eventId, userId, cardIds]
+    );
+    return result.affectedRows;
+  }
+
+  /**
+   * Where and when a card being saved was met, from a scan request:
+   *   eventId   - an event of the user; null / "none" for no event; omitted → the current event
+   *   latitude / longitude - GPS position of the scan (both or neither)
+   *   metAt     - ISO timestamp, defaults to now
+   *
+   * @param {object} user - req.user (id, current_event_id)
+   * @returns {{ context: { event_id, met_at, met_latitude, met_longitude } }|{ error: string }}
+   */
+  async meetingContext(user, input = {}) {
+    let eventId = user.current_event_id || null;
+
+    if (input.eventId !== undefined) {
+      const requested = String(input.eventId ?? '').trim().toLowerCase();
+      eventId = null;
+
+      if (requested && requested !== 'none' && requested !== 'null') {
+        const event = await this.getEvent(user.id, requested);
+        if (!event) return { error: 'Event not found' };
+        eventId = event.id;
+      }
+    }
+
+    const hasLatitude = input.latitude != null && input.latitude !== '';
+    const hasLongitude = input.longitude != null && input.longitude !== '';
+    let latitude = null;
+    let longitude = null;
+
+    if (hasLatitude || hasLongitude) {
+      latitude = parseCoordinate(input.latitude, 90);
+      longitude = parseCoordinate(input.longitude, 180);
+      if (latitude === null || longitude === null) {
+        return { error: 'latitude (-90..90) and longitude (-180..180) must both be given as numbers' };
+      }
+    }
+
+    const metAt = input.metAt ? new Date(input.metAt) : new Date();
+    if (Number.isNaN(metAt.getTime())) return { error: 'metAt must be a valid timestamp' };
+
+    return {
+      context: {
+        event_id: eventId,
+        met_at: metAt,
+        met_latitude: latitude,
+        met_longitude: longitude
+      }
+    };
+  }
+
+  /**
+   * Cards scanned, synced to Google Contacts and emailed for one event
+   */
+  async getStats(userId, eventId) {
+    const [[cards]] = await pool.query(
+      `SELECT COUNT(*) AS scanned,
+              COALESCE(SUM(synced_to_google = TRUE), 0) AS synced,
+              COALESCE(SUM(needs_review = TRUE), 0) AS needs_review
+       FROM business_cards
+       WHERE user_id = ? AND event_id = ? AND deleted_at IS NULL`,
+      [userId, eventId]
+    );
+
+    const [[emails]] = await pool.query(
+      `SELECT COUNT(DISTINCT se.card_id) AS cards_emailed,
+              COUNT(*) AS emails_sent
+       FROM sent_emails se
+       JOIN business_cards bc ON bc.id = se.card_id
+       WHERE bc.user_id = ? AND bc.event_id = ? AND bc.deleted_at IS NULL AND se.status = 'sent'`,
+      [userId, eventId]
+    );
+
+    const [byDay] = await pool.query(
+      `SELECT DATE_FORMAT(COALESCE(met_at, created_at), '%Y-%m-%d') AS day, COUNT(*) AS scanned
+       FROM business_cards
+       WHERE user_id = ? AND event_id = ? AND deleted_at IS NULL
+       GROUP BY day
+       ORDER BY day`,
+      [userId, eventId]
+    );
+
+    return {
+      scanned: Number(cards.scanned),
+      synced: Number(cards.synced),
+      needsReview: Number(cards.needs_review),
+      emailed: Number(emails.cards_emailed),
+      emailsSent: Number(emails.emails_sent),
+      byDay: byDay.map((row) => ({ day: row.day, scanned: Number(row.scanned) })),
+    };
+  }
+
+  /**
+   * Event names by ID, for the {{event_name}} campaign merge tag
+   *
+   * @returns {Map<number, string>}
+   */
+  async namesFor(eventIds) {
+    const ids = [...new Set(eventIds.filter(Boolean))];
+    if (ids.length === 0) return new Map();
+
+    const [events] = await pool.query('SELECT id, name FROM events WHERE id IN (?)', [ids]);
+    return new Map(events.map((event) => [event.id, event.name]));
+  }
+}
+
+module.exports = new EventService();
@@ -0,0 +1,270 @@
+const fs = require('fs');
+const path = require('path');
+const ExcelJS = require('exceljs');
+const { pool } = require('../config/database');
+const cardService = require('./cardService');
+const cardSearchService = require('./cardSearchService');
+const eventService = require('./eventService');
+const imageProcessingService = require('./imageProcessingService');
+const { VERSIONS, toVCard } = require('../utils/vcardWriter');
+
+// Card exports for people outside Google Contacts: a single card as a vCard
+// with its photo, and every (or every filtered) card streamed as vCard, CSV or
+// XLSX. Cards are read in ID order, one batch at a time, so memory stays flat
+// however many cards a user has. CSV starts with a UTF-8 byte order mark so
+// spreadsheet apps read non-ASCII names correctly.
+
+const FORMATS = {
+  vcard: { contentType: 'text/vcard; charset=utf-8', extension: 'vcf' },
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  xlsx: { contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', extension: 'xlsx' },
+};
+
+const joinValues = (list) => (list || []).map((point) => point.value).join('; ');
+
+// Export column → header and the value taken from a card (contact points, tags and event name attached)
+const COLUMNS = {
+  name: { label: 'Name', value: (card) => card.name },
+  name_prefix: { label: 'Name prefix', value: (card) => card.name_prefix },
+  first_name: { label: 'First name', value: (card) => card.first_name },
+  middle_name: { label: 'Middle name', value: (card) => card.middle_name },
+  last_name: { label: 'Last name', value: (card) => card.last_name },
+  name_suffix: { label: 'Name suffix', value: (card) => card.name_suffix },
+  company: { label: 'Company', value: (card) => card.company },
+  job_title: { label: 'Job title', value: (card) => card.job_title },
+  email: { label: 'Email', value: (card) => card.email },
+  emails: { label: 'All emails', value: (card) => joinValues(card.emails) },
+  phone: { label: 'Phone', value: (card) => card.phone },
+  phone_e164: { label: 'Phone (E.164)', value: (card) => card.phone_e164 },
+  phones: { label: 'All phones', value: (card) => joinValues(card.phones) },
+  website: { label: 'Website', value: (card) => card.website },
+  websites: { label: 'All websites', value: (card) => joinValues(card.websites) },
+  socials: { label: 'Social profiles', value: (card) => joinValues(card.socials) },
+  address: { label: 'Address', value: (card) => card.address },
+  address_street: { label: 'Street', value: (card) => card.address_street },
+  address_city: { label: 'City', value: (card) => card.address_city },
+  address_region: { label: 'Region', value: (card) => card.address_region },
+  address_postal_code: { label: 'Postal code', value: (card) => card.address_postal_code },
+  address_country: { label: 'Country', value: (card) => card.address_country },
+  notes: { label: 'Notes', value: (card) => card.notes },
+  tags: { label: 'Tags', value: (card) => (card.tags || []).map((tag) => tag.name).join(', ') },
+  event: { label: 'Event', value: (card) => card.event_name },
+  met_at: { label: 'Met at', value: (card) => card.met_at },
+  synced_to_google: { label: 'Synced to Google', value: (card) => Boolean(card.synced_to_google) },
+  needs_review: { label: 'Needs review', value: (card) => Boolean(card.needs_review) },
+  confidence_score: { label: 'Confidence', value: (card) => card.confidence_score },
+  created_at: { label: 'Created', value: (card) => card.created_at },
+  updated_at: { label: 'Updated', value: (card) => card.updated_at },
+};
+
+const DEFAULT_COLUMNS = ['name', 'company', 'job_title', 'email', 'phone', 'website', 'address', 'tags', 'event', 'notes', 'created_at'];
+
+const BATCH_SIZE = 200;
+
+/**
+ * One CSV field (RFC 4180). Text a spreadsheet would run as a formula gets a
+ * leading apostrophe — phone numbers like "+44 20 7946 0000" are left alone.
+ */
+const csvField = (value) => {
+  if (value == null) return '';
+
+  let text = value instanceof Date ? value.toISOString() : typeof value === 'boolean' ? (value ? 'yes' : 'no') : String(value);
+  if (/^[=@\t\r]/.test(text) || /^[+-](?![\d\s().-]*$)/.test(text)) text = `'${text}`;
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const csvRow = (values) => values.map(csvField).join(',') + '\r\n';
+
+// Write respecting backpressure
+const write = (stream, chunk) => new Promise((resolve) => {
+  if (stream.write(chunk)) resolve();
+  else stream.once('drain', resolve);
+});
+
+class ExportService {
+  get formats() {
+    return Object.keys(FORMATS);
+  }
+
+  get columns() {
+    return Object.keys(COLUMNS);
+  }
+
+  get vcardVersions() {
+    return VERSIONS;
+  }
+
+  /**
+   * Content-Disposition for a download — plain ASCII name plus the UTF-8 one (RFC 6266)
+   */
+  attachmentHeader(filename) {
+    const ascii = filename.normalize('NFD').replace(/[\u0300-\u036f]/g, '').replace(/[^\x20-\x7e]|["\\]/g, '_');
+    return `attachment; filename="${ascii}"; filename*=UTF-8''${encodeURIComponent(filename)}`;
+  }
+
+  /**
+   * The card's image as a small JPEG for PHOTO, null when there is none on disk
+   */
+  async photoOf(card) {
+    const imageUrl = card.image_url || card.original_image_url;
+    if (!imageUrl || !imageUrl.startsWith('/uploads/')) return null;
+
+    const imagePath = path.join(process.env.UPLOAD_DIR || 'uploads', path.basename(imageUrl));
+    if (!fs.existsSync(imagePath)) return null;
+
+    try {
+      return { data: await imageProcessingService.thumbnail(imagePath), mediaType: 'image/jpeg' };
+    } catch (error) {
+      console.error(`Failed to read photo of card ${card.id}:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * One card as a vCard with its photo — `card` as returned by cardService.getCard
+   */
+  async cardVCard(card, version = '3.0') {
+    const eventNames = await eventService.namesFor([card.event_id]);
+    return toVCard(card, {
+      version,
+      photo: await this.photoOf(card),
+      eventName: eventNames.get(card.event_id) || null,
+    });
+  }
+
+  /**
+   * Validate an export request — query: format (vcard | csv | xlsx), columns
+   * (comma-separated, csv / xlsx), version (3.0 | 4.0) and photos (vcard),
+   * cardIds, plus the filters of GET /api/cards
+   *
+   * @returns {{ format, columns, version, photos, where, params }|{ error: string }}
+   */
+  async prepare(userId, query = {}) {
+    const format = String(query.format || 'csv').toLowerCase();
+    if (!FORMATS[format]) return { error: `Unknown format "${format}". Use one of: ${this.formats.join(', ')}` };
+
+    const version = String(query.version || '3.0');
+    if (!VERSIONS.includes(version)) return { error: `vCard version must be one of: ${VERSIONS.join(', ')}` };
+
+    const columns = query.columns
+      ? String(query.columns).split(',').map((column) => column.trim()).filter(Boolean)
+      : DEFAULT_COLUMNS;
+    const unknown = columns.filter((column) => !COLUMNS[column]);
+    if (unknown.length > 0) {
+      return { error: `Unknown column(s): ${unknown.join(', ')}. Use any of: ${this.columns.join(', ')}` };
+    }
+    if (columns.length === 0) return { error: 'At least one column is required' };
+
+    const parsed = cardSearchService.parseFilters(query);
+    if (parsed.error) return parsed;
+
+    const built = await cardSearchService.buildWhere(userId, parsed.filters);
+    if (built.error) return built;
+
+    let { where } = built;
+    const params = [...built.params];
+
+    if (query.cardIds) {
+      const cardIds = String(query.cardIds).split(',').map((id) => parseInt(id)).filter(Boolean);
+      if (cardIds.length === 0) return { error: 'cardIds must be a comma-separated list of IDs' };
+      where += ' AND id IN (?)';
+      params.push(cardIds);
+    }
+
+    return {
+      format,
+      columns,
+      version,
+      photos: ['true', '1', 'yes'].includes(String(query.photos).toLowerCase()),
+      where,
+      params,
+    };
+  }
+
+  /**
+   * @returns {{ contentType, filename }}
+   */
+  download(format) {
+    const { contentType, extension } = FORMATS[format];
+    return { contentType, filename: `cards-${new Date().toISOString().slice(0, 10)}.${extension}` };
+  }
+
+  /**
+   * Call `handle(cards)` for every matching card, BATCH_SIZE at a time in ID order
+   */
+  async forEachBatch(exportOptions, handle) {
+    let lastId = 0;
+
+    for (;;) {
+      const [cards] = await pool.query(
+        `SELECT * FROM business_cards WHERE ${exportOptions.where} AND id > ? ORDER BY id LIMIT ?`,
+        [...exportOptions.params, lastId, BATCH_SIZE]
+      );
+      if (cards.length === 0) return;
+
+      await cardService.attachContactPoints(cards);
+      await cardService.attachTags(cards);
+      const eventNames = await eventService.namesFor(cards.map((card) => card.event_id));
+      for (const card of cards) card.event_name = eventNames.get(card.event_id) || null;
+
+      await handle(cards);
+
+      if (cards.length < BATCH_SIZE) return;
+      lastId = cards[cards.length - 1].id;
+    }
+  }
+
+  /**
+   * Stream the export prepared by prepare() to `stream` (the response) and end it
+   *
+   * @returns {number} cards exported
+   */
+  async streamExport(exportOptions, stream) {
+    const { format, columns, version, photos } = exportOptions;
+    let exported = 0;
+
+    if (format === 'xlsx') {
+      const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream, useStyles: true, useSharedStrings: false });
+      const sheet = workbook.addWorksheet('Cards');
+      sheet.columns = columns.map((column) => ({ header: COLUMNS[column].label, key: column, width: 24 }));
+      sheet.getRow(1).font = { bold: true };
+      sheet.getRow(1).commit();
+
+      await this.forEachBatch(exportOptions, async (cards) => {
+        for (const card of cards) {
+          sheet.addRow(columns.map((column) => COLUMNS[column].value(card) ?? null)).commit();
+        }
+        exported += cards.length;
+      });
+
+      sheet.commit();
+      await workbook.commit();
+      return exported;
+    }
+
+    if (format === 'csv') {
+      await write(stream, '\uFEFF' + csvRow(columns.map((column) => COLUMNS[column].label)));
+    }
+
+    await this.forEachBatch(exportOptions, async (cards) => {
+      for (const card of cards) {
+        if (format === 'csv') {
+          await write(stream, csvRow(columns.map((column) => COLUMNS[column].value(card))));
+        } else {
+          await write(stream, toVCard(card, {
+            version,
+            photo: photos ? await this.photoOf(card) : null,
+            eventName: card.event_name,
+          }));
+        }
+      }
+      exported += cards.length;
+    });
+
+    stream.end();
+    return exported;
+  }
+}
+
+module.exports = new ExportService();
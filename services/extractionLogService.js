@@ -0,0 +1,73 @@
+const { pool } = require('../config/database');
+
+// Stored extraction attempts (the `extractions` table). Entries are the
+// `extractions` list extractionService returns with every result — one per
+// provider call, in chain order, so the last entry of a successful result is
+// the one whose data was used.
+class ExtractionLogService {
+  /**
+   * @param {number} userId
+   * @param {number|null} cardId - null when the scan produced no card
+   * @param {Array} entries
+   * @param {{ mode?: string, side?: string }} options - mode: scan | multi | bulk | rescan | text
+   * @returns {number[]} inserted IDs, in entry order
+   */
+  async record(userId, cardId, entries = [], options = {}, connection = pool) {
+    const ids = [];
+
+    for (const entry of entries) {
+      const [result] = await connection.query('INSERT INTO extractions SET ?', [{
+        ...entry,
+        parsed_result: entry.parsed_result == null ? null : JSON.stringify(entry.parsed_result),
+        user_id: userId,
+        card_id: cardId,
+        mode: options.mode || 'scan',
+        side: options.side || 'front'
+      }]);
+      ids.push(result.insertId);
+    }
+
+    return ids;
+  }
+
+  /**
+   * Link the attempts of one multi-card extraction (recorded once, card_id
+   * NULL) to every card it produced
+   */
+  async linkCards(extractionIds, cardIds, connection = pool) {
+    if (extractionIds.length === 0 || cardIds.length === 0) return;
+
+    await connection.query(
+      'INSERT IGNORE INTO extraction_cards (extraction_id, card_id) VALUES ?',
+      [extractionIds.flatMap((extractionId) => cardIds.map((cardId) => [extractionId, cardId]))]
+    );
+  }
+
+  async listForCard(userId, cardId) {
+    const [extractions] = await pool.query(
+      `SELECT * FROM extractions
+       WHERE user_id = ?
+         AND (card_id = ? OR id IN (SELECT extraction_id FROM extraction_cards WHERE card_id = ?))
+       ORDER BY created_at DESC, id DESC`,
+      [userId, cardId, cardId]
+    );
+    return extractions;
+  }
+
+  async getExtraction(userId, extractionId) {
+    const [extractions] = await pool.query(
+      'SELECT * FROM extractions WHERE id = ? AND user_id = ?',
+      [extractionId, userId]
+    );
+    return extractions[0] || null;
+  }
+
+  async markApplied(extractionId, fields) {
+    await pool.query(
+      'UPDATE extractions SET applied_fields = ?, applied_at = NOW() WHERE id = ?',
+      [JSON.stringify(fields), extractionId]
+    );
+  }
+}
+
+module.exports = new ExtractionLogService();
@@ -0,0 +1,366 @@
+// services/extractionService.js
+// Registry of card-extraction providers with an automatic fallback chain.
+//
+// Every provider exposes the same interface:
+//   isConfigured()            → boolean, false skips the provider entirely
+//   extractCardInfo(imagePath) → { success, data, confidence, fallback, rateLimited, unparseable, notConfigured, error }
+//                                (notConfigured: the provider could not be used at all, counted like a skip)
+//   extractMultipleCards(imagePath) → { success, cards: [{ data, confidence }], ... }  (optional)
+//   extractFromText(text)      → same shape as extractCardInfo, for pasted text  (optional)
+//
+// Successful and fallback results carry a `quality` assessment (see utils/cardQuality).
+//
+// Providers may also return `trace: { model, promptVersion, rawText, usage }`. Every
+// provider call becomes one entry of the result's `extractions` list, ready to be
+// stored by extractionLogService.
+//
+// Single-card extraction also decodes any QR code / barcode on the card locally;
+// a vCard or MeCard payload overrides the provider's fields (see utils/cardMerge).
+//
+// The "local" provider (Tesseract + rule-based parsing) makes no outbound calls.
+// Without OPENAI_API_KEY it is added to the end of the chain even when
+// OCR_PROVIDER_ORDER leaves it out, so scans still come back with a best-effort card.
+
+const openaiService = require('./openaiService');
+const geminiService = require('./geminiService');
+const mistralService = require('./mistralService');
+const localOcrService = require('./localOcrService');
+const barcodeService = require('./barcodeService');
+const { assessCard } = require('../utils/cardQuality');
+const { applyDecodedCard } = require('../utils/cardMerge');
+const { parseContactPayload } = require('../utils/vcardParser');
+const { estimateCost } = require('../utils/aiPricing');
+
+const DEFAULT_ORDER = 'openai,gemini,mistral';
+
+const emptyCard = () => ({
+  name: '', email: '', phone: '',
+  company: '', job_title: '',
+  address: '', website: '',
+});
+
+/**
+ * One `extractions` entry for a provider call
+ */
+const logEntry = (name, method, result, latencyMs, success) => ({
+  provider: name,
+  model: result.trace?.model || null,
+  prompt_version: result.trace?.promptVersion || null,
+  status: success ? 'succeeded' : 'failed',
+  raw_text: result.trace?.rawText || null,
+  parsed_result: success
+    ? (method === 'extractMultipleCards'
+      ? result.cards
+      : { data: result.data, confidence: result.confidence || {} })
+    : null,
+  prompt_tokens: result.trace?.usage?.promptTokens ?? null,
+  completion_tokens: result.trace?.usage?.completionTokens ?? null,
+  total_tokens: result.trace?.usage?.totalTokens ?? null,
+  cost_usd: estimateCost(name, result.trace?.usage?.promptTokens ?? null, result.trace?.usage?.completionTokens ?? null),
+  latency_ms: latencyMs,
+  error_message: success ? null : (result.error || 'No usable data returned'),
+});
+
+/**
+ * `extractions` entry for a decoded QR code / barcode. It is always the last
+ * entry, so its parsed_result holds the card data the scan ended up with.
+ */
+const codeEntry = (code, data, confidence, latencyMs) => ({
+  provider: 'qr',
+  model: code.format,
+  prompt_version: null,
+  status: 'succeeded',
+  raw_text: code.text,
+  parsed_result: { kind: code.kind, decoded: code.data, data, confidence },
+  prompt_tokens: null,
+  completion_tokens: null,
+  total_tokens: null,
+  cost_usd: 0,
+  latency_ms: latencyMs,
+  error_message: null,
+});
+
+class ExtractionService {
+  constructor() {
+    this.providers = new Map();
+
+    this.register('openai', openaiService);
+    this.register('gemini', geminiService);
+    this.register('mistral', mistralService);
+    this.register('local', localOcrService);
+  }
+
+  register(name, provider) {
+    if (typeof provider.extractCardInfo !== 'function') {
+      throw new Error(`Extraction provider "${name}" must implement extractCardInfo()`);
+    }
+    this.providers.set(name, provider);
+  }
+
+  has(name) {
+    return this.providers.has(name);
+  }
+
+  list() {
+    return [...this.providers.keys()];
+  }
+
+  /**
+   * Provider order from OCR_PROVIDER_ORDER (comma separated), unknown names dropped.
+   * "local" is appended when OpenAI is not configured.
+   */
+  getOrder() {
+    const order = (process.env.OCR_PROVIDER_ORDER || DEFAULT_ORDER)
+      .split(',')
+      .map((name) => name.trim().toLowerCase())
+      .filter((name) => this.providers.has(name));
+
+    if (!openaiService.isConfigured() && !order.includes('local')) order.push('local');
+    return order;
+  }
+
+  /**
+   * Call `method` on each provider of the chain (or only the pinned one) until
+   * `isUsable(result)` accepts a result. `input` is the image path, or the text
+   * for extractFromText.
+   *
+   * @returns {{ name, result, attempts, extractions, sawFallback }} — `name` is null when every provider failed
+   */
+  async runChain(method, input, options, isUsable) {
+    const chain = options.provider ? [options.provider] : (options.order || this.getOrder());
+    const attempts = [];
+    const extractions = [];
+    let sawFallback = false;
+
+    for (const name of chain) {
+      const provider = this.providers.get(name);
+
+      if (typeof provider[method] !== 'function') {
+        attempts.push({ provider: name, success: false, notConfigured: true, error: `Does not support ${method}` });
+        continue;
+      }
+
+      if (provider.isConfigured && !provider.isConfigured()) {
+        console.log(`⏭️  Skipping ${name} — not configured`);
+        attempts.push({ provider: name, success: false, notConfigured: true, error: 'Not configured' });
+        continue;
+      }
+
+      console.log(`🤖 Trying extraction provider: ${name}`);
+      const startedAt = Date.now();
+      let result;
+      try {
+        result = await provider[method](input);
+      } catch (error) {
+        result = { success: false, error: error.message };
+      }
+      const usable = isUsable(result);
+      extractions.push(logEntry(name, method, result, Date.now() - startedAt, usable));
+
+      if (usable) {
+        attempts.push({ provider: name, success: true });
+        return { name, result, attempts, extractions, sawFallback };
+      }
+
+      if (result.fallback) sawFallback = true;
+
+      console.log(`⚠️  ${name} failed: ${result.error || 'no usable data'} — trying next provider`);
+      attempts.push({
+        provider: name,
+        success: false,
+        notConfigured: Boolean(result.notConfigured),
+        rateLimited: Boolean(result.rateLimited),
+        unparseable: Boolean(result.unparseable),
+        error: result.error || 'No usable data returned',
+      });
+    }
+
+    return { name: null, result: null, attempts, extractions, sawFallback };
+  }
+
+  /**
+   * Failure result once every provider in the chain has been tried
+   */
+  chainFailure(attempts, extractions, options) {
+    const tried = attempts.filter((a) => !a.notConfigured);
+
+    if (tried.length === 0) {
+      return {
+        success: false,
+        notConfigured: true,
+        error: options.provider
+          ? `Extraction provider "${options.provider}" is not configured or does not support this scan mode`
+          : 'No extraction provider is configured',
+        attempts,
+        extractions,
+      };
+    }
+
+    return {
+      success: false,
+      rateLimited: tried.every((a) => a.rateLimited),
+      error: tried.map((a) => `${a.provider}: ${a.error}`).join('; '),
+      attempts,
+      extractions,
+    };
+  }
+
+  /**
+   * Run extraction through the configured chain, or only through `options.provider`
+   * when the caller pins one. The first provider to return real data wins.
+   *
+   * @param {string} imagePath
+   * @param {{ provider?: string }} options
+   * @returns {{ success, data, quality, provider, fallback, rateLimited, notConfigured, error, code, attempts, extractions }}
+   */
+  async extractCardInfo(imagePath, options = {}) {
+    const { code, latencyMs } = await this.decodeCode(imagePath);
+    const { name, result, attempts, extractions, sawFallback } = await this.runChain(
+      'extractCardInfo', imagePath, options,
+      (r) => r.success && !r.fallback
+    );
+
+    const tried = attempts.filter((a) => !a.notConfigured);
+
+    // A provider answered but could not read the card — keep the old behaviour
+    // of saving an empty card so the user can fill it in manually.
+    const answered = tried.length > 0 && (sawFallback || tried.some((a) => a.unparseable));
+
+    // A vCard / MeCard code is a card on its own, even when no provider could read the image
+    const contactCode = code && (code.kind === 'vcard' || code.kind === 'mecard') ? code : null;
+
+    let data = name ? { ...emptyCard(), ...result.data } : emptyCard();
+    let confidence = name ? result.confidence : {};
+    let codeFields = [];
+
+    if (code?.data) {
+      ({ data, confidence, fields: codeFields } = applyDecodedCard(data, confidence, code.data));
+    }
+    if (code) {
+      extractions.push(codeEntry(code, data, confidence, latencyMs));
+    }
+
+    if (!name && !answered && !contactCode) {
+      return this.chainFailure(attempts, extractions, options);
+    }
+
+    const fallback = !name && !contactCode;
+
+    return {
+      success: true,
+      data,
+      quality: assessCard(data, confidence),
+      provider: name || (contactCode ? 'qr' : null),
+      fallback,
+      rateLimited: false,
+      ...(fallback && { error: tried[tried.length - 1].error }),
+      ...(code && { code: { format: code.format, kind: code.kind, fields: codeFields } }),
+      attempts,
+      extractions,
+    };
+  }
+
+  /**
+   * Extract a card from pasted text — an email signature, LinkedIn contact info or
+   * a copied vCard. vCard / MeCard text is read directly; anything else goes through
+   * the providers implementing extractFromText(), with the local parser always last.
+   *
+   * @param {string} text
+   * @param {{ provider?: string }} options
+   * @returns {{ success, data, quality, provider, fallback, rateLimited, notConfigured, error, attempts, extractions }}
+   */
+  async extractFromText(text, options = {}) {
+    const payload = parseContactPayload(text);
+
+    if (!options.provider && (payload.kind === 'vcard' || payload.kind === 'mecard')) {
+      const { data, confidence } = applyDecodedCard(emptyCard(), {}, payload.data);
+      return {
+        success: true,
+        data,
+        quality: assessCard(data, confidence),
+        provider: payload.kind,
+        fallback: false,
+        rateLimited: false,
+        attempts: [],
+        extractions: [logEntry(payload.kind, 'extractFromText', { data, confidence }, 0, true)],
+      };
+    }
+
+    const order = this.getOrder();
+    if (!order.includes('local')) order.push('local');
+
+    const { name, result, attempts, extractions, sawFallback } = await this.runChain(
+      'extractFromText', text, { ...options, order },
+      (r) => r.success && !r.fallback
+    );
+
+    const tried = attempts.filter((a) => !a.notConfigured);
+
+    if (!name && !sawFallback && !tried.some((a) => a.unparseable)) {
+      return this.chainFailure(attempts, extractions, options);
+    }
+
+    const data = name ? { ...emptyCard(), ...result.data } : emptyCard();
+    const fallback = !name;
+
+    return {
+      success: true,
+      data,
+      quality: assessCard(data, name ? result.confidence : {}),
+      provider: name,
+      fallback,
+      rateLimited: false,
+      ...(fallback && { error: tried[tried.length - 1].error }),
+      attempts,
+      extractions,
+    };
+  }
+
+  /**
+   * Decode a QR code / barcode on the card locally. Failures only cost the code.
+   *
+   * @returns {{ code: object|null, latencyMs: number }}
+   */
+  async decodeCode(imagePath) {
+    const startedAt = Date.now();
+    let code = null;
+
+    try {
+      code = await barcodeService.decode(imagePath);
+      if (code) console.log(`🔳 ${code.format} decoded (${code.kind})`);
+    } catch (error) {
+      console.error('⚠️  QR / barcode decoding failed:', error.message);
+    }
+
+    return { code, latencyMs: Date.now() - startedAt };
+  }
+
+  /**
+   * Detect every card in a photo of several cards. Only providers implementing
+   * extractMultipleCards() take part; an empty detection moves on to the next one.
+   *
+   * @returns {{ success, cards: [{ data, quality }], provider, rateLimited, error, attempts, extractions }}
+   */
+  async extractMultipleCards(imagePath, options = {}) {
+    const { name, result, attempts, extractions } = await this.runChain(
+      'extractMultipleCards', imagePath, options,
+      (r) => r.success && Array.isArray(r.cards) && r.cards.length > 0
+    );
+
+    if (!name) return this.chainFailure(attempts, extractions, options);
+
+    return {
+      success: true,
+      cards: result.cards.map((card) => {
+        const data = { ...emptyCard(), ...card.data };
+        return { data, quality: assessCard(data, card.confidence) };
+      }),
+      provider: name,
+      rateLimited: false,
+      attempts,
+      extractions,
+    };
+  }
+}
+
+module.exports = new ExtractionService();
@@ -6,11 +6,29 @@ class GeminiService {
     this.apiKey = process.env.GEMINI_API_KEY;
 
     // ✅ FREE + VISION supported
+    this.model = 'gemini-pro-vision';
     this.apiUrl =
-      'https://generativelanguage.googleapis.com/v1beta/models/gemini-pro-vision:generateContent';
+      `https://generativelanguage.googleapis.com/v1beta/models/${this.model}:generateContent`;
+
+    // Bump when the prompt below changes — stored with every extraction
+    this.promptVersion = 'gemini-1';
+  }
+
+  isConfigured() {
+    return Boolean(this.apiKey);
   }
 
   async extractCardInfo(imagePath) {
+    if (!this.isConfigured()) {
+      return {
+        success: false,
+        notConfigured: true,
+        error: 'Gemini API key not configured. Set GEMINI_API_KEY in .env'
+      };
+    }
+
+    const trace = { model: this.model, promptVersion: this.promptVersion, rawText: null, usage: null };
+
     try {
       const imageBuffer = fs.readFileSync(imagePath);
       const base64Image = imageBuffer.toString('base64');
@@ -35,13 +53,15 @@ JSON format:
   "company": "",
   "job_title": "",
   "address": "",
-  "website": ""
+  "website": "",
+  "confidence": { "name": 0.0, "email": 0.0, "phone": 0.0, "company": 0.0, "job_title": 0.0, "address": 0.0, "website": 0.0 }
 }
 
 Rules:
 - No markdown
 - No explanation
 - Empty string if missing
+- confidence: 0.0 (guess) to 1.0 (clearly legible) for each field
 `;
 
       const response = await axios.post(
@@ -69,9 +89,32 @@ Rules:
       const text =
         response.data?.candidates?.[0]?.content?.parts?.[0]?.text;
 
+      const usage = response.data?.usageMetadata;
+      trace.rawText = text || null;
+      trace.usage = usage
+        ? {
+          promptTokens: usage.promptTokenCount,
+          completionTokens: usage.candidatesTokenCount,
+          totalTokens: usage.totalTokenCount
+        }
+        : null;
+
       if (!text) throw new Error('Empty Gemini response');
 
-      const json = JSON.parse(text);
+      let json;
+      try {
+        const cleaned = text.replace(/```json\s*/gi, '').replace(/```/g, '').trim();
+        const match = cleaned.match(/\{[\s\S]*\}/);
+        json = JSON.parse(match ? match[0] : cleaned);
+      } catch (parseError) {
+        console.error('Gemini JSON parse failed:', parseError.message, '| raw:', text);
+        return {
+          success: false,
+          unparseable: true,
+          error: 'Gemini returned a response that is not valid JSON',
+          trace
+        };
+      }
 
       return {
         success: true,
@@ -83,7 +126,9 @@ Rules:
           job_title: this.cleanString(json.job_title),
           address: this.cleanString(json.address),
           website: this.cleanWebsite(json.website)
-        }
+        },
+        confidence: json.confidence || {},
+        trace
       };
 
     } catch (error) {
@@ -92,9 +137,13 @@ Rules:
         error.response?.data || error.message
       );
 
+      const status = error.response?.status;
+
       return {
         success: false,
+        rateLimited: status === 429 || error.response?.data?.error?.status === 'RESOURCE_EXHAUSTED',
         error: error.message,
+        trace,
         data: {
           name: '',
           email: '',
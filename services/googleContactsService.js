@@ -1,5 +1,12 @@
 const { google } = require('googleapis');
 const googleAuthService = require('./googleAuthService');
+const { nameParts } = require('../utils/nameParser');
+const { NETWORKS } = require('../utils/socialProfiles');
+
+// Card contact-point types → People API types
+const PHONE_TYPES = { mobile: 'mobile', work: 'work', home: 'home', fax: 'workFax', main: 'main', other: 'other' };
+const EMAIL_TYPES = { work: 'work', personal: 'home', other: 'other' };
+const URL_TYPES = { work: 'work', personal: 'homePage', profile: 'profile', other: 'other' };
 
 class GoogleContactsService {
   async syncContact(userId, contactData) {
@@ -44,7 +51,7 @@ class GoogleContactsService {
       // Get current contact to get etag
       const current = await people.people.get({
         resourceName: googleContactId,
-        personFields: 'names,emailAddresses,phoneNumbers,organizations,addresses,urls'
+        personFields: 'names,emailAddresses,phoneNumbers,organizations,addresses,urls,imClients'
       });
 
       const contactResource = this.buildContactResource(contactData);
@@ -52,7 +59,7 @@ class GoogleContactsService {
       // Update contact
       const response = await people.people.updateContact({
         resourceName: googleContactId,
-        updatePersonFields: 'names,emailAddresses,phoneNumbers,organizations,addresses,urls',
+        updatePersonFields: 'names,emailAddresses,phoneNumbers,organizations,addresses,urls,imClients',
         requestBody: {
           ...contactResource,
           etag: current.data.etag
@@ -104,29 +111,35 @@ class GoogleContactsService {
   buildContactResource(contactData) {
     const resource = {};
 
-    // Name
+    // Name — structured parts; unset parts are dropped from the request body
     if (contactData.name) {
+      const parts = nameParts(contactData);
       resource.names = [{
         displayName: contactData.name,
-        familyName: contactData.name.split(' ').pop(),
-        givenName: contactData.name.split(' ')[0]
+        honorificPrefix: parts.prefix || undefined,
+        givenName: parts.first_name || undefined,
+        middleName: parts.middle_name || undefined,
+        familyName: parts.last_name || undefined,
+        honorificSuffix: parts.suffix || undefined
       }];
     }
 
-    // Email
-    if (contactData.email) {
-      resource.emailAddresses = [{
-        value: contactData.email,
-        type: 'work'
-      }];
+    // Emails — every typed address, primary first
+    const emails = this.contactList(contactData.emails, contactData.email);
+    if (emails.length > 0) {
+      resource.emailAddresses = emails.map((e) => ({
+        value: e.value,
+        type: EMAIL_TYPES[e.type] || 'other'
+      }));
     }
 
-    // Phone
-    if (contactData.phone) {
-      resource.phoneNumbers = [{
-        value: contactData.phone,
-        type: 'work'
-      }];
+    // Phones
+    const phones = this.contactList(contactData.phones, contactData.phone);
+    if (phones.length > 0) {
+      resource.phoneNumbers = phones.map((p) => ({
+        value: p.normalized_value || p.value,
+        type: PHONE_TYPES[p.type] || 'other'
+      }));
     }
 
     // Organization
@@ -138,20 +151,45 @@ class GoogleContactsService {
       }];
     }
 
-    // Address
-    if (contactData.address) {
-      resource.addresses = [{
-        formattedValue: contactData.address,
+    // Address — structured parts when the card has them
+    if (contactData.address || contactData.address_city || contactData.address_country) {
+      // Unset parts are undefined and dropped from the request body
+      const address = {
+        formattedValue: contactData.address || undefined,
+        streetAddress: contactData.address_street || undefined,
+        city: contactData.address_city || undefined,
+        region: contactData.address_region || undefined,
+        postalCode: contactData.address_postal_code || undefined,
+        country: contactData.address_country || undefined,
+        countryCode: contactData.address_country_code || undefined,
         type: 'work'
-      }];
+      };
+      resource.addresses = [address];
     }
 
-    // Website
-    if (contactData.website) {
-      resource.urls = [{
-        value: contactData.website,
-        type: 'work'
-      }];
+    // Websites, then social profiles labelled with their network ("LinkedIn", "X")
+    const websites = this.contactList(contactData.websites, contactData.website);
+    const socials = contactData.socials || [];
+    if (websites.length > 0 || socials.length > 0) {
+      resource.urls = [
+        ...websites.map((w) => ({
+          value: w.value,
+          type: URL_TYPES[w.type] || 'other'
+        })),
+        ...socials.map((s) => ({
+          value: s.normalized_value || s.value,
+          type: NETWORKS[s.type]?.label || 'profile'
+        }))
+      ];
+    }
+
+    // WhatsApp numbers also as an IM client, so the Contacts app offers to message them
+    const whatsapp = socials.filter((s) => s.type === 'whatsapp' && s.normalized_value);
+    if (whatsapp.length > 0) {
+      resource.imClients = whatsapp.map((s) => ({
+        username: `+${s.normalized_value.replace(/\D/g, '')}`,
+        protocol: 'WhatsApp'
+      }));
     }
 
     // Notes
@@ -165,6 +203,14 @@ class GoogleContactsService {
     return resource;
   }
 
+  // Typed list from card_contact_points, or the single legacy value
+  contactList(list, single) {
+    if (Array.isArray(list) && list.length > 0) {
+      return [...list].sort((a, b) => Number(Boolean(b.is_primary)) - Number(Boolean(a.is_primary)));
+    }
+    return single ? [{ value: single, type: 'work' }] : [];
+  }
+
   async batchSyncContacts(userId, contacts) {
     const results = [];
 
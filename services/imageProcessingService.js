@@ -0,0 +1,172 @@
+const fs = require('fs');
+const path = require('path');
+const sharp = require('sharp');
+const heicConvert = require('heic-convert');
+
+// Image preprocessing between upload and extraction: auto-orient from EXIF,
+// HEIC → JPEG, crop to the card boundary, downscale, re-encode as JPEG.
+// The uploaded original is left untouched next to the processed copy.
+
+// Longest side of the analysis thumbnail used to find the card boundary
+const ANALYSIS_SIZE = 200;
+
+// A pixel belongs to the card when its grey level differs this much from the background
+const BACKGROUND_THRESHOLD = 28;
+
+// A row / column is part of the card when this share of its pixels differs from the background
+const MIN_FOREGROUND_SHARE = 0.2;
+
+// Crops covering less than this share of the photo are treated as misdetections;
+// crops covering more are not worth doing
+const MIN_CROP_AREA = 0.15;
+const MAX_CROP_AREA = 0.9;
+
+// Brands in the ISO BMFF `ftyp` box used by HEIC / HEIF photos (iOS camera)
+const HEIC_BRANDS = ['heic', 'heix', 'hevc', 'hevx', 'heim', 'heis', 'mif1', 'msf1'];
+
+class ImageProcessingService {
+  constructor() {
+    this.maxDimension = parseInt(process.env.IMAGE_MAX_DIMENSION) || 1600;
+    this.jpegQuality = parseInt(process.env.IMAGE_JPEG_QUALITY) || 85;
+  }
+
+  isHeic(buffer) {
+    return buffer.length >= 12 &&
+      buffer.slice(4, 8).toString('ascii') === 'ftyp' &&
+      HEIC_BRANDS.includes(buffer.slice(8, 12).toString('ascii'));
+  }
+
+  /**
+   * Path of the processed copy of an upload: `card-123.heic` → `card-123-processed.jpg`
+   */
+  processedPath(inputPath) {
+    const { dir, name } = path.parse(inputPath);
+    return path.join(dir, `${name}-processed.jpg`);
+  }
+
+  /**
+   * Run the pipeline on one uploaded image and write the processed JPEG.
+   *
+   * @param {string} inputPath
+   * @returns {{ path, filename, width, height, originalWidth, originalHeight,
+   *             originalBytes, bytes, convertedFromHeic, cropped }}
+   */
+  async process(inputPath) {
+    let input = await fs.promises.readFile(inputPath);
+    const originalBytes = input.length;
+
+    const convertedFromHeic = this.isHeic(input);
+    if (convertedFromHeic) {
+      input = Buffer.from(await heicConvert({ buffer: input, format: 'JPEG', quality: 0.92 }));
+    }
+
+    // Decode once, upright — rotate() without an angle applies the EXIF orientation
+    const oriented = await sharp(input).rotate().raw().toBuffer({ resolveWithObject: true });
+    const raw = {
+      width: oriented.info.width,
+      height: oriented.info.height,
+      channels: oriented.info.channels,
+    };
+
+    const bounds = await this.findCardBounds(oriented.data, raw);
+
+    let pipeline = sharp(oriented.data, { raw });
+    if (bounds) pipeline = pipeline.extract(bounds);
+
+    const outputPath = this.processedPath(inputPath);
+    const output = await pipeline
+      .resize({
+        width: this.maxDimension,
+        height: this.maxDimension,
+        fit: 'inside',
+        withoutEnlargement: true,
+      })
+      .jpeg({ quality: this.jpegQuality })
+      .toFile(outputPath);
+
+    return {
+      path: outputPath,
+      filename: path.basename(outputPath),
+      width: output.width,
+      height: output.height,
+      originalWidth: raw.width,
+      originalHeight: raw.height,
+      originalBytes,
+      bytes: output.size,
+      convertedFromHeic,
+      cropped: Boolean(bounds),
+    };
+  }
+
+  /**
+   * Small upright JPEG of a stored image — for embedding (vCard PHOTO)
+   *
+   * @param {number} size - longest side in pixels
+   * @returns {Buffer}
+   */
+  async thumbnail(inputPath, size = 480) {
+    return sharp(inputPath)
+      .rotate()
+      .resize({ width: size, height: size, fit: 'inside', withoutEnlargement: true })
+      .jpeg({ quality: 80 })
+      .toBuffer();
+  }
+
+  /**
+   * Bounding box of the card(s) in an upright raw image: pixels are compared with
+   * the background level sampled along the photo's border on a small greyscale copy.
+   *
+   * @returns {{ left, top, width, height }|null} null when no clear boundary was found
+   */
+  async findCardBounds(data, raw) {
+    const { data: grey, info } = await sharp(data, { raw })
+      .greyscale()
+      .resize(ANALYSIS_SIZE, ANALYSIS_SIZE, { fit: 'inside' })
+      .raw()
+      .toBuffer({ resolveWithObject: true });
+
+    const { width, height, channels } = info;
+    const at = (x, y) => grey[(y * width + x) * channels];
+
+    // Background — median of a 2px ring along the border
+    const border = [];
+    for (let x = 0; x < width; x++) {
+      for (const y of [0, 1, height - 2, height - 1]) border.push(at(x, y));
+    }
+    for (let y = 2; y < height - 2; y++) {
+      for (const x of [0, 1, width - 2, width - 1]) border.push(at(x, y));
+    }
+    border.sort((a, b) => a - b);
+    const background = border[Math.floor(border.length / 2)];
+
+    const rowCounts = new Array(height).fill(0);
+    const colCounts = new Array(width).fill(0);
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        if (Math.abs(at(x, y) - background) > BACKGROUND_THRESHOLD) {
+          rowCounts[y]++;
+          colCounts[x]++;
+        }
+      }
+    }
+
+    const rows = rowCounts.map((count, y) => (count / width >= MIN_FOREGROUND_SHARE ? y : -1)).filter((y) => y >= 0);
+    const cols = colCounts.map((count, x) => (count / height >= MIN_FOREGROUND_SHARE ? x : -1)).filter((x) => x >= 0);
+    if (rows.length === 0 || cols.length === 0) return null;
+
+    const area = ((cols[cols.length - 1] - cols[0] + 1) * (rows[rows.length - 1] - rows[0] + 1)) / (width * height);
+    if (area < MIN_CROP_AREA || area > MAX_CROP_AREA) return null;
+
+    // Scale back to full size with a small margin so card edges are not clipped
+    const scale = raw.width / width;
+    const margin = Math.round(Math.max(raw.width, raw.height) * 0.02);
+    const left = Math.max(0, Math.floor(cols[0] * scale) - margin);
+    const top = Math.max(0, Math.floor(rows[0] * scale) - margin);
+    const right = Math.min(raw.width, Math.ceil((cols[cols.length - 1] + 1) * scale) + margin);
+    const bottom = Math.min(raw.height, Math.ceil((rows[rows.length - 1] + 1) * scale) + margin);
+
+    return { left, top, width: right - left, height: bottom - top };
+  }
+}
+
+module.exports = new ImageProcessingService();
@@ -0,0 +1,484 @@
+const path = require('path');
+const { pool } = require('../config/database');
+const cardService = require('./cardService');
+const duplicateService = require('./duplicateService');
+const tagService = require('./tagService');
+const { decodeText, parseCsv } = require('../utils/csvParser');
+const { parseVCard } = require('../utils/vcardParser');
+const { formatName } = require('../utils/nameParser');
+const { formatAddress } = require('../utils/addressParser');
+const { assessUserEdit, isValidEmail } = require('../utils/cardQuality');
+const { matchProfile, indexProfiles, findMatches } = require('../utils/duplicateMatcher');
+const { groupContactPoints, normalizeContactPoints } = require('../utils/contactPoints');
+
+// Contacts imported from files: CSV (any columns, mapped to card fields),
+// LinkedIn's Connections.csv and .vcf files holding one or more vCards.
+//
+// Every row is validated and compared with the user's cards (and the rows
+// before it) using the duplicate matcher. A row matching a card is skipped,
+// fills the card's empty fields (onDuplicate: update) or is created anyway
+// (onDuplicate: create). A dry run reports what would happen without writing;
+// a real run writes every row in one transaction.
+
+const FORMATS = ['csv', 'linkedin', 'vcard'];
+const DUPLICATE_MODES = ['skip', 'update', 'create'];
+
+// Card fields a CSV column can be mapped to → header spellings suggested for it
+// (compared lowercase without spaces or punctuation)
+const FIELDS = {
+  name: ['name', 'fullname', 'displayname', 'contactname', 'contact'],
+  name_prefix: ['prefix', 'nameprefix', 'salutation'],
+  first_name: ['firstname', 'givenname', 'forename', 'first'],
+  middle_name: ['middlename', 'additionalname', 'middle'],
+  last_name: ['lastname', 'surname', 'familyname', 'last'],
+  name_suffix: ['suffix', 'namesuffix'],
+  company: ['company', 'companyname', 'organization', 'organisation', 'organization1name', 'employer', 'account'],
+  job_title: ['jobtitle', 'title', 'position', 'role', 'designation', 'organization1title'],
+  email: ['email', 'emailaddress', 'email1', 'workemail', 'mail', 'email1value'],
+  phone: ['phone', 'phonenumber', 'telephone', 'tel', 'workphone', 'businessphone', 'officephone', 'phone1value'],
+  mobile: ['mobile', 'mobilephone', 'cell', 'cellphone', 'mobilenumber'],
+  website: ['website', 'web', 'webpage', 'homepage', 'url', 'site', 'website1value'],
+  linkedin: ['linkedin', 'linkedinurl', 'linkedinprofile', 'profileurl'],
+  address: ['address', 'fulladdress', 'mailingaddress', 'businessaddress', 'address1formatted'],
+  address_street: ['street', 'streetaddress', 'address1', 'addressline1', 'businessstreet'],
+  address_city: ['city', 'town', 'businesscity'],
+  address_region: ['state', 'region', 'province', 'county', 'businessstate'],
+  address_postal_code: ['zip', 'zipcode', 'postcode', 'postalcode', 'businesspostalcode'],
+  address_country: ['country', 'countryregion', 'businesscountry'],
+  notes: ['notes', 'note', 'comments', 'comment', 'description'],
+  tags: ['tags', 'tag', 'labels', 'groups', 'groupmembership', 'categories'],
+  met_at: ['metat', 'datemet', 'met', 'connectedon', 'dateadded'],
+};
+
+// LinkedIn "Connections.csv" — the export starts with a few lines of notes above this header
+const LINKEDIN_MAPPING = {
+  'First Name': 'first_name',
+  'Last Name': 'last_name',
+  'URL': 'linkedin',
+  'Email Address': 'email',
+  'Company': 'company',
+  'Position': 'job_title',
+  'Connected On': 'met_at',
+};
+
+const MAX_ROWS = parseInt(process.env.MAX_IMPORT_ROWS) || 5000;
+
+const headerKey = (header) => String(header || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+
+const splitValues = (value) => String(value || '').split(/\s*(?:;|:::|\n)\s*/).map((v) => v.trim()).filter(Boolean);
+
+const isLinkedInHeader = (row) => {
+  const keys = row.map(headerKey);
+  return ['firstname', 'lastname', 'url', 'connectedon'].every((key) => keys.includes(key));
+};
+
+const emptyData = () => ({
+  name: '', name_parts: null,
+  company: '', job_title: '',
+  address: '', address_parts: null,
+  email: '', phone: '', website: '',
+  phones: [], emails: [], websites: [], socials: [],
+  notes: '', tags: [], met_at: null,
+});
+
+class ImportService {
+  get formats() {
+    return FORMATS;
+  }
+
+  get fields() {
+    return Object.keys(FIELDS);
+  }
+
+  /**
+   * CSV column → card field, from the header names
+   */
+  suggestMapping(headers, format) {
+    if (format === 'linkedin') {
+      return Object.fromEntries(headers.map((header) => [header, LINKEDIN_MAPPING[header.trim()] || null]));
+    }
+
+    const used = new Set();
+    return Object.fromEntries(headers.map((header) => {
+      const key = headerKey(header);
+      const field = Object.keys(FIELDS).find((f) => !used.has(f) && (f === key || FIELDS[f].includes(key))) || null;
+      // Several phone / email / website / tag columns may feed the same field
+      if (field && !['email', 'phone', 'mobile', 'website', 'tags'].includes(field)) used.add(field);
+      return [header, field];
+    }));
+  }
+
+  /**
+   * Read an uploaded file into records
+   *
+   * @param {{ buffer: Buffer, originalname: string }} file - multer memory upload
+   * @param {string} [format] - csv | linkedin | vcard, detected when omitted
+   * @returns {{ format, headers: string[]|null, records: Array<{ row, values?, data? }> }|{ error: string }}
+   */
+  parseFile(file, format) {
+    const text = decodeText(file.buffer);
+    const extension = path.extname(file.originalname || '').toLowerCase();
+
+    const detected = format || (['.vcf', '.vcard'].includes(extension) || /^\s*BEGIN:VCARD/i.test(text) ? 'vcard' : null);
+
+    if (detected === 'vcard') {
+      const cards = text.match(/BEGIN:VCARD[\s\S]*?END:VCARD/gi) || [];
+      if (cards.length === 0) return { error: 'No vCards found in the file' };
+      return {
+        format: 'vcard',
+        headers: null,
+        records: cards.map((vcard, index) => ({ row: index + 1, data: this.vcardData(vcard) })),
+      };
+    }
+
+    const rows = parseCsv(text);
+    const linkedInHeader = rows.findIndex(isLinkedInHeader);
+    const resolvedFormat = detected || (linkedInHeader >= 0 ? 'linkedin' : 'csv');
+    const headerIndex = resolvedFormat === 'linkedin' ? Math.max(linkedInHeader, 0) : 0;
+
+    if (rows.length <= headerIndex) return { error: 'The file has no rows' };
+
+    const headers = rows[headerIndex].map((header) => header.trim());
+    return {
+      format: resolvedFormat,
+      headers,
+      records: rows.slice(headerIndex + 1).map((values, index) => ({
+        // Line numbers as a spreadsheet shows them (header row = 1 for a plain CSV)
+        row: headerIndex + index + 2,
+        values: Object.fromEntries(headers.map((header, column) => [header, (values[column] || '').trim()])),
+      })),
+    };
+  }
+
+  /**
+   * parseVCard() plus the NOTE and CATEGORIES an exported contact carries
+   */
+  vcardData(vcard) {
+    const data = { ...emptyData(), ...parseVCard(vcard) };
+    const unfolded = vcard.replace(/\r?\n[ \t]/g, '');
+    const note = unfolded.match(/^NOTE[^:]*:(.*)$/im);
+    if (note) data.notes = note[1].replace(/\\n/gi, '\n').replace(/\\([,;\\])/g, '$1').trim();
+    const categories = unfolded.match(/^CATEGORIES[^:]*:(.*)$/im);
+    if (categories) data.tags = categories[1].split(/(?<!\\),/).map((tag) => tag.replace(/\\/g, '').trim()).filter(Boolean);
+    return data;
+  }
+
+  /**
+   * Card data (in the shape the extraction providers return) from one CSV row
+   */
+  mapRow(values, mapping) {
+    const data = emptyData();
+    const nameParts = {};
+    const addressParts = {};
+
+    for (const [header, field] of Object.entries(mapping)) {
+      const value = values[header];
+      if (!field || !value) continue;
+
+      switch (field) {
+        case 'name_prefix': nameParts.prefix = value; break;
+        case 'first_name': nameParts.first_name = value; break;
+        case 'middle_name': nameParts.middle_name = value; break;
+        case 'last_name': nameParts.last_name = value; break;
+        case 'name_suffix': nameParts.suffix = value; break;
+        case 'address_street': addressParts.street = value; break;
+        case 'address_city': addressParts.city = value; break;
+        case 'address_region': addressParts.region = value; break;
+        case 'address_postal_code': addressParts.postal_code = value; break;
+        case 'address_country': addressParts.country = value; break;
+        case 'email':
+          data.emails.push(...splitValues(value).flatMap((v) => v.split(/\s*,\s*/)).map((v) => ({ value: v, type: 'work' })));
+          break;
+        case 'phone':
+        case 'mobile':
+          data.phones.push(...splitValues(value).map((v) => ({ value: v, type: field === 'mobile' ? 'mobile' : 'work' })));
+          break;
+        case 'website':
+          data.websites.push(...splitValues(value).map((v) => ({ value: v, type: 'work' })));
+          break;
+        case 'linkedin':
+          data.socials.push({ value, type: 'linkedin' });
+          break;
+        case 'tags':
+          data.tags.push(...value.split(/\s*(?:,|;|:::)\s*/).filter((tag) => tag && !tag.startsWith('*')));
+          break;
+        case 'met_at':
+          data.met_at = value;
+          break;
+        default:
+          data[field] = data[field] ? `${data[field]}\n${value}` : value;
+      }
+    }
+
+    if (Object.keys(nameParts).length > 0) {
+      data.name_parts = { prefix: '', first_name: '', middle_name: '', last_name: '', suffix: '', ...nameParts };
+      data.name = data.name || formatName(data.name_parts);
+    }
+    if (Object.keys(addressParts).length > 0) {
+      data.address_parts = { street: '', city: '', region: '', postal_code: '', country: '', ...addressParts };
+      data.address = data.address || formatAddress(data.address_parts);
+    }
+
+    data.email = data.emails[0]?.value || '';
+    data.phone = data.phones[0]?.value || '';
+    data.website = data.websites[0]?.value || '';
+    return data;
+  }
+
+  /**
+   * @returns {{ errors: string[], warnings: string[], metAt: Date|null }}
+   */
+  validate(data) {
+    const errors = [];
+    const warnings = [];
+
+    if (!data.name && !data.company && data.emails.length === 0 && data.phones.length === 0) {
+      errors.push('No name, company, email or phone');
+    }
+    for (const email of data.emails) {
+      if (!isValidEmail(email.value)) errors.push(`Invalid email "${email.value}"`);
+    }
+
+    let metAt = null;
+    if (data.met_at) {
+      metAt = data.met_at instanceof Date ? data.met_at : new Date(data.met_at);
+      if (Number.isNaN(metAt.getTime())) {
+        warnings.push(`Unreadable date "${data.met_at}" — ignored`);
+        metAt = null;
+      }
+    }
+
+    return { errors, warnings, metAt };
+  }
+
+  /**
+   * Body for cardService.patchCard that fills the card's empty fields and adds
+   * the phones / emails / websites / socials it does not have yet
+   *
+   * @param {object} card - stored card with contact points attached
+   * @returns {{ changes: object, fields: string[] }}
+   */
+  fillChanges(card, data) {
+    const changes = {};
+
+    for (const field of ['name', 'company', 'job_title', 'address', 'notes']) {
+      if (!card[field] && data[field]) changes[field] = data[field];
+    }
+    if (changes.name && data.name_parts) {
+      Object.assign(changes, {
+        name_prefix: data.name_parts.prefix, first_name: data.name_parts.first_name,
+        middle_name: data.name_parts.middle_name, last_name: data.name_parts.last_name, name_suffix: data.name_parts.suffix,
+      });
+    }
+    if (changes.address && data.address_parts) {
+      Object.assign(changes, {
+        address_street: data.address_parts.street, address_city: data.address_parts.city,
+        address_region: data.address_parts.region, address_postal_code: data.address_parts.postal_code,
+        address_country: data.address_parts.country,
+      });
+    }
+
+    const incoming = groupContactPoints(normalizeContactPoints(data));
+    for (const list of ['phones', 'emails', 'websites', 'socials']) {
+      const existing = card[list] || [];
+      const known = new Set(existing.map((point) => String(point.value).toLowerCase().replace(/[\s().-]/g, '')));
+      const added = (incoming[list] || []).filter((point) => !known.has(String(point.value).toLowerCase().replace(/[\s().-]/g, '')));
+
+      if (added.length > 0) {
+        changes[list] = [
+          ...existing.map(({ type, value, is_primary }) => ({ type, value, is_primary: Boolean(is_primary) })),
+          ...added.map(({ type, value }) => ({ type, value, is_primary: false })),
+        ];
+      }
+    }
+
+    const fields = Object.keys(changes).filter((field) => ['name', 'company', 'job_title', 'address', 'notes', 'phones', 'emails', 'websites', 'socials'].includes(field));
+    return { changes, fields };
+  }
+
+  /**
+   * Validate, deduplicate and (unless dryRun) save the records of parseFile()
+   *
+   * @param {object} user - req.user (id, default_region)
+   * @param {object} parsed - parseFile() result
+   * @param {object} options
+   * @param {object} [options.mapping] - CSV column → field (null to ignore), overrides the suggested one
+   * @param {boolean} options.dryRun
+   * @param {string} options.onDuplicate - skip | update | create
+   * @param {string[]} options.tags - tag names / IDs for every imported card
+   * @param {string} options.filename - recorded in the card history
+   * @returns {object} import report
+   */
+  async run(user, parsed, { mapping: mappingInput = null, dryRun = false, onDuplicate = 'skip', tags = [], filename = '' } = {}) {
+    if (!DUPLICATE_MODES.includes(onDuplicate)) {
+      return { error: `onDuplicate must be one of: ${DUPLICATE_MODES.join(', ')}` };
+    }
+    if (parsed.records.length > MAX_ROWS) {
+      return { error: `The file has ${parsed.records.length} rows — at most ${MAX_ROWS} per import` };
+    }
+
+    let mapping = null;
+    if (parsed.headers) {
+      mapping = { ...this.suggestMapping(parsed.headers, parsed.format), ...(mappingInput || {}) };
+
+      const unknownColumns = Object.keys(mapping).filter((header) => !parsed.headers.includes(header));
+      const unknownFields = Object.values(mapping).filter((field) => field && !FIELDS[field]);
+      if (unknownColumns.length > 0) return { error: `Unknown column(s) in mapping: ${unknownColumns.join(', ')}` };
+      if (unknownFields.length > 0) {
+        return { error: `Unknown field(s) in mapping: ${unknownFields.join(', ')}. Use any of: ${this.fields.join(', ')}` };
+      }
+      if (!Object.values(mapping).some(Boolean)) return { error: 'No column is mapped to a card field' };
+    }
+
+    // ── Validate and deduplicate every row (no writes yet)
+    const index = indexProfiles(await duplicateService.loadProfiles(user.id));
+    const addToIndex = (profile) => {
+      for (const [key, profiles] of indexProfiles([profile])) {
+        index.set(key, [...(index.get(key) || []), ...profiles]);
+      }
+    };
+
+    const rows = [];
+    for (const record of parsed.records) {
+      const data = record.data || this.mapRow(record.values, mapping);
+      const { errors, warnings, metAt } = this.validate(data);
+      const row = { row: record.row, name: data.name || data.company || data.email || null, data, metAt, warnings };
+
+      if (errors.length > 0) {
+        rows.push({ ...row, status: 'skipped', reason: 'invalid', errors });
+        continue;
+      }
+
+      // Contact points as they will be stored, so phone numbers compare in E.164
+      const points = cardService.normalizeContactValues(normalizeContactPoints(data), data, user.default_region);
+      const profile = matchProfile({ id: `row:${record.row}`, name: data.name, company: data.company, ...groupContactPoints(points) });
+      const match = onDuplicate === 'create' ? null : findMatches(profile, index)[0];
+
+      if (!match) {
+        rows.push({ ...row, status: 'created' });
+        addToIndex(profile);
+      } else if (typeof match.id === 'string') {
+        rows.push({ ...row, status: 'skipped', reason: 'duplicate', duplicateOf: { row: Number(match.id.slice(4)), score: match.score } });
+      } else if (onDuplicate === 'skip') {
+        rows.push({ ...row, status: 'skipped', reason: 'duplicate', duplicateOf: { cardId: match.id, score: match.score } });
+      } else {
+        rows.push({ ...row, status: 'updated', cardId: match.id, duplicateOf: { cardId: match.id, score: match.score } });
+      }
+    }
+
+    // Updates: which fields the matched cards would gain
+    const updateIds = [...new Set(rows.filter((row) => row.status === 'updated').map((row) => row.cardId))];
+    const [matchedCards] = updateIds.length > 0
+      ? await pool.query('SELECT * FROM business_cards WHERE id IN (?) AND user_id = ? AND deleted_at IS NULL', [updateIds, user.id])
+      : [[]];
+    await cardService.attachContactPoints(matchedCards);
+    const cardsById = new Map(matchedCards.map((card) => [card.id, card]));
+
+    for (const row of rows.filter((r) => r.status === 'updated')) {
+      // Trashed or deleted since the duplicate check
+      const card = cardsById.get(row.cardId);
+      if (!card) {
+        Object.assign(row, { status: 'skipped', reason: 'duplicate_removed' });
+        continue;
+      }
+
+      const { changes, fields } = this.fillChanges(card, row.data);
+      row.changes = changes;
+      row.fields = fields;
+      if (fields.length === 0) Object.assign(row, { status: 'skipped', reason: 'no_new_details' });
+
+      // Later rows matching the same card build on this one
+      Object.assign(card, changes);
+    }
+
+    if (!dryRun) await this.save(user, rows, { tags, filename });
+
+    const report = rows.map((row) => ({
+      row: row.row,
+      status: row.status,
+      name: row.name,
+      ...(row.cardId && { cardId: row.cardId }),
+      ...(row.reason && { reason: row.reason }),
+      ...(row.errors && { errors: row.errors }),
+      ...(row.warnings.length > 0 && { warnings: row.warnings }),
+      ...(row.duplicateOf && { duplicateOf: row.duplicateOf }),
+      ...(row.status === 'updated' && { fields: row.fields }),
+    }));
+
+    return {
+      format: parsed.format,
+      dryRun,
+      onDuplicate,
+      headers: parsed.headers,
+      mapping,
+      summary: {
+        total: rows.length,
+        created: rows.filter((row) => row.status === 'created').length,
+        updated: rows.filter((row) => row.status === 'updated').length,
+        skipped: rows.filter((row) => row.status === 'skipped').length,
+      },
+      rows: report,
+    };
+  }
+
+  /**
+   * Write the created / updated rows in one transaction — sets `cardId` on created rows
+   */
+  async save(user, rows, { tags, filename }) {
+    const writes = rows.filter((row) => row.status === 'created' || row.status === 'updated');
+    if (writes.length === 0) return;
+
+    // Tags are created up front — resolveTags does not run on the transaction
+    const tagIdsByName = new Map();
+    for (const name of new Set([...tags, ...writes.flatMap((row) => row.data.tags)])) {
+      const { tagIds } = await tagService.resolveTags(user.id, [name], { create: true });
+      if (tagIds.length > 0) tagIdsByName.set(name, tagIds[0]);
+    }
+    const tagIdsOf = (row) => [...new Set([...tags, ...row.data.tags].map((name) => tagIdsByName.get(name)).filter(Boolean))];
+
+    const note = `Imported from ${filename || 'file'}`;
+    const connection = await pool.getConnection();
+
+    try {
+      await connection.beginTransaction();
+
+      for (const row of writes) {
+        if (row.status === 'created') {
+          row.cardId = await cardService.createCard(user.id, {
+            ...cardService.buildCardRow(row.data, assessUserEdit(row.data)),
+            notes: row.data.notes || null,
+            met_at: row.metAt,
+            source: 'import',
+          }, connection, 'import');
+        } else {
+          const [cards] = await connection.query(
+            'SELECT * FROM business_cards WHERE id = ? AND user_id = ? AND deleted_at IS NULL FOR UPDATE',
+            [row.cardId, user.id]
+          );
+          if (cards.length === 0) {
+            Object.assign(row, { status: 'skipped', reason: 'duplicate_removed' });
+            continue;
+          }
+          await cardService.patchCard(cards[0], row.changes, user.default_region, { source: 'import', note, connection });
+        }
+
+        await tagService.tagCards(user.id, [row.cardId], tagIdsOf(row), connection);
+      }
+
+      await connection.commit();
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
+      connection.release();
+    }
+
+    const createdIds = writes.filter((row) => row.status === 'created').map((row) => row.cardId);
+    if (createdIds.length > 0) {
+      await duplicateService.flagCandidates(user.id, createdIds);
+      console.log(`📥 Imported ${createdIds.length} card(s)`);
+    }
+  }
+}
+
+module.exports = new ImportService();
@@ -0,0 +1,111 @@
+const path = require('path');
+const { createWorker } = require('tesseract.js');
+const { version: tesseractVersion } = require('tesseract.js/package.json');
+const { parseCardText } = require('../utils/cardTextParser');
+
+// Offline extraction: Tesseract OCR on this machine plus the rule-based parser
+// of utils/cardTextParser. No request leaves the server — the language data is
+// read from LOCAL_OCR_LANG_PATH or the bundled @tesseract.js-data/eng package.
+// Pasted text (POST /api/cards/parse-text) goes straight to the parser.
+
+const emptyCard = () => ({
+  name: '', email: '', phone: '',
+  company: '', job_title: '',
+  address: '', website: '',
+});
+
+class LocalOcrService {
+  constructor() {
+    this.languages = process.env.LOCAL_OCR_LANGS || 'eng';
+    this.model = `tesseract.js-${tesseractVersion}`;
+
+    // Bump when utils/cardTextParser changes — stored with every extraction
+    this.promptVersion = 'local-1';
+
+    // One worker, created on first use and kept for later scans
+    this.workerPromise = null;
+  }
+
+  isConfigured() {
+    return process.env.LOCAL_OCR_ENABLED !== 'false';
+  }
+
+  langPath() {
+    if (process.env.LOCAL_OCR_LANG_PATH) {
+      return { langPath: path.resolve(process.env.LOCAL_OCR_LANG_PATH), gzip: false };
+    }
+    const eng = require('@tesseract.js-data/eng');
+    return { langPath: eng.langPath, gzip: eng.gzip };
+  }
+
+  getWorker() {
+    if (!this.workerPromise) {
+      console.log(`🔤 Starting local OCR worker (${this.languages})`);
+      this.workerPromise = createWorker(this.languages, 1, {
+        ...this.langPath(),
+        cacheMethod: 'none',
+      }).catch((error) => {
+        // Let the next scan try again
+        this.workerPromise = null;
+        throw error;
+      });
+    }
+    return this.workerPromise;
+  }
+
+  /**
+   * @param {string} imagePath
+   * @returns {{ success, data, confidence, fallback, error, trace }}
+   */
+  async extractCardInfo(imagePath) {
+    const trace = { model: this.model, promptVersion: this.promptVersion, rawText: null, usage: null };
+
+    try {
+      const worker = await this.getWorker();
+      const { data: ocr } = await worker.recognize(imagePath);
+      trace.rawText = ocr.text || null;
+
+      if (!ocr.text || !ocr.text.trim()) {
+        return { success: true, fallback: true, data: emptyCard(), error: 'No text found on the card', trace };
+      }
+
+      console.log(`🔤 Local OCR read ${ocr.text.trim().split('\n').length} line(s), confidence ${Math.round(ocr.confidence)}%`);
+
+      const { data, confidence } = parseCardText(ocr.text, { ocrConfidence: ocr.confidence / 100 });
+      if (!Object.keys(emptyCard()).some((field) => data[field])) {
+        return { success: true, fallback: true, data: emptyCard(), error: 'No contact details recognised in the card text', trace };
+      }
+
+      return {
+        success: true,
+        data,
+        confidence,
+        fallback: false,
+        rateLimited: false,
+        trace,
+      };
+    } catch (error) {
+      console.error('❌ Local OCR error:', error.message);
+      return { success: false, error: `Local OCR failed: ${error.message}`, trace };
+    }
+  }
+
+  /**
+   * Rule-based parsing of pasted text — no OCR involved
+   *
+   * @param {string} text
+   * @returns {{ success, data, confidence, fallback, trace }}
+   */
+  async extractFromText(text) {
+    const trace = { model: 'rules', promptVersion: this.promptVersion, rawText: null, usage: null };
+    const { data, confidence } = parseCardText(text);
+
+    if (!Object.keys(emptyCard()).some((field) => data[field])) {
+      return { success: true, fallback: true, data: emptyCard(), error: 'No contact details recognised in the text', trace };
+    }
+
+    return { success: true, data, confidence, fallback: false, rateLimited: false, trace };
+  }
+}
+
+module.exports = new LocalOcrService();
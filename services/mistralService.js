@@ -6,11 +6,20 @@ class MistralService {
     this.apiKey = process.env.MISTRAL_API_KEY;
     this.apiUrl = 'https://api.mistral.ai/v1/chat/completions';
     this.model = 'mistral-small'; // Mistral's vision model
+
+    // Bump when the prompt below changes — stored with every extraction
+    this.promptVersion = 'mistral-1';
+  }
+
+  isConfigured() {
+    return Boolean(this.apiKey) &&
+      this.apiKey !== 'your_mistral_api_key' &&
+      this.apiKey !== 'your-mistral-api-key';
   }
 
   async extractCardInfo(imagePath) {
     // Check if API key is configured
-    if (!this.apiKey || this.apiKey === 'your_mistral_api_key' || this.apiKey === 'your-mistral-api-key') {
+    if (!this.isConfigured()) {
       console.log('⚠️  Mistral API key not configured - using fallback extraction');
       return this.fallbackExtraction(imagePath);
     }
@@ -18,6 +27,7 @@ class MistralService {
     // Try with retries
     const maxRetries = 3;
     let lastError = null;
+    const trace = { model: this.model, promptVersion: this.promptVersion, rawText: null, usage: null };
 
     for (let attempt = 1; attempt <= maxRetries; attempt++) {
       try {
@@ -48,8 +58,10 @@ class MistralService {
           "company": "",
           "job_title": "",
           "address": "",
-          "website": ""
-        }`;
+          "website": "",
+          "confidence": { "name": 0.0, "email": 0.0, "phone": 0.0, "company": 0.0, "job_title": 0.0, "address": 0.0, "website": 0.0 }
+        }
+        confidence is 0.0 (guess) to 1.0 (clearly legible) per field.`;
 
         console.log('🚀 Sending request to Mistral AI...');
         
@@ -89,6 +101,15 @@ class MistralService {
 
         // Extract the text response
         const generatedText = response.data?.choices?.[0]?.message?.content;
+        const usage = response.data?.usage;
+        trace.rawText = generatedText || null;
+        trace.usage = usage
+          ? {
+            promptTokens: usage.prompt_tokens,
+            completionTokens: usage.completion_tokens,
+            totalTokens: usage.total_tokens
+          }
+          : null;
         
         if (!generatedText) {
           throw new Error('No response from Mistral AI');
@@ -127,7 +148,9 @@ class MistralService {
 
         return {
           success: true,
-          data: cleanedData
+          data: cleanedData,
+          confidence: extractedData.confidence || {},
+          trace
         };
 
       } catch (error) {
@@ -152,6 +175,7 @@ class MistralService {
               success: false,
               error: 'Rate limit exceeded. Please try again in a few minutes or upgrade your Mistral API plan.',
               rateLimited: true,
+              trace,
               data: {
                 name: '',
                 email: '',
@@ -171,6 +195,7 @@ class MistralService {
           return {
             success: false,
             error: 'Invalid Mistral API key',
+            trace,
             data: {
               name: '',
               email: '',
@@ -196,7 +221,7 @@ class MistralService {
     
     // All retries failed
     console.log('❌ All retries failed, using fallback extraction');
-    return this.fallbackExtraction(imagePath);
+    return { ...(await this.fallbackExtraction(imagePath)), error: lastError?.message, trace };
   }
 
   // Fallback extraction when Mistral API is not available
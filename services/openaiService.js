@@ -6,41 +6,199 @@ const OpenAI = require('openai');
 const fs = require('fs');
 const path = require('path');
 
-const openai = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY,
-});
+// Created on first use — the SDK throws at construction time without a key,
+// and other providers must keep working when OpenAI is not configured.
+let openai = null;
+const getClient = () => {
+  if (!openai) {
+    openai = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
+  }
+  return openai;
+};
+
+const MODEL = 'gpt-4o';
+
+// Bump when SYSTEM_PROMPT / CARD_JSON_SHAPE / the prompts below change — stored
+// with every extraction so results can be compared across prompt revisions
+const PROMPT_VERSION = 'openai-3';
+
+const SYSTEM_PROMPT =
+  'You are an expert business card OCR assistant. ' +
+  'Extract contact information accurately. ' +
+  'Respond with valid JSON only. No markdown. No explanation.';
+
+const CARD_JSON_SHAPE = `{
+  "name": "full name",
+  "email": "email address",
+  "phone": "primary phone number",
+  "company": "company or organization",
+  "job_title": "job title or designation",
+  "address": "full address",
+  "address_parts": { "street": "", "city": "", "region": "state/province", "postal_code": "", "country": "" },
+  "website": "website URL",
+  "phones": [{ "value": "number", "type": "mobile|work|home|fax|main|other" }],
+  "emails": [{ "value": "address", "type": "work|personal|other" }],
+  "websites": [{ "value": "URL", "type": "work|personal|profile|other" }],
+  "socials": [{ "value": "handle, number or URL as printed", "type": "linkedin|twitter|whatsapp|instagram|facebook" }],
+  "confidence": {
+    "name": 0.0, "email": 0.0, "phone": 0.0, "company": 0.0,
+    "job_title": 0.0, "address": 0.0, "website": 0.0
+  }
+}`;
+
+const FIELD_RULES = `- Use empty string "" for any field not found on the card
+- Include country code in phone if visible
+- "phone", "email" and "website" hold the primary value; list EVERY number, email and
+  website printed on the card in "phones", "emails" and "websites" (including the primary)
+- List social media handles and profile links (LinkedIn, X/Twitter, WhatsApp, Instagram,
+  Facebook) in "socials", not in "websites"; a number marked with a WhatsApp icon goes
+  in "socials" as whatsapp AND in "phones"
+- "confidence" is how sure you are of each field, from 0.0 (guess) to 1.0 (clearly legible)`;
+
+const SINGLE_CARD_PROMPT = `Extract all contact information from this business card.
+
+Return ONLY this JSON object — no markdown, no code blocks, no explanation:
+${CARD_JSON_SHAPE}
+
+${FIELD_RULES}`;
+
+const MULTI_CARD_PROMPT = `This photo may contain several business cards laid out side by side.
+Extract the contact information of EVERY card visible, in reading order (top-left to bottom-right).
+
+Return ONLY a JSON array — no markdown, no code blocks, no explanation — with one object per card:
+[
+  ${CARD_JSON_SHAPE.replace(/\n/g, '\n  ')}
+]
+
+${FIELD_RULES}
+- Do not merge two cards into one object; skip cards that are not readable at all
+- Return [] if there is no business card in the photo`;
+
+const TEXT_PROMPT = `Extract the contact information from the text between the --- lines. It may be
+an email signature, a LinkedIn "Contact info" section, a copied vCard or any other contact text.
+Ignore greetings, disclaimers and quoted email content.
+
+Return ONLY this JSON object — no markdown, no code blocks, no explanation:
+${CARD_JSON_SHAPE}
+
+${FIELD_RULES.replace('printed on the card', 'in the text').replace('clearly legible', 'stated explicitly')}`;
 
 /**
  * Extract business card info from image — SINGLE ATTEMPT, NO RETRIES
  * Returns immediately on success. Only fails fast on real errors.
  *
  * @param {string} imagePath - Local file path to uploaded image
- * @returns {{ success, data, fallback, rateLimited, error }}
+ * @returns {{ success, data, confidence, fallback, rateLimited, error, trace }}
  */
 const extractCardInfo = async (imagePath) => {
+  const call = await callVision(imagePath, SINGLE_CARD_PROMPT, 1200);
 
-  // ── 1. Validate API key ──────────────────────────────────────────────────
-  if (!process.env.OPENAI_API_KEY) {
-    return {
-      success: false,
-      error: 'OpenAI API key not configured. Set OPENAI_API_KEY in backend/.env — get one at https://platform.openai.com/api-keys',
-    };
+  if (call.failure) return { ...call.failure, trace: call.trace };
+
+  // ── Got response — parse immediately, return, DONE ──────────────────────
+  if (!call.rawText) {
+    return { success: true, fallback: true, data: emptyCard(), error: 'Empty response from OpenAI', trace: call.trace };
   }
 
-  if (!process.env.OPENAI_API_KEY.startsWith('sk-')) {
-    return {
-      success: false,
-      error: 'OpenAI API key invalid (must start with sk-). Check OPENAI_API_KEY in backend/.env',
-    };
+  const parsed = parseCardJSON(call.rawText);
+
+  if (!parsed) {
+    return { success: false, unparseable: true, error: 'OpenAI returned a response that is not valid JSON', trace: call.trace };
   }
 
+  console.log('✅ Extraction complete — returning data immediately (no retry)');
+
+  // ✅ RETURN RIGHT HERE — nothing else runs after a successful extraction
+  return {
+    success: true,
+    data: parsed.data,
+    confidence: parsed.confidence,
+    fallback: false,
+    rateLimited: false,
+    trace: call.trace,
+  };
+};
+
+/**
+ * Extract every business card visible in one photo — SINGLE ATTEMPT, NO RETRIES
+ *
+ * @param {string} imagePath - Local file path to uploaded image
+ * @returns {{ success, cards: [{ data, confidence }], rateLimited, error, trace }}
+ */
+const extractMultipleCards = async (imagePath) => {
+  const call = await callVision(imagePath, MULTI_CARD_PROMPT, 4000);
+
+  if (call.failure) {
+    // A fallback empty card means nothing for a multi-card photo
+    return call.failure.fallback
+      ? { success: false, error: call.failure.error, trace: call.trace }
+      : { ...call.failure, trace: call.trace };
+  }
+
+  const cards = call.rawText ? parseCardListJSON(call.rawText) : null;
+
+  if (!cards) {
+    return { success: false, unparseable: true, error: 'OpenAI returned a response that is not a valid JSON array', trace: call.trace };
+  }
+
+  console.log(`✅ Multi-card extraction complete — ${cards.length} card(s) detected`);
+
+  return { success: true, cards, rateLimited: false, trace: call.trace };
+};
+
+/**
+ * Extract contact info from pasted text (email signature, LinkedIn contact info,
+ * vCard) — SINGLE ATTEMPT, NO RETRIES
+ *
+ * @param {string} text
+ * @returns {{ success, data, confidence, fallback, rateLimited, error, trace }}
+ */
+const extractFromText = async (text) => {
+  const call = await callText(`${TEXT_PROMPT}\n\n---\n${text}\n---`, 1200);
+
+  if (call.failure) return { ...call.failure, trace: call.trace };
+
+  if (!call.rawText) {
+    return { success: true, fallback: true, data: emptyCard(), error: 'Empty response from OpenAI', trace: call.trace };
+  }
+
+  const parsed = parseCardJSON(call.rawText);
+
+  if (!parsed) {
+    return { success: false, unparseable: true, error: 'OpenAI returned a response that is not valid JSON', trace: call.trace };
+  }
+
+  return {
+    success: true,
+    data: parsed.data,
+    confidence: parsed.confidence,
+    fallback: false,
+    rateLimited: false,
+    trace: call.trace,
+  };
+};
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Helpers
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Send one image + prompt to GPT-4o Vision — ONE TIME ONLY.
+ * Returns { rawText, trace } on success, or { failure, trace } holding the result to return.
+ * `trace` (model, prompt version, raw text, token usage) is what the extraction log stores.
+ */
+const callVision = async (imagePath, prompt, maxTokens) => {
+  // ── 1. Validate API key ──────────────────────────────────────────────────
+  const keyFailure = checkApiKey();
+  if (keyFailure) return { trace: newTrace(), failure: keyFailure };
+
   // ── 2. Resolve & validate file path ─────────────────────────────────────
   const resolvedPath = path.isAbsolute(imagePath)
     ? imagePath
     : path.resolve(process.cwd(), imagePath);
 
   if (!fs.existsSync(resolvedPath)) {
-    return { success: false, error: `Image file not found: ${resolvedPath}` };
+    return { trace: newTrace(), failure: { success: false, error: `Image file not found: ${resolvedPath}` } };
   }
 
   // ── 3. Read image ────────────────────────────────────────────────────────
@@ -54,49 +212,77 @@ const extractCardInfo = async (imagePath) => {
   console.log(`   MIME : ${mimeType}`);
 
   // ── 4. Call OpenAI — ONE TIME ONLY ──────────────────────────────────────
+  return callModel([
+    {
+      type: 'image_url',
+      image_url: {
+        url: `data:${mimeType};base64,${base64Image}`,
+        detail: 'high',
+      },
+    },
+    { type: 'text', text: prompt },
+  ], maxTokens);
+};
+
+/**
+ * Send a text-only prompt — ONE TIME ONLY. Same return shape as callVision.
+ */
+const callText = async (prompt, maxTokens) => {
+  const keyFailure = checkApiKey();
+  if (keyFailure) return { trace: newTrace(), failure: keyFailure };
+
+  console.log(`🤖 OpenAI GPT-4o text extraction — single attempt (no retries)`);
+  return callModel([{ type: 'text', text: prompt }], maxTokens);
+};
+
+const newTrace = () => ({ model: MODEL, promptVersion: PROMPT_VERSION, rawText: null, usage: null });
+
+/**
+ * Failure result for a missing or malformed OPENAI_API_KEY, null when it looks usable
+ */
+const checkApiKey = () => {
+  if (!process.env.OPENAI_API_KEY) {
+    return {
+      success: false,
+      notConfigured: true,
+      error: 'OpenAI API key not configured. Set OPENAI_API_KEY in backend/.env — get one at https://platform.openai.com/api-keys',
+    };
+  }
+
+  if (!process.env.OPENAI_API_KEY.startsWith('sk-')) {
+    return {
+      success: false,
+      notConfigured: true,
+      error: 'OpenAI API key invalid (must start with sk-). Check OPENAI_API_KEY in backend/.env',
+    };
+  }
+
+  return null;
+};
+
+/**
+ * One chat completion under SYSTEM_PROMPT — classifies API errors, NO RETRY
+ */
+const callModel = async (content, maxTokens) => {
+  const trace = newTrace();
+
+  // A key the SDK rejects is a configuration problem — the chain moves on
+  let client;
+  try {
+    client = getClient();
+  } catch (clientError) {
+    console.error('❌ OpenAI client error:', clientError.message);
+    return { trace, failure: { success: false, notConfigured: true, error: `OpenAI client could not be created: ${clientError.message}` } };
+  }
+
   let response;
   try {
-    response = await openai.chat.completions.create({
-      model: 'gpt-4o',
-      max_tokens: 800,
+    response = await client.chat.completions.create({
+      model: MODEL,
+      max_tokens: maxTokens,
       messages: [
-        {
-          role: 'system',
-          content:
-            'You are an expert business card OCR assistant. ' +
-            'Extract contact information accurately. ' +
-            'Respond with valid JSON only. No markdown. No explanation.',
-        },
-        {
-          role: 'user',
-          content: [
-            {
-              type: 'image_url',
-              image_url: {
-                url: `data:${mimeType};base64,${base64Image}`,
-                detail: 'high',
-              },
-            },
-            {
-              type: 'text',
-              text: `Extract all contact information from this business card.
-
-Return ONLY this JSON object — no markdown, no code blocks, no explanation:
-{
-  "name": "full name",
-  "email": "email address",
-  "phone": "primary phone number",
-  "company": "company or organization",
-  "job_title": "job title or designation",
-  "address": "full address",
-  "website": "website URL"
-}
-
-- Use empty string "" for any field not found on the card
-- Include country code in phone if visible`,
-            },
-          ],
-        },
+        { role: 'system', content: SYSTEM_PROMPT },
+        { role: 'user', content },
       ],
     });
   } catch (apiError) {
@@ -104,43 +290,35 @@ Return ONLY this JSON object — no markdown, no code blocks, no explanation:
     console.error('❌ OpenAI API error:', apiError.message);
 
     if (apiError.status === 429 || apiError.message?.includes('rate_limit') || apiError.message?.includes('Rate limit')) {
-      return { success: false, rateLimited: true, error: 'OpenAI rate limit exceeded. Try again in a moment.' };
+      return { trace, failure: { success: false, rateLimited: true, error: 'OpenAI rate limit exceeded. Try again in a moment.' } };
     }
     if (apiError.status === 401 || apiError.message?.includes('Incorrect API key')) {
-      return { success: false, error: 'Invalid OpenAI API key. Check OPENAI_API_KEY in .env' };
+      return { trace, failure: { success: false, error: 'Invalid OpenAI API key. Check OPENAI_API_KEY in .env' } };
     }
     if (apiError.status === 402 || apiError.message?.includes('insufficient_quota')) {
-      return { success: false, rateLimited: true, error: 'OpenAI account out of credits. Add credits at https://platform.openai.com/account/billing' };
+      return { trace, failure: { success: false, rateLimited: true, quotaExceeded: true, error: 'OpenAI account out of credits. Add credits at https://platform.openai.com/account/billing' } };
     }
 
     // Any other API error — return fallback so user can fill manually
-    return { success: true, fallback: true, data: emptyCard(), error: apiError.message };
+    return { trace, failure: { success: true, fallback: true, data: emptyCard(), error: apiError.message } };
   }
 
-  // ── 5. Got response — parse immediately, return, DONE ───────────────────
   const rawText = response.choices[0]?.message?.content?.trim();
   console.log('📝 OpenAI response:', rawText);
 
-  if (!rawText) {
-    return { success: true, fallback: true, data: emptyCard(), error: 'Empty response from OpenAI' };
-  }
-
-  const cardData = parseCardJSON(rawText);
-  console.log('✅ Extraction complete — returning data immediately (no retry)');
+  trace.model = response.model || MODEL;
+  trace.rawText = rawText || null;
+  trace.usage = response.usage
+    ? {
+      promptTokens: response.usage.prompt_tokens,
+      completionTokens: response.usage.completion_tokens,
+      totalTokens: response.usage.total_tokens,
+    }
+    : null;
 
-  // ✅ RETURN RIGHT HERE — nothing else runs after a successful extraction
-  return {
-    success: true,
-    data: cardData,
-    fallback: false,
-    rateLimited: false,
-  };
+  return { rawText, trace };
 };
 
-// ─────────────────────────────────────────────────────────────────────────────
-// Helpers
-// ─────────────────────────────────────────────────────────────────────────────
-
 const emptyCard = () => ({
   name: '', email: '', phone: '',
   company: '', job_title: '',
@@ -178,35 +356,99 @@ const detectMimeType = (filePath, buffer) => {
 };
 
 /**
- * Parse JSON from OpenAI response — strips markdown fences if present
+ * Strip markdown fences the model sometimes wraps around JSON
  */
-const parseCardJSON = (text) => {
-  try {
-    let cleaned = text
-      .replace(/^```json\s*/i, '')
-      .replace(/^```\s*/i, '')
-      .replace(/```\s*$/i, '')
-      .trim();
-
-    const match = cleaned.match(/\{[\s\S]*\}/);
-    if (match) cleaned = match[0];
+const stripFences = (text) => text
+  .replace(/^```json\s*/i, '')
+  .replace(/^```\s*/i, '')
+  .replace(/```\s*$/i, '')
+  .trim();
 
-    const parsed = JSON.parse(cleaned);
-    const f = (v) => (v == null ? '' : String(v).trim());
+/**
+ * Normalise one parsed card object into { data, confidence }
+ */
+const toCard = (parsed) => {
+  const f = (v) => (v == null ? '' : String(v).trim());
+  const list = (v) => (Array.isArray(v)
+    ? v.map((item) => (typeof item === 'string' ? { value: f(item) } : { value: f(item?.value), type: f(item?.type) }))
+       .filter((item) => item.value)
+    : []);
 
-    return {
+  return {
+    data: {
       name:      f(parsed.name),
       email:     f(parsed.email),
       phone:     f(parsed.phone),
       company:   f(parsed.company),
       job_title: f(parsed.job_title),
       address:   f(parsed.address),
+      address_parts: parsed.address_parts && typeof parsed.address_parts === 'object'
+        ? {
+          street:      f(parsed.address_parts.street),
+          city:        f(parsed.address_parts.city),
+          region:      f(parsed.address_parts.region),
+          postal_code: f(parsed.address_parts.postal_code),
+          country:     f(parsed.address_parts.country),
+        }
+        : null,
       website:   f(parsed.website),
-    };
+      phones:    list(parsed.phones),
+      emails:    list(parsed.emails),
+      websites:  list(parsed.websites),
+      socials:   list(parsed.socials),
+    },
+    confidence: parsed.confidence && typeof parsed.confidence === 'object' ? parsed.confidence : {},
+  };
+};
+
+/**
+ * Parse JSON from OpenAI response — strips markdown fences if present.
+ * Returns { data, confidence }, or null when the text cannot be parsed so
+ * callers can fall back.
+ */
+const parseCardJSON = (text) => {
+  try {
+    let cleaned = stripFences(text);
+
+    const match = cleaned.match(/\{[\s\S]*\}/);
+    if (match) cleaned = match[0];
+
+    return toCard(JSON.parse(cleaned));
   } catch (err) {
     console.error('⚠️  JSON parse failed:', err.message, '| raw:', text);
-    return emptyCard();
+    return null;
+  }
+};
+
+/**
+ * Parse a JSON array of cards (also accepts { "cards": [...] }).
+ * Returns [{ data, confidence }], or null when the text cannot be parsed.
+ */
+const parseCardListJSON = (text) => {
+  try {
+    let cleaned = stripFences(text);
+
+    const match = cleaned.match(/\[[\s\S]*\]/);
+    if (match && !cleaned.startsWith('{')) cleaned = match[0];
+
+    const parsed = JSON.parse(cleaned);
+    const list = Array.isArray(parsed) ? parsed : parsed?.cards;
+
+    if (!Array.isArray(list)) return null;
+
+    return list
+      .filter((item) => item && typeof item === 'object')
+      .map(toCard);
+  } catch (err) {
+    console.error('⚠️  JSON array parse failed:', err.message, '| raw:', text);
+    return null;
   }
 };
 
-module.exports = { extractCardInfo };
+/**
+ * True when an API key is present — used by the extraction registry to skip
+ * this provider instead of calling it and failing.
+ */
+const isConfigured = () => checkApiKey() === null;
+
+module.exports = { extractCardInfo, extractMultipleCards, extractFromText, isConfigured };
@@ -0,0 +1,146 @@
+const { pool } = require('../config/database');
+
+// Field-level edit history of cards. Every change to a card is one revision
+// (numbered per card) holding a card_revisions row per changed field with its
+// old and new value and where the change came from:
+//
+//   ocr          extraction — the values a scan created, an applied rescan
+//   user         an edit, a merge or a revert
+//   google-sync  the card's Google Contacts link
+//   import       a card created by an import
+//
+// Contact points are tracked as whole lists of { type, value, is_primary }.
+
+const SOURCES = ['ocr', 'user', 'google-sync', 'import'];
+
+// Fields a revert can restore — the ones a user edits
+const REVERTIBLE_FIELDS = ['name', 'company', 'job_title', 'address', 'notes', 'phones', 'emails', 'websites', 'socials'];
+
+const TRACKED_FIELDS = [...REVERTIBLE_FIELDS, 'google_contact_id'];
+
+const LIST_FIELDS = ['phones', 'emails', 'websites', 'socials'];
+
+const valueOf = (card, field) => {
+  if (LIST_FIELDS.includes(field)) {
+    return (card[field] || []).map(({ type, value, is_primary }) => ({ type, value, is_primary: Boolean(is_primary) }));
+  }
+  const value = card[field];
+  return value == null || value === '' ? null : String(value);
+};
+
+const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+const isEmpty = (value) => value == null || (Array.isArray(value) && value.length === 0);
+
+class RevisionService {
+  get sources() {
+    return SOURCES;
+  }
+
+  /**
+   * Tracked values of a card — contact point lists must be attached
+   * (see cardService.attachContactPoints)
+   */
+  snapshot(card) {
+    return Object.fromEntries(
+      TRACKED_FIELDS.filter((field) => field in card).map((field) => [field, valueOf(card, field)])
+    );
+  }
+
+  /**
+   * Store the fields that differ between two snapshots as the card's next revision
+   *
+   * @param {object} before - snapshot() before the change ({} for a new card)
+   * @param {object} after  - snapshot() after the change
+   * @param {{ note?: string, connection? }} options - `connection` of a transaction that holds
+   *   the card row lock (see cardService.editCard), so the next revision number is not taken twice
+   * @returns {number|null} revision number, null when nothing changed
+   */
+  async record(cardId, userId, before, after, source, { note = null, connection = pool } = {}) {
+    const changes = TRACKED_FIELDS
+      .filter((field) => field in after)
+      .map((field) => ({ field, old: before[field] ?? null, new: after[field] }))
+      .filter((change) => !same(change.old, change.new) && !(isEmpty(change.old) && isEmpty(change.new)));
+
+    if (changes.length === 0) return null;
+
+    const [rows] = await connection.query(
+      'SELECT COALESCE(MAX(revision), 0) + 1 AS next FROM card_revisions WHERE card_id = ?',
+      [cardId]
+    );
+    const revision = rows[0].next;
+
+    await connection.query(
+      `INSERT INTO card_revisions (card_id, user_id, revision, field, old_value, new_value, source, note)
+       VALUES ?`,
+      [changes.map((change) => [
+        cardId, userId, revision, change.field,
+        JSON.stringify(change.old), JSON.stringify(change.new),
+        source, note
+      ])]
+    );
+
+    return revision;
+  }
+
+  /**
+   * @returns {Array<{ revision, source, note, user_id, created_at, changes: [{ field, old_value, new_value }] }>} newest first
+   */
+  async getHistory(cardId) {
+    const [rows] = await pool.query(
+      'SELECT * FROM card_revisions WHERE card_id = ? ORDER BY revision DESC, id',
+      [cardId]
+    );
+
+    const revisions = [];
+    for (const row of rows) {
+      let revision = revisions[revisions.length - 1];
+      if (!revision || revision.revision !== row.revision) {
+        revision = {
+          revision: row.revision,
+          source: row.source,
+          note: row.note,
+          user_id: row.user_id,
+          created_at: row.created_at,
+          changes: [],
+        };
+        revisions.push(revision);
+      }
+      revision.changes.push({ field: row.field, old_value: row.old_value, new_value: row.new_value });
+    }
+    return revisions;
+  }
+
+  /**
+   * The revertible fields as they were right after `revision`, given the card's
+   * current snapshot — every field changed later gets the value it had before
+   * its first later change.
+   *
+   * @returns {{ values: object, fields: string[] }|null} null when the revision does not exist;
+   *   `fields` lists the fields that differ from now
+   */
+  async stateAt(cardId, revision, current) {
+    const [exists] = await pool.query(
+      'SELECT 1 FROM card_revisions WHERE card_id = ? AND revision = ? LIMIT 1',
+      [cardId, revision]
+    );
+    if (exists.length === 0) return null;
+
+    const [later] = await pool.query(
+      `SELECT field, old_value FROM card_revisions
+       WHERE card_id = ? AND revision > ? AND field IN (?)
+       ORDER BY revision, id`,
+      [cardId, revision, REVERTIBLE_FIELDS]
+    );
+
+    const values = {};
+    for (const row of later) {
+      if (!(row.field in values)) values[row.field] = row.old_value;
+    }
+
+    const fields = Object.keys(values).filter((field) => !same(values[field], current[field] ?? null));
+    return { values, fields };
+  }
+}
+
+module.exports = new RevisionService();
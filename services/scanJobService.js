@@ -0,0 +1,273 @@
+const { pool } = require('../config/database');
+const extractionService = require('./extractionService');
+const cardService = require('./cardService');
+const extractionLogService = require('./extractionLogService');
+const duplicateService = require('./duplicateService');
+const imageProcessingService = require('./imageProcessingService');
+const usageService = require('./usageService');
+
+// Background bulk scans. Jobs and their images live in MySQL (scan_jobs,
+// scan_job_items); this class only keeps an in-memory queue of pending item
+// IDs, rebuilt from the database on startup so a restart loses nothing.
+class ScanJobService {
+  constructor() {
+    this.concurrency = parseInt(process.env.SCAN_JOB_CONCURRENCY) || 3;
+    this.queue = [];
+    this.active = 0;
+  }
+
+  /**
+   * Persist a job with one item per uploaded image and start processing it
+   *
+   * @param {number} userId
+   * @param {Array} files - multer files
+   * @param {{ provider?: string, meeting?: object, usageId?: number }} options - `meeting` is the
+   *   event / met_at / GPS columns every card of the job gets (see eventService.meetingContext);
+   *   `usageId` the quota reservation its images were counted in
+   * @returns {number} job ID
+   */
+  async createJob(userId, files, options = {}) {
+    const connection = await pool.getConnection();
+    let jobId;
+    let itemIds;
+
+    try {
+      await connection.beginTransaction();
+
+      const [jobResult] = await connection.query('INSERT INTO scan_jobs SET ?', [{
+        user_id: userId,
+        provider: options.provider || null,
+        usage_id: options.usageId || null,
+        ...options.meeting,
+        total_images: files.length,
+        status: 'queued'
+      }]);
+      jobId = jobResult.insertId;
+
+      const rows = files.map((file, index) => [
+        jobId,
+        index,
+        file.path,
+        `/uploads/${file.filename}`,
+        file.originalname,
+      ]);
+      await connection.query(
+        `INSERT INTO scan_job_items (job_id, position, image_path, image_url, original_name)
+         VALUES ?`,
+        [rows]
+      );
+
+      const [items] = await connection.query(
+        'SELECT id FROM scan_job_items WHERE job_id = ? ORDER BY position',
+        [jobId]
+      );
+      itemIds = items.map((item) => item.id);
+
+      await connection.commit();
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
+      connection.release();
+    }
+
+    this.enqueue(itemIds);
+    return jobId;
+  }
+
+  enqueue(itemIds) {
+    this.queue.push(...itemIds);
+    this.pump();
+  }
+
+  /**
+   * Start items until `concurrency` are in flight
+   */
+  pump() {
+    while (this.active < this.concurrency && this.queue.length > 0) {
+      const itemId = this.queue.shift();
+      this.active++;
+
+      this.processItem(itemId)
+        .catch((error) => console.error(`Scan job item ${itemId} crashed:`, error))
+        .finally(() => {
+          this.active--;
+          this.pump();
+        });
+    }
+  }
+
+  async processItem(itemId) {
+    // Claim the item — skips items another pass already picked up
+    const [claim] = await pool.query(
+      `UPDATE scan_job_items SET status = 'processing', started_at = NOW()
+       WHERE id = ? AND status = 'pending'`,
+      [itemId]
+    );
+    if (claim.affectedRows === 0) return;
+
+    const [items] = await pool.query(
+      `SELECT i.*, j.user_id, j.provider AS job_provider, j.usage_id,
+              j.event_id, j.met_at, j.met_latitude, j.met_longitude
+       FROM scan_job_items i
+       JOIN scan_jobs j ON j.id = i.job_id
+       WHERE i.id = ?`,
+      [itemId]
+    );
+    const item = items[0];
+
+    await pool.query(
+      `UPDATE scan_jobs SET status = 'processing', started_at = COALESCE(started_at, NOW())
+       WHERE id = ? AND status = 'queued'`,
+      [item.job_id]
+    );
+
+    let succeeded = false;
+    let read = false;
+
+    try {
+      const image = await this.preprocess(item);
+      const extraction = await extractionService.extractCardInfo(image.path, {
+        provider: item.job_provider || undefined,
+      });
+
+      if (!extraction.success) {
+        await extractionLogService.record(item.user_id, null, extraction.extractions, { mode: 'bulk' });
+        await this.failItem(itemId, extraction.error);
+      } else {
+        const cardId = await cardService.createCard(item.user_id, {
+          ...cardService.buildCardRow(extraction.data, extraction.quality),
+          event_id: item.event_id,
+          met_at: item.met_at,
+          met_latitude: item.met_latitude,
+          met_longitude: item.met_longitude,
+          image_url: image.url,
+          original_image_url: item.image_url,
+        });
+        await extractionLogService.record(item.user_id, cardId, extraction.extractions, { mode: 'bulk' });
+        await duplicateService.flagCandidates(item.user_id, [cardId]);
+
+        await pool.query(
+          `UPDATE scan_job_items SET
+            status = 'completed', card_id = ?, provider = ?, error_message = ?, completed_at = NOW()
+           WHERE id = ?`,
+          [cardId, extraction.provider, extraction.fallback ? extraction.error : null, itemId]
+        );
+        succeeded = true;
+        read = !extraction.fallback;
+      }
+    } catch (error) {
+      console.error(`Scan job item ${itemId} error:`, error);
+      await this.failItem(itemId, error.message);
+    }
+
+    // An image nothing could be read from does not count against the quota
+    if (!read) {
+      await usageService.release(item.usage_id, 1).catch((error) => {
+        console.error(`Failed to release scan quota for item ${itemId}:`, error.message);
+      });
+    }
+
+    await pool.query(
+      `UPDATE scan_jobs SET
+        processed_count = processed_count + 1,
+        succeeded_count = succeeded_count + ?,
+        failed_count = failed_count + ?
+       WHERE id = ?`,
+      [succeeded ? 1 : 0, succeeded ? 0 : 1, item.job_id]
+    );
+
+    await pool.query(
+      `UPDATE scan_jobs SET
+        status = IF(failed_count >= total_images, 'failed', 'completed'),
+        completed_at = NOW()
+       WHERE id = ? AND processed_count >= total_images AND completed_at IS NULL`,
+      [item.job_id]
+    );
+  }
+
+  /**
+   * Preprocessed copy of an item's image (done here rather than at upload so
+   * the bulk request returns at once); the upload itself if processing fails
+   *
+   * @returns {{ path, url }}
+   */
+  async preprocess(item) {
+    try {
+      const processed = await imageProcessingService.process(item.image_path);
+      return { path: processed.path, url: `/uploads/${processed.filename}` };
+    } catch (error) {
+      console.error(`⚠️  Preprocessing failed for scan job item ${item.id} — using the upload as is:`, error.message);
+      return { path: item.image_path, url: item.image_url };
+    }
+  }
+
+  async failItem(itemId, message) {
+    await pool.query(
+      `UPDATE scan_job_items SET status = 'failed', error_message = ?, completed_at = NOW()
+       WHERE id = ?`,
+      [message || 'Extraction failed', itemId]
+    );
+  }
+
+  /**
+   * Re-queue items left pending or half-processed by a previous server run
+   */
+  async resumeInterruptedJobs() {
+    await pool.query(
+      "UPDATE scan_job_items SET status = 'pending', started_at = NULL WHERE status = 'processing'"
+    );
+
+    const [items] = await pool.query(
+      `SELECT i.id FROM scan_job_items i
+       JOIN scan_jobs j ON j.id = i.job_id
+       WHERE i.status = 'pending'
+       ORDER BY j.created_at, i.position`
+    );
+
+    if (items.length > 0) {
+      console.log(`🔁 Resuming ${items.length} pending bulk-scan image(s)`);
+      this.enqueue(items.map((item) => item.id));
+    }
+  }
+
+  async getJob(userId, jobId) {
+    const [jobs] = await pool.query(
+      'SELECT * FROM scan_jobs WHERE id = ? AND user_id = ?',
+      [jobId, userId]
+    );
+    if (jobs.length === 0) return null;
+
+    const [items] = await pool.query(
+      `SELECT i.id, i.position, i.original_name, i.image_url, i.status, i.provider,
+              i.card_id, i.error_message, i.started_at, i.completed_at,
+              bc.name AS card_name, bc.company AS card_company, bc.needs_review
+       FROM scan_job_items i
+       LEFT JOIN business_cards bc ON bc.id = i.card_id
+       WHERE i.job_id = ?
+       ORDER BY i.position`,
+      [jobId]
+    );
+
+    return { job: this.withProgress(jobs[0]), items };
+  }
+
+  async listJobs(userId, limit = 20) {
+    const [jobs] = await pool.query(
+      'SELECT * FROM scan_jobs WHERE user_id = ? ORDER BY created_at DESC LIMIT ?',
+      [userId, limit]
+    );
+    return jobs.map((job) => this.withProgress(job));
+  }
+
+  withProgress(job) {
+    return {
+      ...job,
+      progress: job.total_images
+        ? Math.round((job.processed_count / job.total_images) * 100)
+        : 100,
+    };
+  }
+}
+
+module.exports = new ScanJobService();
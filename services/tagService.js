@@ -0,0 +1,172 @@
+const { pool } = require('../config/database');
+
+// User-defined tags on cards (many-to-many through card_tags). Tag names are
+// unique per user, compared case-insensitively by the table collation.
+
+const MAX_NAME_LENGTH = 100;
+const COLOR_REGEX = /^#[0-9a-f]{6}$/i;
+
+class TagService {
+  /**
+   * @returns {string|null} error message, null when valid
+   */
+  validate({ name, color }) {
+    if (name !== undefined) {
+      const trimmed = String(name || '').trim();
+      if (!trimmed) return 'Tag name is required';
+      if (trimmed.length > MAX_NAME_LENGTH) return `Tag name is longer than ${MAX_NAME_LENGTH} characters`;
+    }
+    if (color != null && color !== '' && !COLOR_REGEX.test(color)) {
+      return 'Color must be a hex value like #1a73e8';
+    }
+    return null;
+  }
+
+  async listTags(userId) {
+    const [tags] = await pool.query(
+      `SELECT t.id, t.name, t.color, t.created_at, COUNT(bc.id) AS card_count
+       FROM tags t
+       LEFT JOIN card_tags ct ON ct.tag_id = t.id
+       LEFT JOIN business_cards bc ON bc.id = ct.card_id AND bc.deleted_at IS NULL
+       WHERE t.user_id = ?
+       GROUP BY t.id
+       ORDER BY t.name`,
+      [userId]
+    );
+    return tags;
+  }
+
+  async getTag(userId, tagId) {
+    const [tags] = await pool.query('SELECT * FROM tags WHERE id = ? AND user_id = ?', [tagId, userId]);
+    return tags[0] || null;
+  }
+
+  async findByName(userId, name) {
+    const [tags] = await pool.query('SELECT * FROM tags WHERE user_id = ? AND name = ?', [userId, String(name).trim()]);
+    return tags[0] || null;
+  }
+
+  async createTag(userId, { name, color }) {
+    const [result] = await pool.query('INSERT INTO tags SET ?', [{
+      user_id: userId,
+      name: String(name).trim(),
+      color: color || null
+    }]);
+    return this.getTag(userId, result.insertId);
+  }
+
+  /**
+   * @returns {object|null} the updated tag, null when it is not the user's
+   */
+  async updateTag(userId, tagId, { name, color }) {
+    const changes = {};
+    if (name !== undefined) changes.name = String(name).trim();
+    if (color !== undefined) changes.color = color || null;
+
+    if (Object.keys(changes).length > 0) {
+      await pool.query('UPDATE tags SET ? WHERE id = ? AND user_id = ?', [changes, tagId, userId]);
+    }
+    return this.getTag(userId, tagId);
+  }
+
+  async deleteTag(userId, tagId) {
+    const [result] = await pool.query('DELETE FROM tags WHERE id = ? AND user_id = ?', [tagId, userId]);
+    return result.affectedRows > 0;
+  }
+
+  /**
+   * Turn a list of tag IDs and/or names into the user's tag IDs. Names that do
+   * not exist yet are created when `create` is set, otherwise reported.
+   *
+   * @returns {{ tagIds: number[], unknown: Array<string|number> }}
+   */
+  async resolveTags(userId, tags, { create = false } = {}) {
+    const tagIds = [];
+    const unknown = [];
+
+    for (const tag of tags) {
+      // A numeric string is an ID first, then a name ("2026")
+      const isId = typeof tag === 'number' || /^\d+$/.test(String(tag));
+      const existing = (isId && await this.getTag(userId, tag)) ||
+        (typeof tag === 'string' && await this.findByName(userId, tag));
+
+      if (existing) {
+        tagIds.push(existing.id);
+      } else if (typeof tag === 'string' && create && !this.validate({ name: tag })) {
+        tagIds.push((await this.createTag(userId, { name: tag })).id);
+      } else {
+        unknown.push(tag);
+      }
+    }
+
+    return { tagIds: [...new Set(tagIds)], unknown };
+  }
+
+  /**
+   * Add tags to cards — cards that are not the user's are skipped
+   *
+   * @returns {number} links created
+   */
+  async tagCards(userId, cardIds, tagIds, connection = pool) {
+    if (cardIds.length === 0 || tagIds.length === 0) return 0;
+
+    const [result] = await connection.query(
+      `INSERT IGNORE INTO card_tags (card_id, tag_id)
+       SELECT bc.id, t.id FROM business_cards bc
+       JOIN tags t ON t.user_id = bc.user_id
+       WHERE bc.user_id = ? AND bc.deleted_at IS NULL AND bc.id IN (?) AND t.id IN (?)`,
+      [userId, cardIds, tagIds]
+    );
+    return result.affectedRows;
+  }
+
+  /**
+   * @returns {number} links removed
+   */
+  async untagCards(userId, cardIds, tagIds, connection = pool) {
+    if (cardIds.length === 0 || tagIds.length === 0) return 0;
+
+    const [result] = await connection.query(
+      `DELETE ct FROM card_tags ct
+       JOIN tags t ON t.id = ct.tag_id
+       WHERE t.user_id = ? AND ct.card_id IN (?) AND ct.tag_id IN (?)`,
+      [userId, cardIds, tagIds]
+    );
+    return result.affectedRows;
+  }
+
+  /**
+   * Replace every tag of one card
+   */
+  async setCardTags(userId, cardId, tagIds) {
+    const connection = await pool.getConnection();
+
+    try {
+      await connection.beginTransaction();
+      await connection.query('DELETE FROM card_tags WHERE card_id = ?', [cardId]);
+      await this.tagCards(userId, [cardId], tagIds, connection);
+      await connection.commit();
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
+      connection.release();
+    }
+  }
+
+  /**
+   * SQL condition (and params) limiting business_cards to those tagged with
+   * any — or, with match 'all', every — tag in `tagIds`
+   */
+  cardFilter(tagIds, match = 'any') {
+    if (match === 'all') {
+      return {
+        sql: 'id IN (SELECT card_id FROM card_tags WHERE tag_id IN (?) GROUP BY card_id HAVING COUNT(*) = ?)',
+        params: [tagIds, tagIds.length]
+      };
+    }
+    return { sql: 'id IN (SELECT card_id FROM card_tags WHERE tag_id IN (?))', params: [tagIds] };
+  }
+}
+
+module.exports = new TagService();
@@ -0,0 +1,176 @@
+const fs = require('fs');
+const path = require('path');
+const { pool } = require('../config/database');
+const cardService = require('./cardService');
+
+// Deleted cards go to the trash (business_cards.deleted_at) and can be restored
+// until they are older than the retention period. A scheduled purge then deletes
+// them for good — with their contact points, tags and history (FK cascades) —
+// and removes their image files from the upload directory, unless another card
+// still uses the same file (several cards cut from one photo, merged cards).
+
+const RETENTION_DAYS = parseInt(process.env.TRASH_RETENTION_DAYS) || 30;
+const PURGE_INTERVAL_MS = (parseInt(process.env.TRASH_PURGE_INTERVAL_HOURS) || 6) * 60 * 60 * 1000;
+const PURGE_BATCH_SIZE = 100;
+
+const uploadDir = process.env.UPLOAD_DIR || 'uploads';
+
+// Every `/uploads/...` image of a card, including the ones of cards merged into it
+const imageFiles = (card) => [cardService.imageUrls(card), ...(card.merged_images || [])]
+  .filter(Boolean)
+  .flatMap((images) => Object.values(images))
+  .filter((url) => typeof url === 'string' && url.startsWith('/uploads/'));
+
+class TrashService {
+  constructor() {
+    this.timer = null;
+  }
+
+  get retentionDays() {
+    return RETENTION_DAYS;
+  }
+
+  /**
+   * Move cards to the trash — cards that are not the user's or already trashed are skipped
+   *
+   * @returns {number} cards trashed
+   */
+  async trashCards(userId, cardIds, connection = pool) {
+    if (cardIds.length === 0) return 0;
+
+    const [result] = await connection.query(
+      'UPDATE business_cards SET deleted_at = NOW() WHERE user_id = ? AND id IN (?) AND deleted_at IS NULL',
+      [userId, cardIds]
+    );
+    return result.affectedRows;
+  }
+
+  /**
+   * @returns {number} cards restored
+   */
+  async restoreCards(userId, cardIds) {
+    if (cardIds.length === 0) return 0;
+
+    const [result] = await pool.query(
+      'UPDATE business_cards SET deleted_at = NULL WHERE user_id = ? AND id IN (?) AND deleted_at IS NOT NULL',
+      [userId, cardIds]
+    );
+    return result.affectedRows;
+  }
+
+  /**
+   * Trashed cards, most recently deleted first, each with the time it will be purged
+   *
+   * @returns {{ cards, total, retentionDays }}
+   */
+  async listTrash(userId, { limit = 20, offset = 0 } = {}) {
+    const [cards] = await pool.query(
+      `SELECT *, deleted_at + INTERVAL ? DAY AS purge_at FROM business_cards
+       WHERE user_id = ? AND deleted_at IS NOT NULL
+       ORDER BY deleted_at DESC, id DESC
+       LIMIT ? OFFSET ?`,
+      [RETENTION_DAYS, userId, limit, offset]
+    );
+
+    const [countResult] = await pool.query(
+      'SELECT COUNT(*) as total FROM business_cards WHERE user_id = ? AND deleted_at IS NOT NULL',
+      [userId]
+    );
+
+    await cardService.attachContactPoints(cards);
+    return { cards, total: countResult[0].total, retentionDays: RETENTION_DAYS };
+  }
+
+  /**
+   * Permanently delete trashed cards and their image files
+   *
+   * @param {number|null} userId - only this user's cards (null: any user, for the scheduled purge)
+   * @returns {{ cards: number, files: number }}
+   */
+  async purgeCards(userId, cardIds) {
+    if (cardIds.length === 0) return { cards: 0, files: 0 };
+
+    const [cards] = await pool.query(
+      `SELECT * FROM business_cards
+       WHERE id IN (?) AND deleted_at IS NOT NULL ${userId ? 'AND user_id = ?' : ''}`,
+      userId ? [cardIds, userId] : [cardIds]
+    );
+    if (cards.length === 0) return { cards: 0, files: 0 };
+
+    const [result] = await pool.query('DELETE FROM business_cards WHERE id IN (?)', [cards.map((card) => card.id)]);
+
+    let files = 0;
+    for (const url of new Set(cards.flatMap(imageFiles))) {
+      if (await this.isImageInUse(url)) continue;
+
+      try {
+        await fs.promises.unlink(path.join(uploadDir, path.basename(url)));
+        files++;
+      } catch (error) {
+        if (error.code !== 'ENOENT') console.error(`Failed to delete image ${url}:`, error.message);
+      }
+    }
+
+    return { cards: result.affectedRows, files };
+  }
+
+  /**
+   * Whether a remaining card (trashed ones included — they can still be restored) uses an image
+   */
+  async isImageInUse(url) {
+    const [rows] = await pool.query(
+      `SELECT 1 FROM business_cards
+       WHERE image_url = ? OR original_image_url = ? OR back_image_url = ?
+          OR original_back_image_url = ? OR source_image_url = ?
+          OR JSON_SEARCH(merged_images, 'one', ?) IS NOT NULL
+       LIMIT 1`,
+      [url, url, url, url, url, url]
+    );
+    return rows.length > 0;
+  }
+
+  /**
+   * Purge every card trashed more than the retention period ago
+   *
+   * @returns {{ cards: number, files: number }}
+   */
+  async purgeExpired() {
+    const purged = { cards: 0, files: 0 };
+
+    for (;;) {
+      const [expired] = await pool.query(
+        `SELECT id FROM business_cards
+         WHERE deleted_at IS NOT NULL AND deleted_at < NOW() - INTERVAL ? DAY
+         LIMIT ?`,
+        [RETENTION_DAYS, PURGE_BATCH_SIZE]
+      );
+      if (expired.length === 0) break;
+
+      const batch = await this.purgeCards(null, expired.map((card) => card.id));
+      purged.cards += batch.cards;
+      purged.files += batch.files;
+      if (batch.cards === 0) break;
+    }
+
+    if (purged.cards > 0) {
+      console.log(`🗑️  Purged ${purged.cards} trashed card(s) and ${purged.files} image file(s)`);
+    }
+    return purged;
+  }
+
+  /**
+   * Run purgeExpired now and then every TRASH_PURGE_INTERVAL_HOURS (default 6)
+   */
+  startPurgeSchedule() {
+    if (this.timer) return;
+
+    const run = () => this.purgeExpired()
+      .catch((error) => console.error('Trash purge error:', error.message));
+
+    run();
+    this.timer = setInterval(run, PURGE_INTERVAL_MS);
+    this.timer.unref();
+  }
+}
+
+module.exports = new TrashService();
@@ -0,0 +1,191 @@
+const { pool } = require('../config/database');
+
+// Scan quotas and AI usage. Every metered request (a scanned image, a rescan,
+// pasted text) reserves units in `scan_usage` before any provider is called;
+// tokens and estimated cost come from the `extractions` log.
+//
+// Limits: users.scan_quota_daily / scan_quota_monthly, else SCAN_QUOTA_DAILY /
+// SCAN_QUOTA_MONTHLY. A missing or 0 limit means unlimited. Days and months
+// follow the database server's clock.
+
+const envLimit = (name) => {
+  const value = parseInt(process.env[name]);
+  return Number.isFinite(value) && value > 0 ? value : null;
+};
+
+const userLimit = (value, fallback) => {
+  if (value == null) return fallback;
+  return value > 0 ? value : null;
+};
+
+const period = (used, limit, resetsAt) => ({
+  used,
+  limit,
+  remaining: limit == null ? null : Math.max(0, limit - used),
+  resetsAt: resetsAt.toISOString(),
+});
+
+class UsageService {
+  /**
+   * @returns {{ daily: number|null, monthly: number|null }} null = unlimited
+   */
+  limitsFor(user) {
+    return {
+      daily: userLimit(user.scan_quota_daily, envLimit('SCAN_QUOTA_DAILY')),
+      monthly: userLimit(user.scan_quota_monthly, envLimit('SCAN_QUOTA_MONTHLY')),
+    };
+  }
+
+  async countUsed(userId, connection = pool) {
+    const [rows] = await connection.query(
+      `SELECT
+         COALESCE(SUM(CASE WHEN created_at >= CURDATE() THEN units END), 0) AS daily,
+         COALESCE(SUM(units), 0) AS monthly
+       FROM scan_usage
+       WHERE user_id = ? AND created_at >= DATE_FORMAT(CURDATE(), '%Y-%m-01')`,
+      [userId]
+    );
+    return { daily: Number(rows[0].daily), monthly: Number(rows[0].monthly) };
+  }
+
+  quotaSummary(used, limits) {
+    const now = new Date();
+    const tomorrow = new Date(now.getFullYear(), now.getMonth(), now.getDate() + 1);
+    const nextMonth = new Date(now.getFullYear(), now.getMonth() + 1, 1);
+
+    return {
+      daily: period(used.daily, limits.daily, tomorrow),
+      monthly: period(used.monthly, limits.monthly, nextMonth),
+    };
+  }
+
+  async getQuota(userId) {
+    const [users] = await pool.query('SELECT scan_quota_daily, scan_quota_monthly FROM users WHERE id = ?', [userId]);
+    return this.quotaSummary(await this.countUsed(userId), this.limitsFor(users[0] || {}));
+  }
+
+  /**
+   * Check the quotas and record `units` of usage in one transaction. The user
+   * row is locked so parallel requests cannot both take the last unit.
+   *
+   * @returns {{ allowed: boolean, exceeded: 'daily'|'monthly'|null, quota, usageId: number|null }}
+   */
+  async reserve(userId, mode, units = 1) {
+    const connection = await pool.getConnection();
+
+    try {
+      await connection.beginTransaction();
+
+      const [users] = await connection.query(
+        'SELECT scan_quota_daily, scan_quota_monthly FROM users WHERE id = ? FOR UPDATE',
+        [userId]
+      );
+      const limits = this.limitsFor(users[0] || {});
+      const used = await this.countUsed(userId, connection);
+
+      const exceeded =
+        limits.daily != null && used.daily + units > limits.daily ? 'daily'
+          : limits.monthly != null && used.monthly + units > limits.monthly ? 'monthly'
+            : null;
+
+      if (exceeded) {
+        await connection.rollback();
+        return { allowed: false, exceeded, quota: this.quotaSummary(used, limits), usageId: null };
+      }
+
+      const [result] = await connection.query('INSERT INTO scan_usage SET ?', [{ user_id: userId, mode, units }]);
+      await connection.commit();
+
+      return {
+        allowed: true,
+        exceeded: null,
+        quota: this.quotaSummary({ daily: used.daily + units, monthly: used.monthly + units }, limits),
+        usageId: result.insertId,
+      };
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
+      connection.release();
+    }
+  }
+
+  /**
+   * Give back a reservation whose request was rejected or whose extraction
+   * failed — all of it, or `units` of it (images of a scan that could not be read)
+   */
+  async release(usageId, units = null) {
+    if (!usageId) return;
+
+    if (units == null) {
+      await pool.query('DELETE FROM scan_usage WHERE id = ?', [usageId]);
+    } else {
+      await pool.query('UPDATE scan_usage SET units = GREATEST(units - ?, 0) WHERE id = ?', [units, usageId]);
+    }
+  }
+
+  /**
+   * Token and cost totals from the extraction log between `from` and `to`
+   *
+   * @returns {{ totals, byProvider: [...], byDay: [...] }}
+   */
+  async getConsumption(userId, from, to) {
+    const range = [userId, from, to];
+
+    const [byProvider] = await pool.query(
+      `SELECT provider,
+              COUNT(*) AS calls,
+              SUM(status = 'succeeded') AS succeeded,
+              COALESCE(SUM(prompt_tokens), 0) AS prompt_tokens,
+              COALESCE(SUM(completion_tokens), 0) AS completion_tokens,
+              COALESCE(SUM(total_tokens), 0) AS total_tokens,
+              COALESCE(SUM(cost_usd), 0) AS cost_usd
+       FROM extractions
+       WHERE user_id = ? AND created_at >= ? AND created_at < ?
+       GROUP BY provider
+       ORDER BY cost_usd DESC, calls DESC`,
+      range
+    );
+
+    const [byDay] = await pool.query(
+      `SELECT DATE_FORMAT(created_at, '%Y-%m-%d') AS day,
+              COUNT(*) AS calls,
+              COALESCE(SUM(total_tokens), 0) AS total_tokens,
+              COALESCE(SUM(cost_usd), 0) AS cost_usd
+       FROM extractions
+       WHERE user_id = ? AND created_at >= ? AND created_at < ?
+       GROUP BY day
+       ORDER BY day`,
+      range
+    );
+
+    const [scans] = await pool.query(
+      `SELECT mode, COALESCE(SUM(units), 0) AS units
+       FROM scan_usage
+       WHERE user_id = ? AND created_at >= ? AND created_at < ?
+       GROUP BY mode`,
+      range
+    );
+
+    const numeric = (row) => Object.fromEntries(
+      Object.entries(row).map(([key, value]) => [key, key === 'provider' || key === 'day' || key === 'mode' ? value : Number(value)])
+    );
+    const providers = byProvider.map(numeric);
+
+    return {
+      totals: {
+        scans: scans.reduce((sum, row) => sum + Number(row.units), 0),
+        calls: providers.reduce((sum, row) => sum + row.calls, 0),
+        promptTokens: providers.reduce((sum, row) => sum + row.prompt_tokens, 0),
+        completionTokens: providers.reduce((sum, row) => sum + row.completion_tokens, 0),
+        totalTokens: providers.reduce((sum, row) => sum + row.total_tokens, 0),
+        costUsd: Math.round(providers.reduce((sum, row) => sum + row.cost_usd, 0) * 1e6) / 1e6,
+      },
+      scansByMode: Object.fromEntries(scans.map((row) => [row.mode, Number(row.units)])),
+      byProvider: providers,
+      byDay: byDay.map(numeric),
+    };
+  }
+}
+
+module.exports = new UsageService();
@@ -0,0 +1,160 @@
+// utils/addressParser.js
+// Splits a one-line card address into street, city, region, postal code and
+// country. Used when a provider returns only the formatted address, and when
+// a user edits the address text.
+
+const { findCountry, countryFromText } = require('./countries');
+
+// Postal code shapes, tried for the inferred country first
+const POSTAL_PATTERNS = {
+  IN: /\b\d{3}\s?\d{3}\b/,
+  US: /\b\d{5}(?:-\d{4})?\b/,
+  GB: /\b[A-Z]{1,2}\d[A-Z\d]?\s*\d[A-Z]{2}\b/i,
+  CA: /\b[A-Z]\d[A-Z]\s?\d[A-Z]\d\b/i,
+  DEFAULT: /\b\d{4,6}\b/,
+};
+
+// States / provinces that are worth recognising as the region segment
+const REGIONS = [
+  // India
+  'andhra pradesh', 'arunachal pradesh', 'assam', 'bihar', 'chhattisgarh', 'goa', 'gujarat', 'haryana',
+  'himachal pradesh', 'jharkhand', 'karnataka', 'kerala', 'madhya pradesh', 'maharashtra', 'manipur',
+  'meghalaya', 'mizoram', 'nagaland', 'odisha', 'punjab', 'rajasthan', 'sikkim', 'tamil nadu', 'telangana',
+  'tripura', 'uttar pradesh', 'uttarakhand', 'west bengal', 'delhi', 'jammu and kashmir', 'chandigarh', 'puducherry',
+  // United States
+  'alabama', 'alaska', 'arizona', 'arkansas', 'california', 'colorado', 'connecticut', 'delaware', 'florida',
+  'georgia', 'hawaii', 'idaho', 'illinois', 'indiana', 'iowa', 'kansas', 'kentucky', 'louisiana', 'maine',
+  'maryland', 'massachusetts', 'michigan', 'minnesota', 'mississippi', 'missouri', 'montana', 'nebraska',
+  'nevada', 'new hampshire', 'new jersey', 'new mexico', 'new york', 'north carolina', 'north dakota', 'ohio',
+  'oklahoma', 'oregon', 'pennsylvania', 'rhode island', 'south carolina', 'south dakota', 'tennessee', 'texas',
+  'utah', 'vermont', 'virginia', 'washington', 'west virginia', 'wisconsin', 'wyoming',
+  // Canada, Australia
+  'ontario', 'quebec', 'british columbia', 'alberta', 'new south wales', 'victoria', 'queensland',
+];
+
+const US_STATE_CODE = /^[A-Z]{2}$/;
+
+const emptyAddress = () => ({
+  street: '',
+  city: '',
+  region: '',
+  postal_code: '',
+  country: '',
+  country_code: '',
+});
+
+const clean = (value) => String(value || '').replace(/\s+/g, ' ').replace(/^[\s,\-–]+|[\s,\-–]+$/g, '');
+
+const isRegion = (segment) =>
+  REGIONS.includes(segment.toLowerCase()) || US_STATE_CODE.test(segment);
+
+/**
+ * @param {string} address - formatted address as printed on the card
+ * @returns {{ street, city, region, postal_code, country, country_code }}
+ */
+const parseAddress = (address) => {
+  const result = emptyAddress();
+  const text = clean(address);
+  if (!text) return result;
+
+  let segments = text.split(/\s*[,\n;]\s*/).map(clean).filter(Boolean);
+
+  // Country — an explicit last segment, or a name/city hint anywhere
+  const lastCountry = findCountry(segments[segments.length - 1]);
+  if (lastCountry && segments.length > 1) {
+    segments.pop();
+  }
+  const country = lastCountry || countryFromText(text);
+  if (country) {
+    result.country = country.name;
+    result.country_code = country.code;
+  }
+
+  // Postal code — searched from the end (never the first of several segments,
+  // which holds the building number), removed from its segment
+  const pattern = POSTAL_PATTERNS[result.country_code] || POSTAL_PATTERNS.DEFAULT;
+  for (let i = segments.length - 1; i >= 0; i--) {
+    const match = segments[i].match(pattern);
+    if (!match || (i === 0 && segments.length > 1)) continue;
+
+    result.postal_code = match[0].toUpperCase();
+    const rest = clean(segments[i].replace(match[0], ''));
+    segments = [...segments.slice(0, i), ...(rest ? [rest] : []), ...segments.slice(i + 1)];
+    break;
+  }
+
+  // Region — the last segment if it names a known state / province
+  if (segments.length > 1 && isRegion(segments[segments.length - 1])) {
+    result.region = segments.pop();
+  }
+
+  // "Mountain View CA" — US-style city followed by a state code in one segment
+  const last = segments[segments.length - 1];
+  const trailingCode = last && !result.region && last.match(/^(.*\D)\s+([A-Z]{2})$/);
+  if (trailingCode && segments.length > 1) {
+    segments[segments.length - 1] = clean(trailingCode[1]);
+    result.region = trailingCode[2];
+  }
+
+  // City — the last remaining segment, unless it is the only one and looks like a street
+  if (segments.length > 1) {
+    result.city = segments.pop();
+  } else if (segments.length === 1 && !/\d/.test(segments[0]) && segments[0].split(' ').length <= 3) {
+    result.city = segments.pop();
+  }
+
+  result.street = segments.join(', ');
+  return result;
+};
+
+/**
+ * One-line address from structured parts
+ */
+const formatAddress = (parts) => {
+  const cityLine = [parts.city, [parts.region, parts.postal_code].filter(Boolean).join(' ')]
+    .filter(Boolean)
+    .join(', ');
+  return [parts.street, cityLine, parts.country].filter(Boolean).join(', ');
+};
+
+/**
+ * Structured parts for a card: parts supplied by the provider or user win,
+ * gaps are filled by parsing the formatted address
+ */
+const resolveAddress = (address, parts = {}) => {
+  const parsed = parseAddress(address);
+  const resolved = emptyAddress();
+
+  for (const key of Object.keys(resolved)) {
+    resolved[key] = clean(parts?.[key]) || parsed[key];
+  }
+
+  // Keep the country name and code consistent when only one was supplied
+  const country = findCountry(resolved.country) || findCountry(resolved.country_code);
+  if (country) {
+    const supplied = clean(parts?.country);
+    resolved.country = supplied.length > 2 ? supplied : country.name;
+    resolved.country_code = country.code;
+  } else if (!/^[A-Z]{2}$/i.test(resolved.country_code)) {
+    resolved.country_code = '';
+  }
+
+  return resolved;
+};
+
+/**
+ * business_cards columns for an address
+ */
+const addressColumns = (address, parts) => {
+  const resolved = resolveAddress(address, parts);
+  return {
+    address_street: resolved.street || null,
+    address_city: resolved.city || null,
+    address_region: resolved.region || null,
+    address_postal_code: resolved.postal_code || null,
+    address_country: resolved.country || null,
+    address_country_code: resolved.country_code ? resolved.country_code.toUpperCase() : null,
+  };
+};
+
+module.exports = { parseAddress, formatAddress, resolveAddress, addressColumns };
@@ -0,0 +1,43 @@
+// utils/aiPricing.js
+// Estimated USD cost of one extraction from its token counts.
+//
+// Prices are per million tokens and can be overridden per provider with
+// AI_PRICE_<PROVIDER>_INPUT / AI_PRICE_<PROVIDER>_OUTPUT (e.g. AI_PRICE_OPENAI_INPUT=2.5).
+// Providers that run locally (local OCR, QR codes, pasted vCards) cost nothing.
+
+const DEFAULT_PRICES = {
+  openai:  { input: 2.5,  output: 10 },
+  gemini:  { input: 0.5,  output: 1.5 },
+  mistral: { input: 0.2,  output: 0.6 },
+};
+
+const priceFor = (provider) => {
+  const defaults = DEFAULT_PRICES[provider];
+  const key = String(provider || '').toUpperCase();
+  const input = parseFloat(process.env[`AI_PRICE_${key}_INPUT`]);
+  const output = parseFloat(process.env[`AI_PRICE_${key}_OUTPUT`]);
+
+  if (!defaults && !Number.isFinite(input) && !Number.isFinite(output)) return null;
+
+  return {
+    input: Number.isFinite(input) ? input : defaults?.input || 0,
+    output: Number.isFinite(output) ? output : defaults?.output || 0,
+  };
+};
+
+/**
+ * @param {string} provider
+ * @param {number|null} promptTokens
+ * @param {number|null} completionTokens
+ * @returns {number|null} USD, null when the call reported no token usage
+ */
+const estimateCost = (provider, promptTokens, completionTokens) => {
+  const price = priceFor(provider);
+  if (!price) return 0;
+  if (promptTokens == null && completionTokens == null) return null;
+
+  const cost = ((promptTokens || 0) * price.input + (completionTokens || 0) * price.output) / 1e6;
+  return Math.round(cost * 1e6) / 1e6;
+};
+
+module.exports = { estimateCost };
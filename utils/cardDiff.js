@@ -0,0 +1,127 @@
+// utils/cardDiff.js
+// Field-by-field comparison of a stored card with a fresh extraction, and the
+// update that accepts a chosen subset of the extracted values.
+
+const { CARD_FIELDS } = require('./cardQuality');
+const { KINDS, comparisonKey, normalizeContactPoints } = require('./contactPoints');
+
+// phones, emails, websites, socials — compared as whole lists, order and type ignored
+const LIST_FIELDS = Object.values(KINDS).map((kind) => kind.list);
+
+const DIFF_FIELDS = [...CARD_FIELDS, ...LIST_FIELDS];
+
+const clean = (value) => (value == null ? '' : String(value).replace(/\s+/g, ' ').trim());
+
+const kindOfList = (field) => Object.keys(KINDS).find((kind) => KINDS[kind].list === field);
+
+const scalarKey = (field, value) => (KINDS[field] ? comparisonKey(field, clean(value)) : clean(value));
+
+const listEntries = (kind, source) => normalizeContactPoints(source)
+  .filter((point) => point.kind === kind)
+  .map(({ type, value }) => ({ type, value }));
+
+const sameList = (kind, a, b) => {
+  const keys = (list) => list.map((entry) => comparisonKey(kind, entry.value)).sort().join('\n');
+  return keys(a) === keys(b);
+};
+
+/**
+ * @param {object} card - stored card with contact points attached
+ * @param {object} data - extracted card data
+ * @param {object} fieldConfidence - from assessCard()
+ * @returns {Array<{ field, current, proposed, changed, confidence }>}
+ */
+const diffCard = (card, data, fieldConfidence = {}) => DIFF_FIELDS.map((field) => {
+  const kind = kindOfList(field);
+
+  if (kind) {
+    const current = listEntries(kind, card);
+    const proposed = listEntries(kind, data);
+    return {
+      field,
+      current,
+      proposed,
+      changed: !sameList(kind, current, proposed),
+      confidence: fieldConfidence[kind] ?? null,
+    };
+  }
+
+  return {
+    field,
+    current: clean(card[field]),
+    proposed: clean(data[field]),
+    changed: scalarKey(field, card[field]) !== scalarKey(field, data[field]),
+    confidence: fieldConfidence[field] ?? null,
+  };
+});
+
+/**
+ * Update body (see cardService.updateCard) taking `fields` from the extraction
+ * and everything else — including structured name / address parts — from the card
+ */
+const acceptedUpdate = (card, data, fields) => {
+  const accept = (field) => fields.includes(field);
+  const pick = (field) => (accept(field) ? clean(data[field]) : card[field]);
+
+  const body = {
+    name: pick('name'),
+    company: pick('company'),
+    job_title: pick('job_title'),
+    address: pick('address'),
+    notes: card.notes,
+  };
+
+  if (!accept('name') && (card.first_name || card.last_name)) {
+    Object.assign(body, {
+      name_prefix: card.name_prefix,
+      first_name: card.first_name,
+      middle_name: card.middle_name,
+      last_name: card.last_name,
+      name_suffix: card.name_suffix,
+    });
+  }
+
+  const parts = accept('address')
+    ? data.address_parts && {
+      street: data.address_parts.street,
+      city: data.address_parts.city,
+      region: data.address_parts.region,
+      postal_code: data.address_parts.postal_code,
+      country: data.address_parts.country,
+    }
+    : (card.address_city || card.address_street || card.address_country) && {
+      street: card.address_street,
+      city: card.address_city,
+      region: card.address_region,
+      postal_code: card.address_postal_code,
+      country: card.address_country,
+    };
+
+  if (parts) {
+    Object.assign(body, {
+      address_street: parts.street,
+      address_city: parts.city,
+      address_region: parts.region,
+      address_postal_code: parts.postal_code,
+      address_country: parts.country,
+    });
+  }
+
+  for (const kind of Object.keys(KINDS)) {
+    const list = KINDS[kind].list;
+    if (accept(list)) {
+      // Flag the extracted primary so it stays the primary after the update
+      const primaryKey = comparisonKey(kind, clean(data[kind]));
+      body[list] = listEntries(kind, data).map((entry) => ({
+        ...entry,
+        is_primary: Boolean(primaryKey) && comparisonKey(kind, entry.value) === primaryKey,
+      }));
+    } else if (accept(kind)) {
+      body[kind] = clean(data[kind]);
+    }
+  }
+
+  return body;
+};
+
+module.exports = { DIFF_FIELDS, diffCard, acceptedUpdate };
@@ -0,0 +1,117 @@
+// utils/cardMerge.js
+// Merges the extraction of a card's front and back into a single contact.
+//
+// Conflict rules, per field:
+//   1. Only one side has a value      → take it
+//   2. Both sides agree (ignoring case/spacing) → keep the front value
+//   3. Both differ                    → keep the side with the higher confidence
+//                                       (front wins ties); the other value is
+//                                       reported as a conflict and kept in notes
+//
+// Every phone, email and website found on either side is kept as a contact point.
+//
+// A contact decoded from the card's QR code (vCard / MeCard) is applied on top
+// with applyDecodedCard(): its fields win over the vision model's.
+
+const { CARD_FIELDS } = require('./cardQuality');
+const { mergeContactLists } = require('./contactPoints');
+
+const FIELD_LABELS = {
+  name: 'Name',
+  email: 'Email',
+  phone: 'Phone',
+  company: 'Company',
+  job_title: 'Job title',
+  address: 'Address',
+  website: 'Website',
+};
+
+const normalize = (value) => String(value || '').toLowerCase().replace(/\s+/g, ' ').trim();
+
+/**
+ * @param {{ data, quality }} front - extraction result for the front image
+ * @param {{ data, quality }} back  - extraction result for the back image
+ * @returns {{ data, confidence, sources, conflicts, notes }}
+ */
+const mergeCardSides = (front, back) => {
+  const data = {};
+  const confidence = {};
+  const sources = {};
+  const conflicts = [];
+
+  for (const field of CARD_FIELDS) {
+    const frontValue = front.data[field] || '';
+    const backValue = back.data[field] || '';
+    const frontConfidence = front.quality.fieldConfidence[field] || 0;
+    const backConfidence = back.quality.fieldConfidence[field] || 0;
+
+    if (!backValue || normalize(frontValue) === normalize(backValue)) {
+      data[field] = frontValue;
+      confidence[field] = Math.max(frontConfidence, backValue ? backConfidence : 0);
+      sources[field] = frontValue ? 'front' : null;
+      continue;
+    }
+
+    if (!frontValue) {
+      data[field] = backValue;
+      confidence[field] = backConfidence;
+      sources[field] = 'back';
+      continue;
+    }
+
+    const useBack = backConfidence > frontConfidence;
+    data[field] = useBack ? backValue : frontValue;
+    confidence[field] = useBack ? backConfidence : frontConfidence;
+    sources[field] = useBack ? 'back' : 'front';
+    conflicts.push({
+      field,
+      kept: data[field],
+      discarded: useBack ? frontValue : backValue,
+      discardedSide: useBack ? 'front' : 'back',
+    });
+  }
+
+  Object.assign(data, mergeContactLists(front.data, back.data));
+
+  // Structured address and name parts follow whichever side the value came from
+  data.address_parts = (sources.address === 'back' ? back : front).data.address_parts || null;
+  data.name_parts = (sources.name === 'back' ? back : front).data.name_parts || null;
+
+  const notes = conflicts.length
+    ? 'Alternate values from the other side of the card:\n' +
+      conflicts.map((c) => `${FIELD_LABELS[c.field]}: ${c.discarded}`).join('\n')
+    : '';
+
+  return { data, confidence, sources, conflicts, notes };
+};
+
+/**
+ * Apply a contact decoded from a QR code to extracted card data. Decoded fields
+ * are authoritative (confidence 1); decoded contact points come first.
+ *
+ * @param {object} data       - extracted card data
+ * @param {object} confidence - per-field confidence of `data`
+ * @param {object} decoded    - card data parsed from the code (utils/vcardParser)
+ * @returns {{ data, confidence, fields }} `fields` lists the fields the code supplied
+ */
+const applyDecodedCard = (data, confidence = {}, decoded) => {
+  const merged = { ...data };
+  const mergedConfidence = { ...confidence };
+  const fields = [];
+
+  for (const field of CARD_FIELDS) {
+    if (!decoded[field]) continue;
+    merged[field] = decoded[field];
+    mergedConfidence[field] = 1;
+    fields.push(field);
+  }
+
+  if (decoded.name) merged.name_parts = decoded.name_parts || null;
+  if (decoded.address) merged.address_parts = decoded.address_parts || null;
+
+  Object.assign(merged, mergeContactLists(decoded, data));
+
+  return { data: merged, confidence: mergedConfidence, fields };
+};
+
+module.exports = { FIELD_LABELS, mergeCardSides, applyDecodedCard };
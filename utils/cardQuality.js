@@ -0,0 +1,122 @@
+// utils/cardQuality.js
+// Scores extracted card data so half-read scans can be routed to a review queue.
+
+const CARD_FIELDS = ['name', 'email', 'phone', 'company', 'job_title', 'address', 'website'];
+
+// Confidence used when a provider does not report one for a non-empty field
+const DEFAULT_FIELD_CONFIDENCE = 0.75;
+
+// A field that fails validation is capped at this confidence
+const INVALID_FIELD_CONFIDENCE = 0.2;
+
+const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]{2,}$/;
+const URL_REGEX = /^(https?:\/\/)?([a-z0-9-]+\.)+[a-z]{2,}(:\d+)?(\/\S*)?$/i;
+
+const getReviewThreshold = () => {
+  const value = parseFloat(process.env.REVIEW_CONFIDENCE_THRESHOLD);
+  return Number.isFinite(value) ? value : 0.7;
+};
+
+const round = (n) => Math.round(n * 100) / 100;
+
+const clamp = (n) => Math.min(1, Math.max(0, n));
+
+const isValidEmail = (value) => EMAIL_REGEX.test(String(value).trim());
+
+/**
+ * Phone numbers must carry between 7 and 15 digits (E.164 maximum)
+ */
+const isValidPhone = (value) => {
+  const digits = String(value).replace(/\D/g, '');
+  return digits.length >= 7 && digits.length <= 15;
+};
+
+const isValidUrl = (value) => URL_REGEX.test(String(value).trim());
+
+/**
+ * Validation flags for the checkable fields — null when the field is empty
+ */
+const validateFields = (data) => ({
+  email:   data.email   ? isValidEmail(data.email)   : null,
+  phone:   data.phone   ? isValidPhone(data.phone)   : null,
+  website: data.website ? isValidUrl(data.website)   : null,
+});
+
+/**
+ * Combine provider-reported confidence with local validation.
+ *
+ * @param {object} data            - card fields
+ * @param {object} modelConfidence - optional { field: 0..1 } from the provider
+ * @returns {{ fieldConfidence, validationFlags, score, needsReview }}
+ */
+const assessCard = (data, modelConfidence = {}) => {
+  const validationFlags = validateFields(data);
+  const fieldConfidence = {};
+
+  for (const field of CARD_FIELDS) {
+    if (!data[field]) {
+      fieldConfidence[field] = 0;
+      continue;
+    }
+
+    const reported = parseFloat(modelConfidence?.[field]);
+    let confidence = Number.isFinite(reported) ? clamp(reported) : DEFAULT_FIELD_CONFIDENCE;
+
+    if (validationFlags[field] === false) {
+      confidence = Math.min(confidence, INVALID_FIELD_CONFIDENCE);
+    }
+
+    fieldConfidence[field] = round(confidence);
+  }
+
+  const filled = CARD_FIELDS.filter((field) => data[field]);
+  const score = filled.length
+    ? round(filled.reduce((sum, field) => sum + fieldConfidence[field], 0) / filled.length)
+    : 0;
+
+  const needsReview =
+    score < getReviewThreshold() ||
+    Object.values(validationFlags).includes(false) ||
+    !data.name ||
+    (!data.email && !data.phone);
+
+  return { fieldConfidence, validationFlags, score, needsReview };
+};
+
+/**
+ * Assessment after a user edit. Fields the user typed in are trusted, so only
+ * their validation can put the card in the review queue. Fields left alone keep
+ * their stored confidence, and a card already in review only leaves it when the
+ * whole card now passes.
+ *
+ * @param {object} data - card fields after the edit
+ * @param {object} options
+ * @param {string[]} options.edited - CARD_FIELDS the user set (default: all of them)
+ * @param {object} [options.stored] - business_cards row before the edit (field_confidence, needs_review)
+ */
+const assessUserEdit = (data, { edited = CARD_FIELDS, stored = null } = {}) => {
+  const storedConfidence = stored?.field_confidence || {};
+  const confidence = Object.fromEntries(CARD_FIELDS.map((field) => [
+    field,
+    edited.includes(field) ? 1 : storedConfidence[field] ?? DEFAULT_FIELD_CONFIDENCE,
+  ]));
+  const assessment = assessCard(data, confidence);
+
+  const invalidEdit = edited.some((field) => assessment.validationFlags[field] === false);
+  const wholeCard = CARD_FIELDS.every((field) => edited.includes(field));
+
+  return {
+    ...assessment,
+    needsReview: invalidEdit || (!wholeCard && Boolean(stored?.needs_review) && assessment.needsReview),
+  };
+};
+
+module.exports = {
+  CARD_FIELDS,
+  assessCard,
+  assessUserEdit,
+  validateFields,
+  isValidEmail,
+  isValidPhone,
+  isValidUrl,
+};
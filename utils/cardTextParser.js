@@ -0,0 +1,329 @@
+// utils/cardTextParser.js
+// Rule-based card reader for plain text (local OCR output, pasted signatures):
+// emails, phones, URLs and social handles by pattern, then the remaining lines
+// classified as company (legal suffixes), job title (title words), address
+// (street words, postal codes, countries) and name (what looks like a person).
+//
+// Confidence per field comes from how strong the rule that found it is, scaled
+// by the OCR confidence when the text came from an image.
+
+const { detectNetwork } = require('./socialProfiles');
+const { inferCountry, normalizePhone } = require('./phoneNormalizer');
+const { countryFromText } = require('./countries');
+
+const EMAIL_REGEX = /[a-z0-9._%+-]+@[a-z0-9.-]+\.[a-z]{2,}/gi;
+
+// http(s)://…, www.…, or a bare domain with a common TLD — never the part of an email after "@"
+const URL_REGEX = /(?<![@\w.-])(?:https?:\/\/[^\s,|]+|www\.[^\s,|]+|[a-z0-9-]+(?:\.[a-z0-9-]+)*\.(?:com|net|org|io|co|in|biz|info|me|ai|app|dev|uk|us|de|fr|au|ca|sg|ae|jp|cn|nl|es|it|ch)(?:\.[a-z]{2})?(?:\/[^\s,|]*)?)(?![\w@])/gi;
+
+// A run of digits with the separators cards print between them
+const PHONE_REGEX = /(?:\+|\()?\b\d[\d\s().\/-]{5,}\d\b/g;
+
+// "M:", "Tel.", "Mobile -", … in front of a value
+const PHONE_LABELS = [
+  { type: 'fax', regex: /\b(?:fax|f)\s*[.:\-]?\s*$/i },
+  { type: 'mobile', regex: /\b(?:mob(?:ile)?|cell|m|hp|whatsapp|wa)\s*[.:\-]?\s*$/i },
+  { type: 'home', regex: /\b(?:home|h|res(?:idence)?)\s*[.:\-]?\s*$/i },
+  { type: 'main', regex: /\b(?:board|main|b)\s*[.:\-]?\s*$/i },
+  { type: 'work', regex: /\b(?:tel(?:ephone)?|ph(?:one)?|off(?:ice)?|direct|dir|t|o|d|p)\s*[.:\-]?\s*$/i },
+];
+
+// "+91 98200 12345 (Mobile)" — LinkedIn puts the type after the value
+const TRAILING_LABEL_REGEX = /\s*\((company|personal|work|home|mobile|other|fax|main|blog|portfolio|rss feed)\)/gi;
+const TRAILING_PHONE_TYPES = { work: 'work', home: 'home', mobile: 'mobile', fax: 'fax', main: 'main' };
+
+// LinkedIn "Contact info" prints each value under a heading line; the section it
+// opens decides how the lines below are read (null: as usual, 'skip': ignored)
+const SECTION_HEADINGS = {
+  'contact info': null, website: null, websites: null, phone: null, email: null,
+  address: 'address', twitter: 'twitter', im: 'skip', birthday: 'skip', connected: 'skip',
+};
+
+// Email signature lines that are not contact details
+const SIGN_OFF_REGEX = /^(?:thanks|thank you|regards|best|cheers|sincerely|warm(?:est)? regards|kind regards|best regards|sent from|get outlook|--+$)/i;
+
+const WHATSAPP_LABEL_REGEX = /\b(?:whatsapp|wa)\s*[.:\-]?\s*$/i;
+
+// "LinkedIn: anil-sharma", "IG @anil", "X: @anil" — WhatsApp numbers go through the phone pass
+const SOCIAL_LABEL_REGEX = /\b(linkedin|twitter|x|instagram|insta|ig|facebook|fb)(?:\s*:\s*|\s+-\s+|\s+(?=@))(@?[\w./-]*[a-z][\w./-]*)/gi;
+const SOCIAL_LABEL_NETWORKS = {
+  linkedin: 'linkedin', twitter: 'twitter', x: 'twitter', instagram: 'instagram', insta: 'instagram', ig: 'instagram',
+  facebook: 'facebook', fb: 'facebook',
+};
+
+// Whatever is left of a segment once values are taken out of it: labels and punctuation
+const LEFTOVER_REGEX = /^(?:[\s.:|/,;•·\-–—()]|\b(?:e-?mail|email|e|mail|web(?:site)?|w|url|tel(?:ephone)?|ph(?:one)?|mob(?:ile)?|cell|fax|m|t|f|p|o|d|h|b|office|direct|board|main|home|whatsapp|wa|linkedin|twitter|x|instagram|ig|facebook|fb)\b)*$/i;
+
+const LEGAL_SUFFIX_REGEX = /\b(?:pvt\.?|private|ltd\.?|limited|llp|llc|l\.l\.c\.|inc\.?|incorporated|corp\.?|corporation|co\.|gmbh|ag|s\.?a\.?|s\.?a\.?s\.?|b\.?v\.?|n\.?v\.?|plc|pty|sdn\.?\s*bhd\.?|k\.?k\.?|oy|ab|srl|spa|s\.?p\.?a\.?)(?=[\s,.]|$)/i;
+const COMPANY_WORD_REGEX = /\b(?:technologies|technology|tech|solutions|systems|software|consulting|consultants|consultancy|enterprises|industries|associates|ventures|labs|studios?|group|holdings|partners|international|global|services|infotech|infosystems|exports|traders|trading|agency|bank|hospital|clinic|university|college|institute|foundation)\b/i;
+
+const TITLE_WORD_REGEX = /\b(?:ceo|cto|cfo|coo|cmo|cio|md|vp|svp|avp|gm|founder|co-?founder|chairman|chairperson|president|director|manager|head|lead|chief|officer|executive|engineer|developer|consultant|partner|analyst|specialist|designer|architect|advisor|adviser|associate|representative|coordinator|supervisor|administrator|proprietor|owner|secretary|accountant|attorney|advocate|lawyer|professor|lecturer|intern|principal|sales|marketing|operations|business development|hr|recruiter|agent|broker)\b/i;
+
+const ADDRESS_WORD_REGEX = /\b(?:road|rd|street|st|avenue|ave|lane|ln|floor|flr|fl|suite|ste|unit|building|bldg|block|blk|sector|plot|nagar|marg|colony|tower|estate|complex|near|opp|opposite|p\.?\s?o\.?\s?box|highway|hwy|boulevard|blvd|drive|way|place|square|sq|phase|layout|cross|main|area|industrial|district|dist|taluka|village|city)\b/i;
+const POSTAL_CODE_REGEX = /\b(?:\d{3}\s?\d{3}|\d{5}(?:-\d{4})?|[A-Z]{1,2}\d[A-Z\d]?\s*\d[A-Z]{2}|[A-Z]\d[A-Z]\s?\d[A-Z]\d)\b/;
+
+// Free mail domains never name the company
+const FREE_MAIL_DOMAINS = ['gmail', 'yahoo', 'hotmail', 'outlook', 'live', 'icloud', 'aol', 'rediffmail', 'protonmail', 'zoho', 'yandex', 'gmx', 'mail'];
+
+const NAME_WORD_REGEX = /^(?:[A-Z][a-z'’-]+|[A-Z]{2,}|[A-Z]\.?|(?:van|von|de|da|di|del|der|bin|al|el|la|le)|(?:Mc|Mac|O')[A-Z][a-z]+)$/;
+
+const emptyResult = () => ({
+  name: '', email: '', phone: '',
+  company: '', job_title: '',
+  address: '', website: '',
+  phones: [], emails: [], websites: [], socials: [],
+});
+
+const clean = (value) => String(value || '').replace(/\s+/g, ' ').replace(/^[\s,;:|•·\-–—]+|[\s,;:|•·\-–—]+$/g, '');
+
+const round = (n) => Math.round(n * 100) / 100;
+
+const titleCase = (text) => text.toLowerCase().replace(/(^|[\s'-])([a-z])/g, (match, sep, char) => sep + char.toUpperCase());
+
+const digitsOf = (value) => value.replace(/\D/g, '');
+
+const withScheme = (url) => (/^https?:\/\//i.test(url) ? url : `https://${url}`);
+
+const domainOf = (value) => String(value || '').toLowerCase()
+  .replace(/^.*@/, '')
+  .replace(/^https?:\/\//, '')
+  .replace(/^www\./, '')
+  .split(/[/?#:]/)[0];
+
+/**
+ * Card text → segments: lines, further split on the "|" and "•" cards put
+ * between values printed on one line
+ */
+const toSegments = (text) => String(text || '')
+  .replace(/\r\n?/g, '\n')
+  .split('\n')
+  .flatMap((line) => line.split(/\s+[|•·]\s+|\s{3,}/))
+  .map((segment) => segment.replace(/\s+/g, ' ').trim())
+  .filter(Boolean);
+
+const phoneType = (before) => PHONE_LABELS.find((label) => label.regex.test(before))?.type || null;
+
+/**
+ * Take emails, URLs, social handles and phones out of one segment
+ *
+ * @returns {string} what is left of the segment
+ */
+const takeValues = (segment, result, country) => {
+  let rest = segment;
+
+  rest = rest.replace(EMAIL_REGEX, (email) => {
+    const type = FREE_MAIL_DOMAINS.includes(domainOf(email).split('.')[0]) ? 'personal' : 'work';
+    result.emails.push({ value: email.toLowerCase(), type });
+    return ' ';
+  });
+
+  rest = rest.replace(SOCIAL_LABEL_REGEX, (match, label, handle) => {
+    // A labelled URL is left for the URL pass
+    if (detectNetwork(handle)) return ` ${handle}`;
+    result.socials.push({ value: handle, type: SOCIAL_LABEL_NETWORKS[label.toLowerCase()] });
+    return ' ';
+  });
+
+  rest = rest.replace(URL_REGEX, (url) => {
+    const value = url.replace(/[.)]+$/, '');
+    const network = detectNetwork(value);
+    if (network) {
+      result.socials.push({ value: withScheme(value), type: network });
+    } else {
+      result.websites.push({ value: withScheme(value.toLowerCase()), type: 'work' });
+    }
+    return ' ';
+  });
+
+  rest = rest.replace(PHONE_REGEX, (match, offset, whole) => {
+    const digits = digitsOf(match);
+    // Postal codes ("560001", "94105-1234") are too short or shaped like a ZIP+4
+    if (digits.length < 7 || digits.length > 15 || /^\d{5}-\d{4}$/.test(match.trim())) return match;
+    const value = match.trim();
+    const before = whole.slice(0, offset);
+    const trailing = whole.slice(offset + match.length).match(/^\s*\((\w+)\)/);
+    const type = phoneType(before) || TRAILING_PHONE_TYPES[trailing?.[1].toLowerCase()] || null;
+    const { e164, valid } = normalizePhone(value, country);
+    // "M: 98200 12345 … WhatsApp: +91 98200 12345" — one number, listed once
+    if (!e164 || !result.phones.some((phone) => phone.e164 === e164)) {
+      result.phones.push({ value, type, e164, valid });
+    }
+    if (WHATSAPP_LABEL_REGEX.test(before)) result.socials.push({ value, type: 'whatsapp' });
+    return ' ';
+  });
+
+  return clean(rest.replace(TRAILING_LABEL_REGEX, ' '));
+};
+
+const isCompanyLine = (text) => LEGAL_SUFFIX_REGEX.test(text) || COMPANY_WORD_REGEX.test(text);
+
+const isTitleLine = (text) => TITLE_WORD_REGEX.test(text) && text.split(' ').length <= 8;
+
+const isAddressLine = (text) =>
+  ADDRESS_WORD_REGEX.test(text) ||
+  (POSTAL_CODE_REGEX.test(text) && /[a-z]/i.test(text)) ||
+  /^\d+[a-z]?[,\s/-]+[a-z]/i.test(text) ||
+  Boolean(countryFromText(text) && text.split(' ').length <= 6 && /,|\d/.test(text));
+
+/**
+ * How much a line looks like a person's name — 0 when it cannot be one
+ */
+const nameScore = (text, emailLocals) => {
+  if (/[\d@/:]/.test(text)) return 0;
+  const words = text.replace(/,/g, ' ').split(' ').filter(Boolean);
+  if (words.length < 1 || words.length > 5) return 0;
+  if (!words.every((word) => NAME_WORD_REGEX.test(word) || /^[A-Z][a-z]*\.$/.test(word))) return 0;
+  if (isCompanyLine(text) || isTitleLine(text) || isAddressLine(text)) return 0;
+
+  let score = words.length >= 2 && words.length <= 4 ? 0.55 : 0.3;
+
+  // "anil.sharma@…" — a name word appearing in an email address
+  const lowerWords = words.map((word) => word.toLowerCase().replace(/\W/g, '')).filter((word) => word.length > 2);
+  if (lowerWords.some((word) => emailLocals.some((local) => local.includes(word)))) score += 0.3;
+
+  return score;
+};
+
+/**
+ * Company name from the email / website domain — "anil@acme-tech.in" → "Acme Tech"
+ */
+const companyFromDomain = (result) => {
+  const domain = domainOf(result.websites[0]?.value) || domainOf(result.emails[0]?.value);
+  const label = domain.split('.')[0];
+  if (!label || FREE_MAIL_DOMAINS.includes(label)) return '';
+  return titleCase(label.replace(/[-_]+/g, ' '));
+};
+
+/**
+ * @param {string} text
+ * @param {{ ocrConfidence?: number, defaultRegion?: string }} options
+ *   ocrConfidence — 0..1 for the whole text, scales every field confidence
+ * @returns {{ data: object, confidence: object }}
+ */
+const parseCardText = (text, { ocrConfidence = 1, defaultRegion } = {}) => {
+  const result = emptyResult();
+  const confidence = {};
+  const segments = toSegments(text);
+
+  // Country for numbers printed without a +prefix: emails / websites / address words on the card
+  const country = inferCountry({
+    address: segments.join(', '),
+    website: (String(text).match(URL_REGEX) || [])[0],
+    email: (String(text).match(EMAIL_REGEX) || [])[0],
+    defaultRegion,
+  });
+
+  const remaining = [];
+  const addressLines = [];
+  let section = null;
+
+  for (const segment of segments) {
+    const heading = segment.toLowerCase().replace(/\s*:$/, '');
+    if (heading in SECTION_HEADINGS) {
+      section = SECTION_HEADINGS[heading];
+      continue;
+    }
+    if (section === 'skip') continue;
+    if (section === 'twitter' && !detectNetwork(segment)) {
+      result.socials.push({ value: segment.replace(TRAILING_LABEL_REGEX, ''), type: 'twitter' });
+      continue;
+    }
+
+    // "Anil Sharma’s Profile" — the heading of a LinkedIn contact info section
+    const rest = takeValues(segment.replace(/^(.+?)['’]s\s+profile$/i, '$1'), result, country);
+    if (!rest || LEFTOVER_REGEX.test(rest) || SIGN_OFF_REGEX.test(rest)) continue;
+    // Sentences — disclaimers, quoted mail — never hold a name, title or company
+    if (rest.split(' ').length > 12) continue;
+    (section === 'address' ? addressLines : remaining).push(rest);
+  }
+
+  const emailLocals = result.emails.map((e) => e.value.split('@')[0].toLowerCase());
+  const used = new Set();
+  const take = (index) => {
+    used.add(index);
+    return remaining[index];
+  };
+
+  // Company — legal suffix first, then company words
+  let companyIndex = remaining.findIndex((line) => LEGAL_SUFFIX_REGEX.test(line));
+  let companyConfidence = 0.85;
+  if (companyIndex < 0) {
+    companyIndex = remaining.findIndex((line) => COMPANY_WORD_REGEX.test(line) && !isTitleLine(line));
+    companyConfidence = 0.6;
+  }
+  if (companyIndex >= 0) {
+    result.company = take(companyIndex);
+    confidence.company = companyConfidence;
+  }
+
+  // Job title
+  const titleIndex = remaining.findIndex((line, i) => !used.has(i) && isTitleLine(line) && !isAddressLine(line));
+  if (titleIndex >= 0) {
+    result.job_title = take(titleIndex);
+    confidence.job_title = 0.7;
+  }
+
+  // Address — lines under an "Address" heading, else consecutive address-looking lines joined
+  const addressIndex = addressLines.length > 0 ? -1 : remaining.findIndex((line, i) => !used.has(i) && isAddressLine(line));
+  if (addressLines.length > 0) {
+    result.address = addressLines.join(', ');
+    confidence.address = 0.8;
+  } else if (addressIndex >= 0) {
+    const lines = [take(addressIndex)];
+    for (let i = addressIndex + 1; i < remaining.length && !used.has(i); i++) {
+      const line = remaining[i];
+      if (!isAddressLine(line) && !POSTAL_CODE_REGEX.test(line) && !countryFromText(line)) break;
+      lines.push(take(i));
+    }
+    result.address = lines.join(', ');
+    confidence.address = 0.6;
+  }
+
+  // Name — best-scoring remaining line; the line above the job title wins ties
+  let best = { index: -1, score: 0 };
+  remaining.forEach((line, i) => {
+    if (used.has(i)) return;
+    const score = nameScore(line, emailLocals) + (i === titleIndex - 1 ? 0.1 : 0) - i * 0.01;
+    if (score > best.score) best = { index: i, score };
+  });
+  if (best.index >= 0) {
+    const name = take(best.index);
+    result.name = name === name.toUpperCase() ? titleCase(name) : name;
+    confidence.name = Math.min(0.9, best.score);
+  }
+
+  // Job title printed right under the name without a title word
+  if (!result.job_title && best.index >= 0 && remaining[best.index + 1] && !used.has(best.index + 1)) {
+    const line = remaining[best.index + 1];
+    if (line.split(' ').length <= 6 && !/\d/.test(line)) {
+      result.job_title = take(best.index + 1);
+      confidence.job_title = 0.35;
+    }
+  }
+
+  if (!result.company) {
+    result.company = companyFromDomain(result);
+    if (result.company) confidence.company = 0.35;
+  }
+
+  // Primary values — the first one printed
+  result.email = result.emails[0]?.value || '';
+  result.website = result.websites[0]?.value || '';
+  const primaryPhone = result.phones.find((p) => p.valid) || result.phones[0];
+  result.phone = primaryPhone?.value || '';
+
+  if (result.email) confidence.email = 0.95;
+  if (result.website) confidence.website = 0.9;
+  if (primaryPhone) confidence.phone = primaryPhone.valid ? 0.9 : 0.5;
+
+  result.phones = result.phones.map(({ value, type }) => ({ value, type: type || 'work' }));
+
+  const scale = Math.min(1, Math.max(0, ocrConfidence));
+  for (const field of Object.keys(confidence)) {
+    confidence[field] = round(confidence[field] * scale);
+  }
+
+  return { data: result, confidence };
+};
+
+module.exports = { parseCardText };
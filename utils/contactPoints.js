@@ -0,0 +1,193 @@
+// utils/contactPoints.js
+// Typed multi-value phones, emails, websites and social profiles for a card.
+//
+// A contact point is { kind, type, value, normalized_value, is_primary, position }.
+// The primary value of each kind is mirrored into business_cards.phone / email / website
+// (socials have no scalar column; their type is the network).
+
+const { NETWORKS, detectNetwork } = require('./socialProfiles');
+
+const KINDS = {
+  phone:   { list: 'phones',   types: ['mobile', 'work', 'home', 'fax', 'main', 'other'], defaultType: 'work' },
+  email:   { list: 'emails',   types: ['work', 'personal', 'other'],                    defaultType: 'work' },
+  website: { list: 'websites', types: ['work', 'personal', 'profile', 'other'],         defaultType: 'work' },
+  social:  { list: 'socials',  types: [...Object.keys(NETWORKS), 'other'],              defaultType: 'other' },
+};
+
+const TYPE_SYNONYMS = {
+  cell: 'mobile', cellular: 'mobile', mob: 'mobile', m: 'mobile', whatsapp: 'mobile',
+  office: 'work', business: 'work', direct: 'work', tel: 'work', telephone: 'work', phone: 'work', t: 'work', o: 'work',
+  landline: 'main', board: 'main', reception: 'main',
+  facsimile: 'fax', f: 'fax',
+  residence: 'home', private: 'personal', h: 'home',
+  company: 'work', corporate: 'work',
+  x: 'twitter', ig: 'instagram', wa: 'whatsapp', fb: 'facebook',
+};
+
+/**
+ * @param {string} kind
+ * @param {string} type  - type as given by a provider or user
+ * @param {string} value - for socials without a known type, the network is read from the URL
+ */
+const normalizeType = (kind, type, value) => {
+  const { types, defaultType } = KINDS[kind];
+  let normalized = String(type || '').toLowerCase().trim().replace(/[^a-z]/g, '');
+  if (!types.includes(normalized)) normalized = TYPE_SYNONYMS[normalized] || normalized;
+  if (kind === 'email' && normalized === 'home') normalized = 'personal';
+  if (types.includes(normalized) && normalized !== defaultType) return normalized;
+  return (kind === 'social' && detectNetwork(value)) || defaultType;
+};
+
+/**
+ * Key used to spot the same contact point written two ways
+ */
+const comparisonKey = (kind, value) => {
+  const v = String(value).trim().toLowerCase();
+  if (kind === 'phone') return v.replace(/\D/g, '');
+  if (kind === 'website') return v.replace(/^https?:\/\//, '').replace(/^www\./, '').replace(/\/+$/, '');
+  if (kind === 'social') return v.replace(/^https?:\/\//, '').replace(/^www\./, '').replace(/^@/, '').replace(/\/+$/, '');
+  return v;
+};
+
+const normalizeKind = (kind, list, primaryValue) => {
+  const entries = (Array.isArray(list) ? list : [])
+    .map((item) => (typeof item === 'string' ? { value: item } : item || {}))
+    .map((item) => ({ value: String(item.value || '').trim(), type: item.type, is_primary: Boolean(item.is_primary) }))
+    .filter((item) => item.value);
+
+  const primary = String(primaryValue || '').trim();
+  if (primary && !entries.some((e) => comparisonKey(kind, e.value) === comparisonKey(kind, primary))) {
+    entries.unshift({ value: primary, type: null, is_primary: true });
+  }
+
+  const seen = new Set();
+  const points = [];
+  for (const entry of entries) {
+    const key = comparisonKey(kind, entry.value);
+    if (!key || seen.has(key)) continue;
+    seen.add(key);
+    points.push({ kind, type: normalizeType(kind, entry.type, entry.value), value: entry.value, is_primary: entry.is_primary });
+  }
+
+  // Exactly one primary per kind: the scalar value if given, else the first flagged, else the first
+  const primaryIndex = Math.max(0, primary
+    ? points.findIndex((p) => comparisonKey(kind, p.value) === comparisonKey(kind, primary))
+    : points.findIndex((p) => p.is_primary));
+
+  return points.map((point, index) => ({ ...point, is_primary: index === primaryIndex, position: index }));
+};
+
+/**
+ * Links on a known social network listed among the websites belong in `socials`
+ * (the primary website stays where it is)
+ */
+const withSocialLinks = (data) => {
+  const websites = Array.isArray(data.websites) ? data.websites : [];
+  const primaryKey = data.website ? comparisonKey('website', String(data.website)) : null;
+  const isSocial = (item) => {
+    const value = String((typeof item === 'string' ? item : item?.value) || '').trim();
+    return Boolean(detectNetwork(value)) && comparisonKey('website', value) !== primaryKey;
+  };
+
+  if (!websites.some(isSocial)) return data;
+
+  return {
+    ...data,
+    websites: websites.filter((item) => !isSocial(item)),
+    socials: [
+      ...(Array.isArray(data.socials) ? data.socials : []),
+      ...websites.filter(isSocial).map((item) => ({ value: typeof item === 'string' ? item : item.value })),
+    ],
+  };
+};
+
+/**
+ * Flatten `phones` / `emails` / `websites` / `socials` arrays plus the scalar
+ * primary fields of a card into contact points
+ */
+const normalizeContactPoints = (data) => {
+  const source = withSocialLinks(data);
+  return Object.keys(KINDS).flatMap((kind) =>
+    normalizeKind(kind, source[KINDS[kind].list], source[kind])
+  );
+};
+
+/**
+ * Group contact point rows into { phones, emails, websites, socials } for API responses
+ */
+const groupContactPoints = (points) => {
+  const grouped = {};
+  for (const kind of Object.keys(KINDS)) {
+    grouped[KINDS[kind].list] = points
+      .filter((p) => p.kind === kind)
+      .sort((a, b) => a.position - b.position)
+      .map((p) => ({
+        type: p.type,
+        value: p.value,
+        ...(p.normalized_value && { normalized_value: p.normalized_value }),
+        is_primary: Boolean(p.is_primary),
+      }));
+  }
+  return grouped;
+};
+
+/**
+ * Primary value per kind — what goes into business_cards.phone / email / website
+ */
+const primaryValues = (points) => {
+  const values = {};
+  for (const kind of Object.keys(KINDS)) {
+    values[kind] = points.find((p) => p.kind === kind && p.is_primary)?.value || '';
+  }
+  return values;
+};
+
+/**
+ * Apply an edit to a card's contact points, kind by kind:
+ *   - a `phones` / `emails` / `websites` array replaces every entry of that kind
+ *   - a plain `phone` / `email` / `website` value replaces only the primary entry
+ *   - neither leaves the kind untouched
+ * `card` supplies the stored scalar values for cards that have no contact points yet.
+ */
+const applyContactUpdate = (points, body, card = {}) => Object.keys(KINDS).flatMap((kind) => {
+  const listName = KINDS[kind].list;
+  if (Array.isArray(body[listName])) return normalizeKind(kind, body[listName]);
+
+  let existing = groupContactPoints(points)[listName];
+  if (existing.length === 0 && card[kind]) {
+    existing = [{ value: card[kind], is_primary: true }];
+  }
+  if (body[kind] === undefined) return normalizeKind(kind, existing);
+
+  const value = String(body[kind] || '').trim();
+  const others = existing.filter((p) => !p.is_primary);
+  const primaryType = existing.find((p) => p.is_primary)?.type;
+  const list = value ? [{ value, type: primaryType }, ...others] : others;
+  return normalizeKind(kind, list, value || undefined);
+});
+
+/**
+ * Merge the contact points of two extractions (front + back of a card)
+ */
+const mergeContactLists = (first, second) => {
+  const merged = {};
+  for (const kind of Object.keys(KINDS)) {
+    const list = KINDS[kind].list;
+    merged[list] = [
+      ...normalizeKind(kind, first[list], first[kind]),
+      ...normalizeKind(kind, second[list], second[kind]),
+    ].map(({ type, value }) => ({ type, value }));
+  }
+  return merged;
+};
+
+module.exports = {
+  KINDS,
+  comparisonKey,
+  normalizeType,
+  normalizeContactPoints,
+  groupContactPoints,
+  primaryValues,
+  applyContactUpdate,
+  mergeContactLists,
+};
@@ -0,0 +1,75 @@
+// utils/countries.js
+// Country lookup from free text, shared by phone and address normalisation.
+
+// Country names, common abbreviations and well-known cities as they tend to
+// appear in card addresses. Cities only help guess the country; they are
+// never returned as the country name. `endAliases` are also ordinary words
+// ("us"), so they only count as the whole value or the address's last
+// comma-separated part.
+const COUNTRIES = [
+  { code: 'IN', name: 'India', aliases: ['india', 'bharat'], cities: ['mumbai', 'new delhi', 'delhi', 'bengaluru', 'bangalore', 'chennai', 'kolkata', 'hyderabad', 'pune', 'ahmedabad', 'maharashtra', 'karnataka', 'gujarat', 'tamil nadu'] },
+  { code: 'AE', name: 'United Arab Emirates', aliases: ['united arab emirates', 'u.a.e', 'u.a.e.', 'uae'], cities: ['dubai', 'abu dhabi', 'sharjah'] },
+  { code: 'SA', name: 'Saudi Arabia', aliases: ['saudi arabia', 'ksa'], cities: ['riyadh', 'jeddah'] },
+  { code: 'QA', name: 'Qatar', aliases: ['qatar'], cities: ['doha'] },
+  { code: 'OM', name: 'Oman', aliases: ['oman', 'sultanate of oman'], cities: ['muscat'] },
+  { code: 'BH', name: 'Bahrain', aliases: ['bahrain'], cities: ['manama'] },
+  { code: 'KW', name: 'Kuwait', aliases: ['kuwait'], cities: [] },
+  { code: 'SG', name: 'Singapore', aliases: ['singapore'], cities: [] },
+  { code: 'MY', name: 'Malaysia', aliases: ['malaysia'], cities: ['kuala lumpur'] },
+  { code: 'HK', name: 'Hong Kong', aliases: ['hong kong', 'hong kong sar'], cities: [] },
+  { code: 'CN', name: 'China', aliases: ['china', 'p.r. china', 'prc'], cities: ['beijing', 'shanghai', 'shenzhen'] },
+  { code: 'JP', name: 'Japan', aliases: ['japan'], cities: ['tokyo', 'osaka'] },
+  { code: 'AU', name: 'Australia', aliases: ['australia'], cities: ['sydney', 'melbourne'] },
+  { code: 'NZ', name: 'New Zealand', aliases: ['new zealand'], cities: ['auckland'] },
+  { code: 'GB', name: 'United Kingdom', aliases: ['united kingdom', 'u.k.', 'uk', 'england', 'scotland', 'wales', 'great britain'], cities: ['london'] },
+  { code: 'IE', name: 'Ireland', aliases: ['ireland'], cities: ['dublin'] },
+  { code: 'DE', name: 'Germany', aliases: ['germany', 'deutschland'], cities: ['berlin', 'munich', 'münchen', 'frankfurt'] },
+  { code: 'FR', name: 'France', aliases: ['france'], cities: ['paris'] },
+  { code: 'NL', name: 'Netherlands', aliases: ['netherlands', 'the netherlands', 'holland'], cities: ['amsterdam'] },
+  { code: 'CH', name: 'Switzerland', aliases: ['switzerland', 'schweiz', 'suisse'], cities: ['zurich', 'zürich', 'geneva'] },
+  { code: 'CA', name: 'Canada', aliases: ['canada'], cities: ['toronto', 'vancouver'] },
+  { code: 'US', name: 'United States', aliases: ['united states', 'united states of america', 'u.s.a', 'u.s.a.', 'usa'], endAliases: ['u.s.', 'u.s', 'us'], cities: ['new york', 'california', 'texas'] },
+];
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const containsWord = (text, word) =>
+  new RegExp(`(^|[^a-z])${escapeRegex(word)}([^a-z]|$)`).test(text);
+
+/**
+ * Country whose name or alias is exactly `value` (case-insensitive), or whose
+ * ISO code is `value`
+ *
+ * @returns {{ code, name }|null}
+ */
+const findCountry = (value) => {
+  const text = String(value || '').toLowerCase().replace(/\s+/g, ' ').trim();
+  if (!text) return null;
+
+  const country = COUNTRIES.find((c) =>
+    c.code.toLowerCase() === text || c.name.toLowerCase() === text || c.aliases.includes(text) ||
+    (c.endAliases || []).includes(text)
+  );
+  return country ? { code: country.code, name: country.name } : null;
+};
+
+/**
+ * Country mentioned anywhere in free text — names first, then an end alias as
+ * the last comma-separated part, then city hints
+ *
+ * @returns {{ code, name }|null}
+ */
+const countryFromText = (value) => {
+  if (!value) return null;
+  const text = String(value).toLowerCase();
+  const lastPart = text.split(',').pop().replace(/\s+/g, ' ').trim();
+
+  const country =
+    COUNTRIES.find((c) => c.aliases.some((alias) => containsWord(text, alias))) ||
+    COUNTRIES.find((c) => (c.endAliases || []).includes(lastPart)) ||
+    COUNTRIES.find((c) => c.cities.some((city) => containsWord(text, city)));
+
+  return country ? { code: country.code, name: country.name } : null;
+};
+
+module.exports = { COUNTRIES, findCountry, countryFromText };
@@ -0,0 +1,84 @@
+// utils/csvParser.js
+// Reads CSV files exported by spreadsheets, CRMs and LinkedIn: RFC 4180 quoting
+// (quoted fields may hold delimiters, "" and line breaks), CRLF / LF / CR line
+// endings, and comma, semicolon or tab delimiters (Excel in many European
+// locales writes semicolons).
+
+const DELIMITERS = [',', ';', '\t'];
+
+/**
+ * Text of an uploaded file: UTF-8 (with or without BOM), UTF-16 with a BOM, or —
+ * for files that are not valid UTF-8 — Windows-1252 as written by older Excel
+ */
+const decodeText = (buffer) => {
+  if (buffer[0] === 0xff && buffer[1] === 0xfe) return new TextDecoder('utf-16le').decode(buffer.subarray(2));
+  if (buffer[0] === 0xfe && buffer[1] === 0xff) return new TextDecoder('utf-16be').decode(buffer.subarray(2));
+
+  try {
+    return new TextDecoder('utf-8', { fatal: true, ignoreBOM: false }).decode(buffer);
+  } catch {
+    return new TextDecoder('windows-1252').decode(buffer);
+  }
+};
+
+/**
+ * Most frequent delimiter outside quotes on the first non-empty line
+ */
+const detectDelimiter = (text) => {
+  const firstLine = (text.split(/\r\n|\r|\n/).find((line) => line.trim()) || '').replace(/"[^"]*"/g, '');
+  const counts = DELIMITERS.map((delimiter) => firstLine.split(delimiter).length - 1);
+  const best = Math.max(...counts);
+  return best > 0 ? DELIMITERS[counts.indexOf(best)] : ',';
+};
+
+/**
+ * @param {string} text
+ * @param {string} [delimiter] - detected when omitted
+ * @returns {string[][]} rows of fields (blank lines dropped)
+ */
+const parseCsv = (text, delimiter = detectDelimiter(text)) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  const endField = () => {
+    row.push(field);
+    field = '';
+  };
+  const endRow = () => {
+    endField();
+    if (row.some((value) => value.trim() !== '')) rows.push(row);
+    row = [];
+  };
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field.trim() === '') {
+      field = '';
+      quoted = true;
+    } else if (char === delimiter) {
+      endField();
+    } else if (char === '\r' || char === '\n') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      endRow();
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) endRow();
+  return rows;
+};
+
+module.exports = { decodeText, detectDelimiter, parseCsv };
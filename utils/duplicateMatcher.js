@@ -0,0 +1,187 @@
+// utils/duplicateMatcher.js
+// Scores how likely two stored cards are the same person.
+//
+// Signals:
+//   email         same address once lower-cased, "+tag" dropped (and Gmail dots ignored) → 0.95
+//   phone         same E.164 number (digits only when a number could not be normalized) → 0.9
+//   name_company  similar name AND similar company (bigram similarity, word order,
+//                 accents, titles and legal suffixes ignored) → up to 0.8
+//
+// Signals combine as independent evidence: 1 - Π(1 - signal).
+
+const EMAIL_SCORE = 0.95;
+const PHONE_SCORE = 0.9;
+const NAME_COMPANY_WEIGHT = 0.8;
+
+const NAME_SIMILARITY = 0.85;
+const COMPANY_SIMILARITY = 0.8;
+
+const HONORIFICS = new Set(['mr', 'mrs', 'ms', 'miss', 'dr', 'prof', 'sir', 'shri', 'smt', 'jr', 'sr', 'ii', 'iii', 'phd', 'mba']);
+
+const LEGAL_SUFFIXES = new Set([
+  'inc', 'incorporated', 'llc', 'llp', 'ltd', 'limited', 'pvt', 'private', 'plc', 'corp', 'corporation',
+  'co', 'company', 'gmbh', 'ag', 'sa', 'sas', 'sarl', 'srl', 'spa', 'bv', 'nv', 'pty', 'kk', 'oy', 'ab', 'the', 'and',
+]);
+
+const GMAIL_DOMAINS = new Set(['gmail.com', 'googlemail.com']);
+
+const getMinScore = () => {
+  const value = parseFloat(process.env.DUPLICATE_MIN_SCORE);
+  return Number.isFinite(value) ? value : 0.6;
+};
+
+const round = (n) => Math.round(n * 1000) / 1000;
+
+const words = (value) => String(value || '')
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .replace(/&/g, ' and ')
+  .split(/[^a-z0-9]+/)
+  .filter(Boolean);
+
+const nameKey = (name) => words(name).filter((word) => !HONORIFICS.has(word)).sort().join(' ');
+
+const companyKey = (company) => words(company).filter((word) => !LEGAL_SUFFIXES.has(word)).join(' ');
+
+const emailKey = (email) => {
+  const [local, domain] = String(email || '').trim().toLowerCase().split('@');
+  if (!local || !domain) return null;
+
+  const address = local.split('+')[0];
+  if (GMAIL_DOMAINS.has(domain)) return `${address.replace(/\./g, '')}@gmail.com`;
+  return `${address}@${domain}`;
+};
+
+const phoneKey = (phone) => {
+  if (phone.normalized_value) return phone.normalized_value;
+  const digits = String(phone.value || '').replace(/\D/g, '');
+  return digits.length >= 7 ? digits : null;
+};
+
+const bigrams = (value) => {
+  const text = value.replace(/\s+/g, '');
+  const grams = new Map();
+  for (let i = 0; i < text.length - 1; i++) {
+    const gram = text.slice(i, i + 2);
+    grams.set(gram, (grams.get(gram) || 0) + 1);
+  }
+  return grams;
+};
+
+/**
+ * Sørensen–Dice coefficient over character bigrams, 0..1
+ */
+const similarity = (a, b) => {
+  if (!a || !b) return 0;
+  if (a === b) return 1;
+
+  const first = bigrams(a);
+  const second = bigrams(b);
+  let size = 0;
+  let overlap = 0;
+
+  for (const count of first.values()) size += count;
+  for (const [gram, count] of second) {
+    size += count;
+    overlap += Math.min(count, first.get(gram) || 0);
+  }
+
+  return size ? (2 * overlap) / size : 0;
+};
+
+/**
+ * Comparable form of a card with contact points attached (see cardService.attachContactPoints)
+ */
+const matchProfile = (card) => ({
+  id: card.id,
+  name: nameKey(card.name),
+  company: companyKey(card.company),
+  emails: new Set([card.email, ...(card.emails || []).map((e) => e.value)].map(emailKey).filter(Boolean)),
+  phones: new Set((card.phones || []).map(phoneKey).filter(Boolean)),
+});
+
+/**
+ * Keys two profiles must share (at least one of) to be worth comparing —
+ * saves scoring every pair in a large card list
+ */
+const blockingKeys = (profile) => [
+  ...[...profile.emails].map((email) => `email:${email}`),
+  ...[...profile.phones].map((phone) => `phone:${phone}`),
+  ...(profile.company ? profile.name.split(' ').filter((word) => word.length > 1).map((word) => `name:${word}`) : []),
+];
+
+/**
+ * @param {object} a - matchProfile()
+ * @param {object} b - matchProfile()
+ * @returns {{ score: number, reasons: Array<{ field, value?, similarity? }> }}
+ */
+const compareProfiles = (a, b) => {
+  const reasons = [];
+  const signals = [];
+
+  const email = [...a.emails].find((key) => b.emails.has(key));
+  if (email) {
+    reasons.push({ field: 'email', value: email });
+    signals.push(EMAIL_SCORE);
+  }
+
+  const phone = [...a.phones].find((key) => b.phones.has(key));
+  if (phone) {
+    reasons.push({ field: 'phone', value: phone });
+    signals.push(PHONE_SCORE);
+  }
+
+  if (a.name && b.name && a.company && b.company) {
+    const name = similarity(a.name, b.name);
+    const company = similarity(a.company, b.company);
+
+    if (name >= NAME_SIMILARITY && company >= COMPANY_SIMILARITY) {
+      reasons.push({ field: 'name_company', similarity: { name: round(name), company: round(company) } });
+      signals.push(NAME_COMPANY_WEIGHT * (name + company) / 2);
+    }
+  }
+
+  const score = 1 - signals.reduce((remaining, signal) => remaining * (1 - signal), 1);
+  return { score: round(score), reasons };
+};
+
+/**
+ * Profiles grouped by blocking key, for findMatches()
+ *
+ * @returns {Map<string, object[]>}
+ */
+const indexProfiles = (profiles) => {
+  const index = new Map();
+  for (const profile of profiles) {
+    for (const key of new Set(blockingKeys(profile))) {
+      if (!index.has(key)) index.set(key, []);
+      index.get(key).push(profile);
+    }
+  }
+  return index;
+};
+
+/**
+ * Indexed profiles that look like the same person as `profile`, best first
+ *
+ * @param {object} profile - matchProfile()
+ * @param {Map} index - indexProfiles()
+ * @returns {Array<{ id, score, reasons }>}
+ */
+const findMatches = (profile, index) => {
+  const candidates = new Map();
+  for (const key of blockingKeys(profile)) {
+    for (const other of index.get(key) || []) {
+      if (other.id !== profile.id) candidates.set(other.id, other);
+    }
+  }
+
+  const minScore = getMinScore();
+  return [...candidates.values()]
+    .map((other) => ({ id: other.id, ...compareProfiles(profile, other) }))
+    .filter((match) => match.score >= minScore)
+    .sort((a, b) => b.score - a.score);
+};
+
+module.exports = { matchProfile, compareProfiles, indexProfiles, findMatches, similarity };
@@ -0,0 +1,182 @@
+// utils/nameParser.js
+// Splits a personal name as printed on a card into prefix, first, middle,
+// last and suffix.
+//
+//   "Dr. Anil Kumar Sharma"     → Dr. | Anil | Kumar | Sharma
+//   "Sharma, Anil"              → family name first because of the comma
+//   "TANAKA Hiroshi"            → family name first: upper-case surname leads
+//   "王小明" / "田中 太郎"        → family name first for CJK names
+//   "Ludwig van Beethoven, PhD" → particles stay with the family name
+
+const PREFIXES = [
+  'dr', 'prof', 'professor', 'mr', 'mrs', 'ms', 'miss', 'mx', 'sir', 'dame', 'lady', 'lord',
+  'shri', 'shree', 'sri', 'smt', 'shrimati', 'kumari', 'km', 'sushri',
+  'rev', 'fr', 'hon', 'capt', 'col', 'maj', 'gen', 'lt', 'cdr', 'brig',
+  'adv', 'engr', 'sheikh', 'haji', 'ustaz',
+];
+
+// Professional titles that are also given names ("Ca", "Er") — only taken as a
+// prefix when written with their dot ("CA. Priya Nair", "Er. Ravi Kumar")
+const DOTTED_PREFIXES = ['ca', 'cs', 'er', 'ar', 'sh'];
+
+const SUFFIXES = [
+  'jr', 'sr', 'ii', 'iii', 'iv', 'v',
+  'phd', 'ph.d', 'md', 'mba', 'cpa', 'cfa', 'fca', 'aca', 'esq', 'pmp', 'llb', 'llm', 'bsc', 'msc', 'be', 'btech', 'mtech', 'obe', 'mbe',
+];
+
+// Lower-case particles that belong to the family name
+const PARTICLES = ['van', 'von', 'der', 'den', 'de', 'del', 'della', 'di', 'da', 'du', 'la', 'le', 'bin', 'binti', 'ibn', 'al', 'el', 'st'];
+
+// Han, Hiragana, Katakana, Hangul
+const CJK_REGEX = /[぀-ヿ㐀-鿿가-힯]/;
+
+const emptyName = () => ({
+  prefix: '',
+  first_name: '',
+  middle_name: '',
+  last_name: '',
+  suffix: '',
+});
+
+const bare = (token) => token.toLowerCase().replace(/[.,]/g, '');
+
+const isPrefix = (token) => PREFIXES.includes(bare(token)) ||
+  (DOTTED_PREFIXES.includes(bare(token)) && token.endsWith('.'));
+
+const isSuffix = (token) => SUFFIXES.includes(bare(token));
+
+// Without a comma a trailing "V" is far more often an initial ("Ramesh V")
+// than the numeral
+const isInlineSuffix = (token) => isSuffix(token) && bare(token) !== 'v';
+
+const isUpperCaseWord = (token) => /^[A-Z][A-Z'-]+$/.test(token);
+
+const isCapitalized = (token) => /^[A-Z][a-z]/.test(token);
+
+const parseCjkName = (name) => {
+  const result = emptyName();
+  const parts = name.split(/\s+/).filter(Boolean);
+
+  if (parts.length > 1) {
+    result.last_name = parts[0];
+    result.first_name = parts.slice(1).join(' ');
+  } else if (name.length > 1) {
+    // Single-character family names are by far the most common
+    result.last_name = name[0];
+    result.first_name = name.slice(1);
+  } else {
+    result.first_name = name;
+  }
+  return result;
+};
+
+/**
+ * @param {string} fullName
+ * @returns {{ prefix, first_name, middle_name, last_name, suffix }}
+ */
+const parseName = (fullName) => {
+  const name = String(fullName || '').replace(/\s+/g, ' ').trim();
+  if (!name) return emptyName();
+
+  if (CJK_REGEX.test(name) && !/[a-z]/i.test(name)) return parseCjkName(name);
+
+  const result = emptyName();
+
+  // "Anil Sharma, PhD, MBA" — comma-separated suffixes
+  let [main, ...afterComma] = name.split(/\s*,\s*/);
+  const suffixes = [];
+  while (afterComma.length && afterComma[afterComma.length - 1].split(' ').every(isSuffix)) {
+    suffixes.unshift(afterComma.pop());
+  }
+
+  // "Sharma, Anil Kumar" — family name first
+  let familyFirst = false;
+  if (afterComma.length === 1) {
+    familyFirst = true;
+    main = `${afterComma[0]} ${main}`;
+  } else if (afterComma.length > 1) {
+    main = [main, ...afterComma].join(' ');
+  }
+
+  let tokens = main.split(' ').filter(Boolean);
+
+  const prefixes = [];
+  while (tokens.length > 1 && isPrefix(tokens[0])) {
+    prefixes.push(tokens.shift());
+  }
+  while (tokens.length > 1 && isInlineSuffix(tokens[tokens.length - 1])) {
+    suffixes.unshift(tokens.pop());
+  }
+
+  result.prefix = prefixes.join(' ');
+  result.suffix = suffixes.join(', ');
+
+  // "Dr. Sharma" — a title is used with the family name
+  if (tokens.length === 1) {
+    if (prefixes.length > 0) result.last_name = tokens[0];
+    else result.first_name = tokens[0];
+    return result;
+  }
+
+  // "TANAKA Hiroshi" — an all-caps first token followed by normally cased words
+  // ("Sharma, Anil" was already reordered to "Anil Sharma" above)
+  if (!familyFirst && isUpperCaseWord(tokens[0]) && tokens.slice(1).every(isCapitalized)) {
+    tokens = [...tokens.slice(1), tokens[0]];
+  }
+
+  // Family name runs from the first particle (if any) after the first token
+  let familyStart = tokens.length - 1;
+  for (let i = 1; i < tokens.length - 1; i++) {
+    if (PARTICLES.includes(tokens[i].toLowerCase())) {
+      familyStart = i;
+      break;
+    }
+  }
+
+  result.first_name = tokens[0];
+  result.middle_name = tokens.slice(1, familyStart).join(' ');
+  result.last_name = tokens.slice(familyStart).join(' ');
+  return result;
+};
+
+/**
+ * Display name from structured parts
+ */
+const formatName = (parts) => {
+  const name = [parts.prefix, parts.first_name, parts.middle_name, parts.last_name].filter(Boolean).join(' ');
+  return parts.suffix ? `${name}, ${parts.suffix}` : name;
+};
+
+/**
+ * business_cards columns for a name — explicit parts (from a user edit) win
+ * over parsed ones
+ */
+const nameColumns = (fullName, parts) => {
+  const parsed = parts ? { ...emptyName(), ...parts } : parseName(fullName);
+  return {
+    name_prefix: parsed.prefix || null,
+    first_name: parsed.first_name || null,
+    middle_name: parsed.middle_name || null,
+    last_name: parsed.last_name || null,
+    name_suffix: parsed.suffix || null,
+  };
+};
+
+/**
+ * Name parts of a stored card — falls back to parsing `name` for cards saved
+ * before the structured columns existed
+ */
+const nameParts = (card) => {
+  if (card.first_name || card.last_name) {
+    return {
+      prefix: card.name_prefix || '',
+      first_name: card.first_name || '',
+      middle_name: card.middle_name || '',
+      last_name: card.last_name || '',
+      suffix: card.name_suffix || '',
+    };
+  }
+  return parseName(card.name);
+};
+
+module.exports = { parseName, formatName, nameColumns, nameParts };
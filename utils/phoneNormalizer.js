@@ -0,0 +1,81 @@
+// utils/phoneNormalizer.js
+// Turns phone numbers as printed on cards ("Tel: (022) 2345 6789", "M +91 98xxx")
+// into E.164, inferring the country when the number has no international prefix.
+//
+// Country inference order: card address → website / email ccTLD (generic ones
+// like .io skipped) → user's default region → DEFAULT_PHONE_REGION.
+
+const { parsePhoneNumberFromString, isSupportedCountry } = require('libphonenumber-js');
+const { countryFromText } = require('./countries');
+
+// ccTLDs that differ from the ISO 3166 code
+const TLD_COUNTRIES = { uk: 'GB' };
+
+// ccTLDs sold as generic domains (acme.io, acme.co) — they say nothing about
+// where the card holder is
+const GENERIC_TLDS = new Set(['ai', 'cc', 'co', 'fm', 'gg', 'io', 'ly', 'me', 'sh', 'to', 'tv', 'ws']);
+
+// Labels printed in front of numbers
+const PHONE_LABEL_REGEX = /^\s*(?:tel(?:ephone)?|ph(?:one)?|mob(?:ile)?|cell|fax|direct|office|board|whatsapp|[mtfodph])\s*(?:\([a-z]\))?\s*[.:\-]?\s*/i;
+
+const toRegion = (value) => {
+  const region = String(value || '').trim().toUpperCase();
+  return region.length === 2 && isSupportedCountry(region) ? region : null;
+};
+
+const countryFromAddress = (address) => countryFromText(address)?.code || null;
+
+const countryFromDomain = (value) => {
+  if (!value) return null;
+  const host = String(value).toLowerCase()
+    .replace(/^mailto:/, '')
+    .replace(/^.*@/, '')
+    .replace(/^https?:\/\//, '')
+    .split(/[/?#:]/)[0];
+  const tld = host.split('.').pop();
+  if (!tld || tld.length !== 2 || GENERIC_TLDS.has(tld)) return null;
+  return toRegion(TLD_COUNTRIES[tld] || tld);
+};
+
+/**
+ * Best guess of the country a card's local numbers belong to
+ *
+ * @param {{ address, website, email, defaultRegion }} context
+ * @returns {string|null} ISO 3166-1 alpha-2 code
+ */
+const inferCountry = ({ address, website, email, defaultRegion } = {}) =>
+  countryFromAddress(address) ||
+  countryFromDomain(website) ||
+  countryFromDomain(email) ||
+  toRegion(defaultRegion) ||
+  toRegion(process.env.DEFAULT_PHONE_REGION);
+
+/**
+ * Strip labels and extensions a card prints around a number
+ */
+const cleanPhoneText = (raw) => String(raw || '')
+  .replace(PHONE_LABEL_REGEX, '')
+  .replace(/\s*(?:ext\.?|extn\.?|x)\s*\d+\s*$/i, '')
+  .replace(/^00/, '+')
+  .trim();
+
+/**
+ * @param {string} raw     - phone as printed
+ * @param {string} country - ISO code used when the number has no +prefix
+ * @returns {{ e164: string|null, country: string|null, valid: boolean }}
+ */
+const normalizePhone = (raw, country) => {
+  const cleaned = cleanPhoneText(raw);
+  if (!cleaned) return { e164: null, country: null, valid: false };
+
+  const parsed = parsePhoneNumberFromString(cleaned, toRegion(country) || undefined);
+  if (!parsed) return { e164: null, country: null, valid: false };
+
+  return {
+    e164: parsed.isPossible() ? parsed.number : null,
+    country: parsed.country || null,
+    valid: parsed.isValid(),
+  };
+};
+
+module.exports = { inferCountry, normalizePhone, cleanPhoneText };
@@ -0,0 +1,123 @@
+// utils/socialProfiles.js
+// Social handles printed on cards ("in/anil-sharma", "@anil", "WhatsApp +91 98…")
+// turned into canonical profile URLs.
+//
+//   linkedin   "linkedin.com/in/Anil-Sharma/" → https://www.linkedin.com/in/anil-sharma
+//   twitter    "@anil" / "twitter.com/anil"   → https://x.com/anil
+//   instagram  "@anil.s"                      → https://www.instagram.com/anil.s
+//   facebook   "fb.com/acme"                  → https://www.facebook.com/acme
+//   whatsapp   "+91 98200 12345"              → https://wa.me/919820012345
+
+const { normalizePhone } = require('./phoneNormalizer');
+
+const NETWORKS = {
+  linkedin:  { label: 'LinkedIn',  hosts: ['linkedin.com', 'lnkd.in'] },
+  twitter:   { label: 'X',         hosts: ['x.com', 'twitter.com'] },
+  whatsapp:  { label: 'WhatsApp',  hosts: ['wa.me', 'api.whatsapp.com', 'whatsapp.com'] },
+  instagram: { label: 'Instagram', hosts: ['instagram.com', 'instagr.am'] },
+  facebook:  { label: 'Facebook',  hosts: ['facebook.com', 'fb.com', 'fb.me'] },
+};
+
+const hostOf = (value) => String(value || '').toLowerCase().trim()
+  .replace(/^[a-z]+:\/\//, '')
+  .split(/[/?#]/)[0]
+  .replace(/^www\./, '');
+
+// "linkedin.com/in/x", "https://x.com/y" — as opposed to a bare handle
+const looksLikeUrl = (value) => /^(?:[a-z]+:\/\/)?(?:[\w-]+\.)+[a-z]{2,}(?:[/?#]|$)/i.test(String(value || '').trim());
+
+/**
+ * Network a profile URL belongs to
+ *
+ * @returns {string|null} key of NETWORKS
+ */
+const detectNetwork = (value) => {
+  if (!looksLikeUrl(value)) return null;
+  const host = hostOf(value);
+  return Object.keys(NETWORKS).find((network) =>
+    NETWORKS[network].hosts.some((h) => host === h || host.endsWith(`.${h}`))
+  ) || null;
+};
+
+// Path of a URL on a known host, or the bare handle without "@"
+const pathOf = (value) => {
+  const text = String(value || '').trim();
+  if (detectNetwork(text)) {
+    return text.replace(/^[a-z]+:\/\//i, '').replace(/^[^/]+/, '').replace(/[?#].*$/, '');
+  }
+  return text.replace(/^@/, '');
+};
+
+const firstSegment = (path) => path.replace(/^\/+/, '').split('/')[0] || '';
+
+/**
+ * @param {string} network - key of NETWORKS
+ * @param {string} value   - handle or URL as printed
+ * @param {string} country - ISO code for WhatsApp numbers without a +prefix
+ * @returns {string|null} canonical profile URL, null when the value cannot be read
+ */
+const canonicalProfileUrl = (network, value, country) => {
+  const path = pathOf(value);
+  if (!path) return null;
+
+  switch (network) {
+    case 'linkedin': {
+      // lnkd.in short links cannot be resolved offline
+      if (hostOf(value) === 'lnkd.in') return `https://lnkd.in/${firstSegment(path)}`;
+      const match = path.match(/^\/?(in|company|school|pub)\/([^/]+)/i);
+      const section = match ? match[1].toLowerCase() : 'in';
+      const slug = match ? match[2] : firstSegment(path);
+      if (!/^[\w%.-]+$/.test(slug)) return null;
+      return `https://www.linkedin.com/${section}/${slug.toLowerCase()}`;
+    }
+
+    case 'twitter':
+    case 'instagram':
+    case 'facebook': {
+      const handle = firstSegment(path).replace(/^@/, '');
+      if (!/^[\w.-]+$/.test(handle)) return null;
+      if (network === 'twitter') return `https://x.com/${handle}`;
+      if (network === 'instagram') return `https://www.instagram.com/${handle.toLowerCase()}`;
+      return `https://www.facebook.com/${handle}`;
+    }
+
+    case 'whatsapp': {
+      // wa.me/919820012345, api.whatsapp.com/send?phone=919820012345 or a number
+      const phoneParam = String(value).match(/[?&]phone=(\d+)/);
+      const digits = phoneParam ? `+${phoneParam[1]}` : path.replace(/^\/+/, '');
+      const number = /^\d{8,15}$/.test(digits) && detectNetwork(value) ? `+${digits}` : digits;
+      const { e164 } = normalizePhone(number, country);
+      return e164 ? `https://wa.me/${e164.slice(1)}` : null;
+    }
+
+    default:
+      return null;
+  }
+};
+
+/**
+ * Handle as shown to people: "@anil", "in/anil-sharma", "+919820012345"
+ */
+const displayHandle = (network, url) => {
+  if (!url) return '';
+  const path = url.replace(/^https:\/\/[^/]+\//, '');
+  if (network === 'whatsapp') return `+${path}`;
+  if (network === 'linkedin') return path;
+  return `@${path}`;
+};
+
+/**
+ * One profile URL per network from a card's `socials` contact points
+ * (first entry wins) — used for merge tags
+ *
+ * @returns {{ linkedin, twitter, whatsapp, instagram, facebook }}
+ */
+const profileLinks = (socials = []) => {
+  const links = Object.fromEntries(Object.keys(NETWORKS).map((network) => [network, '']));
+  for (const social of socials) {
+    if (links[social.type] === '') links[social.type] = social.normalized_value || social.value;
+  }
+  return links;
+};
+
+module.exports = { NETWORKS, detectNetwork, canonicalProfileUrl, displayHandle, profileLinks };
@@ -0,0 +1,328 @@
+// utils/vcardParser.js
+// Reads contact payloads found in card QR codes — vCard 2.1 / 3.0 / 4.0,
+// MeCard and BIZCARD — into the same shape the extraction providers return.
+
+const { formatAddress } = require('./addressParser');
+const { formatName } = require('./nameParser');
+const { NETWORKS, detectNetwork } = require('./socialProfiles');
+
+// Hosts whose URLs are personal profiles rather than a company website;
+// links on the social networks of utils/socialProfiles become socials instead
+const PROFILE_HOSTS = ['github.com', 'youtube.com', 't.me', 'calendly.com', 'medium.com'];
+
+const emptyData = () => ({
+  name: '', email: '', phone: '',
+  company: '', job_title: '',
+  address: '', address_parts: null,
+  website: '',
+  name_parts: null,
+  phones: [], emails: [], websites: [], socials: [],
+});
+
+const isProfileUrl = (url) => {
+  const host = String(url).toLowerCase().replace(/^[a-z]+:\/\//, '').split(/[/?#]/)[0].replace(/^www\./, '');
+  return PROFILE_HOSTS.some((profileHost) => host === profileHost || host.endsWith(`.${profileHost}`));
+};
+
+const withScheme = (url) => (/^[a-z][a-z\d+.-]*:\/\//i.test(url) ? url : `https://${url}`);
+
+/**
+ * A URL from a card → `socials` entry for a known network, else a `websites` entry
+ */
+const addLink = (data, url, websiteType) => {
+  const network = detectNetwork(url);
+  if (network) {
+    data.socials.push({ value: withScheme(url), type: network });
+  } else {
+    data.websites.push({ value: withScheme(url), type: isProfileUrl(url) ? 'profile' : websiteType });
+  }
+};
+
+/**
+ * Card data for a QR code that holds only a link
+ */
+const urlCard = (url) => {
+  const data = emptyData();
+  addLink(data, url.trim(), 'profile');
+  return data;
+};
+
+// ─────────────────────────────────────────────────────────────────────────────
+// vCard
+// ─────────────────────────────────────────────────────────────────────────────
+
+const unescapeValue = (value) => value.replace(/\\([nN,;:\\])/g, (match, char) => (char.toLowerCase() === 'n' ? '\n' : char));
+
+// Split a structured value (N, ADR, ORG) on unescaped semicolons
+const splitComponents = (value) => value.split(/(?<!\\);/).map((part) => unescapeValue(part).trim());
+
+const decodeQuotedPrintable = (value, charset) => {
+  const bytes = [];
+  const text = value.replace(/=\r?\n/g, '');
+  for (let i = 0; i < text.length; i++) {
+    if (text[i] === '=' && /^[\da-f]{2}$/i.test(text.slice(i + 1, i + 3))) {
+      bytes.push(parseInt(text.slice(i + 1, i + 3), 16));
+      i += 2;
+    } else {
+      bytes.push(text.charCodeAt(i));
+    }
+  }
+  const encoding = /^(?:iso-8859-1|latin1)$/i.test(charset || '') ? 'latin1' : 'utf8';
+  return Buffer.from(bytes).toString(encoding);
+};
+
+/**
+ * Unfold continuation lines (RFC 6350 §3.2) and quoted-printable soft breaks
+ */
+const unfold = (text) => text
+  .replace(/\r\n/g, '\n')
+  .replace(/=\n(?=.)/g, '=\u0000')
+  .replace(/\n[ \t]/g, '')
+  .split('\n')
+  .map((line) => line.replace(/=\u0000/g, '=\n'))
+  .filter((line) => line.trim());
+
+/**
+ * One content line → { name, params: { TYPE: [...], ... }, value }
+ */
+const parseLine = (line) => {
+  const colon = line.search(/:(?=(?:[^"]*"[^"]*")*[^"]*$)/);
+  if (colon < 0) return null;
+
+  const [rawName, ...rawParams] = line.slice(0, colon).split(';');
+  const name = rawName.replace(/^.*\./, '').toUpperCase();
+  const params = {};
+
+  for (const param of rawParams) {
+    const [key, val] = param.includes('=') ? param.split(/=(.*)/s) : ['TYPE', param];
+    const upperKey = key.trim().toUpperCase();
+    // vCard 2.1 bare parameters: TEL;WORK;VOICE, ADR;QUOTED-PRINTABLE
+    const normalizedKey = upperKey === 'TYPE' && /^(?:QUOTED-PRINTABLE|BASE64|B)$/i.test(val) ? 'ENCODING' : upperKey;
+    params[normalizedKey] = [
+      ...(params[normalizedKey] || []),
+      ...val.replace(/"/g, '').split(',').map((v) => v.trim().toLowerCase()).filter(Boolean),
+    ];
+  }
+
+  let value = line.slice(colon + 1);
+  if ((params.ENCODING || []).includes('quoted-printable')) {
+    value = decodeQuotedPrintable(value, params.CHARSET?.[0]);
+  }
+
+  return { name, params, value };
+};
+
+const TEL_TYPE_ORDER = ['fax', 'cell', 'mobile', 'iphone', 'home', 'work', 'main', 'voice'];
+
+const telType = (types) => {
+  const type = TEL_TYPE_ORDER.find((t) => types.includes(t));
+  if (!type) return null;
+  if (type === 'cell' || type === 'iphone') return 'mobile';
+  if (type === 'voice') return 'work';
+  return type;
+};
+
+const isPreferred = (params) => (params.TYPE || []).includes('pref') || Boolean(params.PREF);
+
+// vCard 4.0 writes TEL as a URI: "tel:+91-22-1234-5678;ext=12"
+const telValue = (value) => unescapeValue(value).replace(/^tel:/i, '').replace(/;ext=/i, ' ext ').trim();
+
+/**
+ * @param {string} text - BEGIN:VCARD … END:VCARD (the first card if several)
+ * @returns {object|null} card data, null when the text holds no vCard
+ */
+const parseVCard = (text) => {
+  const body = String(text || '').match(/BEGIN:VCARD([\s\S]*?)END:VCARD/i);
+  if (!body) return null;
+
+  const data = emptyData();
+  let fullName = '';
+  let addressFound = false;
+
+  for (const line of unfold(body[1])) {
+    const parsed = parseLine(line);
+    if (!parsed) continue;
+    const { name, params, value } = parsed;
+    const types = params.TYPE || [];
+
+    switch (name) {
+      case 'FN':
+        fullName = unescapeValue(value).trim();
+        break;
+
+      case 'N': {
+        const [last = '', first = '', middle = '', prefix = '', suffix = ''] = splitComponents(value);
+        data.name_parts = { prefix, first_name: first, middle_name: middle, last_name: last, suffix };
+        break;
+      }
+
+      case 'ORG':
+        data.company = splitComponents(value).filter(Boolean)[0] || '';
+        break;
+
+      case 'TITLE':
+        data.job_title = unescapeValue(value).trim();
+        break;
+
+      case 'ROLE':
+        data.job_title = data.job_title || unescapeValue(value).trim();
+        break;
+
+      case 'TEL':
+        data.phones.push({ value: telValue(value), type: telType(types), is_primary: isPreferred(params) });
+        break;
+
+      case 'EMAIL':
+        data.emails.push({
+          value: unescapeValue(value).replace(/^mailto:/i, '').trim(),
+          type: types.includes('home') ? 'personal' : 'work',
+          is_primary: isPreferred(params),
+        });
+        break;
+
+      case 'URL':
+        addLink(data, unescapeValue(value).trim(), types.includes('home') ? 'personal' : 'work');
+        break;
+
+      // X-SOCIALPROFILE;TYPE=linkedin:https://… (Apple), 4.0 IMPP:whatsapp:+91…
+      case 'X-SOCIALPROFILE':
+      case 'IMPP': {
+        const handle = unescapeValue(value).trim();
+        const scheme = handle.match(/^([a-z-]+):(?!\/\/)/i)?.[1].toLowerCase();
+        const network = [...types, scheme].find((t) => NETWORKS[t]) || detectNetwork(handle);
+        if (network) {
+          data.socials.push({ value: scheme ? handle.slice(scheme.length + 1) : handle, type: network });
+        } else if (name === 'X-SOCIALPROFILE') {
+          addLink(data, handle, 'profile');
+        }
+        break;
+      }
+
+      case 'ADR': {
+        // Only the first (or preferred) address — a card has one printed address
+        if (addressFound && !isPreferred(params)) break;
+        const [poBox = '', extended = '', street = '', city = '', region = '', postalCode = '', country = ''] = splitComponents(value);
+        data.address_parts = {
+          street: [poBox, extended, street].filter(Boolean).join(', ').replace(/\n/g, ', '),
+          city,
+          region,
+          postal_code: postalCode,
+          country,
+        };
+        data.address = formatAddress(data.address_parts);
+        addressFound = true;
+        break;
+      }
+
+      default:
+        break;
+    }
+  }
+
+  data.name = fullName || (data.name_parts ? formatName(data.name_parts) : '');
+
+  // Scalar primary values: the preferred entry, else the first
+  data.phone = (data.phones.find((p) => p.is_primary) || data.phones[0])?.value || '';
+  data.email = (data.emails.find((e) => e.is_primary) || data.emails[0])?.value || '';
+  data.website = data.websites.find((w) => w.type !== 'profile')?.value || '';
+
+  return data;
+};
+
+// ─────────────────────────────────────────────────────────────────────────────
+// MeCard / BIZCARD
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * "MECARD:N:Sharma,Anil;TEL:+91…;;" → [['N', 'Sharma,Anil'], ['TEL', '+91…']]
+ */
+const splitFields = (body) => {
+  const fields = [];
+  for (const field of body.split(/(?<!\\);/)) {
+    const match = field.match(/^([A-Z-]+):([\s\S]*)$/i);
+    if (match) fields.push([match[1].toUpperCase(), match[2].replace(/\\([;:,\\])/g, '$1').trim()]);
+  }
+  return fields;
+};
+
+/**
+ * @param {string} text - MECARD:… or BIZCARD:…
+ * @returns {object|null} card data, null for any other text
+ */
+const parseMeCard = (text) => {
+  const match = String(text || '').trim().match(/^(MECARD|BIZCARD):([\s\S]*)$/i);
+  if (!match) return null;
+
+  const data = emptyData();
+  const bizcard = match[1].toUpperCase() === 'BIZCARD';
+  const nameParts = { prefix: '', first_name: '', middle_name: '', last_name: '', suffix: '' };
+
+  for (const [key, value] of splitFields(match[2])) {
+    if (!value) continue;
+
+    if (bizcard) {
+      if (key === 'N') nameParts.first_name = value;
+      else if (key === 'X') nameParts.last_name = value;
+      else if (key === 'T') data.job_title = value;
+      else if (key === 'C') data.company = value;
+      else if (key === 'A') data.address = value;
+      else if (key === 'B') data.phones.push({ value, type: 'work' });
+      else if (key === 'M') data.phones.push({ value, type: 'mobile' });
+      else if (key === 'F') data.phones.push({ value, type: 'fax' });
+      else if (key === 'E') data.emails.push({ value, type: 'work' });
+      continue;
+    }
+
+    if (key === 'N') {
+      // "Last,First" — MeCard puts the family name first
+      const [last, first = ''] = value.split(',').map((part) => part.trim());
+      nameParts.last_name = first ? last : '';
+      nameParts.first_name = first || last;
+    } else if (key === 'TEL') {
+      data.phones.push({ value, type: null });
+    } else if (key === 'EMAIL') {
+      data.emails.push({ value, type: 'work' });
+    } else if (key === 'URL') {
+      addLink(data, value, 'work');
+    } else if (key === 'ADR') {
+      data.address = value.replace(/\s*,\s*/g, ', ');
+    } else if (key === 'ORG') {
+      data.company = value;
+    } else if (key === 'TITLE') {
+      data.job_title = value;
+    }
+  }
+
+  if (nameParts.first_name || nameParts.last_name) {
+    data.name_parts = nameParts;
+    data.name = formatName(nameParts);
+  }
+  data.phone = data.phones[0]?.value || '';
+  data.email = data.emails[0]?.value || '';
+  data.website = data.websites.find((w) => w.type !== 'profile')?.value || '';
+
+  return data;
+};
+
+/**
+ * Classify a decoded QR / barcode payload
+ *
+ * @returns {{ kind: 'vcard'|'mecard'|'url'|'text', data: object|null }}
+ */
+const parseContactPayload = (text) => {
+  const payload = String(text || '').trim();
+
+  const vcard = parseVCard(payload);
+  if (vcard) return { kind: 'vcard', data: vcard };
+
+  const mecard = parseMeCard(payload);
+  if (mecard) return { kind: 'mecard', data: mecard };
+
+  if (/^(?:https?:\/\/|www\.)\S+$/i.test(payload)) {
+    return { kind: 'url', data: urlCard(payload) };
+  }
+
+  return { kind: 'text', data: null };
+};
+
+module.exports = { parseVCard, parseMeCard, parseContactPayload, isProfileUrl };
@@ -0,0 +1,161 @@
+// utils/vcardWriter.js
+// Writes a stored card as a vCard 3.0 (RFC 2426) or 4.0 (RFC 6350) — the
+// export counterpart of utils/vcardParser. Output is UTF-8 with CRLF line
+// endings, lines folded at 75 octets without splitting a multi-byte character.
+
+const { NETWORKS } = require('./socialProfiles');
+
+const VERSIONS = ['3.0', '4.0'];
+
+// Contact point type → vCard TYPE parameter values
+const PHONE_TYPES = {
+  mobile: ['cell', 'voice'],
+  work: ['work', 'voice'],
+  home: ['home', 'voice'],
+  fax: ['work', 'fax'],
+  main: ['work', 'voice'],
+  other: ['voice'],
+};
+const EMAIL_TYPES = { work: ['work'], personal: ['home'], other: [] };
+const URL_TYPES = { work: ['work'], personal: ['home'], profile: [], other: [] };
+
+const MAX_LINE_OCTETS = 75;
+
+/**
+ * Escape a text value — `\`, `,`, `;` and newlines
+ */
+const escapeText = (value) => String(value ?? '')
+  .replace(/\\/g, '\\\\')
+  .replace(/,/g, '\\,')
+  .replace(/;/g, '\\;')
+  .replace(/\r\n|\r|\n/g, '\\n');
+
+/**
+ * Fold a content line: continuation lines start with a space, and no line
+ * (CRLF excluded) is longer than 75 octets of UTF-8
+ */
+const foldLine = (line) => {
+  const lines = [];
+  let current = '';
+  let octets = 0;
+
+  for (const char of line) {
+    const size = Buffer.byteLength(char, 'utf8');
+    const limit = lines.length === 0 ? MAX_LINE_OCTETS : MAX_LINE_OCTETS - 1;
+    if (octets + size > limit) {
+      lines.push(current);
+      current = '';
+      octets = 0;
+    }
+    current += char;
+    octets += size;
+  }
+  lines.push(current);
+
+  return lines.join('\r\n ');
+};
+
+const typeParam = (types, version, primary) => {
+  const values = [...types];
+  if (primary && version === '3.0') values.push('pref');
+  const params = values.length > 0 ? [`TYPE=${version === '3.0' ? values.map((v) => v.toUpperCase()).join(',') : values.join(',')}`] : [];
+  if (primary && version === '4.0') params.push('PREF=1');
+  return params;
+};
+
+const property = (name, params, value) => foldLine([name, ...params].join(';') + ':' + value);
+
+// The card's list of one kind, falling back to the single primary column for cards without contact points
+const listOf = (card, list, column) => {
+  if (Array.isArray(card[list]) && card[list].length > 0) return card[list];
+  return card[column] ? [{ value: card[column], type: 'work', is_primary: true }] : [];
+};
+
+/**
+ * @param {object} card - business_cards row with contact points (and optionally tags) attached
+ * @param {object} options
+ * @param {string} options.version - 3.0 (default) or 4.0
+ * @param {{ data: Buffer, mediaType: string }} [options.photo] - embedded as PHOTO
+ * @param {string} [options.eventName] - added to the note
+ * @returns {string} one vCard, CRLF line endings
+ */
+const toVCard = (card, { version = '3.0', photo = null, eventName = null } = {}) => {
+  if (!VERSIONS.includes(version)) throw new Error(`Unsupported vCard version ${version}`);
+
+  const lines = ['BEGIN:VCARD', `VERSION:${version}`];
+  const name = card.name || card.company || card.email || '';
+
+  lines.push(property('FN', [], escapeText(name)));
+  lines.push(property('N', [], [
+    card.last_name, card.first_name, card.middle_name, card.name_prefix, card.name_suffix
+  ].map(escapeText).join(';')));
+
+  if (card.company) lines.push(property('ORG', [], escapeText(card.company)));
+  if (card.job_title) lines.push(property('TITLE', [], escapeText(card.job_title)));
+
+  for (const phone of listOf(card, 'phones', 'phone')) {
+    const types = PHONE_TYPES[phone.type] || PHONE_TYPES.other;
+    if (version === '4.0') {
+      const number = phone.normalized_value || phone.value;
+      lines.push(property('TEL', [...typeParam(types, version, phone.is_primary), 'VALUE=uri'],
+        `tel:${String(number).replace(/\s+/g, '')}`));
+    } else {
+      lines.push(property('TEL', typeParam(types, version, phone.is_primary), escapeText(phone.value)));
+    }
+  }
+
+  for (const email of listOf(card, 'emails', 'email')) {
+    const types = version === '3.0' ? ['internet', ...(EMAIL_TYPES[email.type] || [])] : EMAIL_TYPES[email.type] || [];
+    lines.push(property('EMAIL', typeParam(types, version, email.is_primary), escapeText(email.value)));
+  }
+
+  for (const website of listOf(card, 'websites', 'website')) {
+    lines.push(property('URL', typeParam(URL_TYPES[website.type] || [], version, false), website.value));
+  }
+
+  for (const social of card.socials || []) {
+    const network = NETWORKS[social.type];
+    lines.push(property('X-SOCIALPROFILE', network ? [`TYPE=${network.label.toLowerCase()}`] : [], social.value));
+  }
+
+  const hasAddressParts = ['address_street', 'address_city', 'address_region', 'address_postal_code', 'address_country']
+    .some((column) => card[column]);
+  if (hasAddressParts || card.address) {
+    // Without parsed parts the whole address goes in the street component
+    const parts = hasAddressParts
+      ? [card.address_street, card.address_city, card.address_region, card.address_postal_code, card.address_country]
+      : [card.address, '', '', '', ''];
+    const params = typeParam(['work'], version, false);
+    if (version === '4.0' && card.address) params.push(`LABEL="${String(card.address).replace(/["\r\n]+/g, ' ')}"`);
+    lines.push(property('ADR', params, ['', '', ...parts].map(escapeText).join(';')));
+  }
+
+  if (Array.isArray(card.tags) && card.tags.length > 0) {
+    lines.push(property('CATEGORIES', [], card.tags.map((tag) => escapeText(tag.name)).join(',')));
+  }
+
+  const note = [card.notes, eventName ? `Met at: ${eventName}` : null].filter(Boolean).join('\n\n');
+  if (note) lines.push(property('NOTE', [], escapeText(note)));
+
+  if (photo) {
+    const base64 = photo.data.toString('base64');
+    lines.push(version === '4.0'
+      ? property('PHOTO', [], `data:${photo.mediaType};base64,${base64}`)
+      : property('PHOTO', ['ENCODING=b', `TYPE=${photo.mediaType.split('/')[1].toUpperCase()}`], base64));
+  }
+
+  if (card.updated_at) {
+    const rev = new Date(card.updated_at).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+    lines.push(`REV:${rev}`);
+  }
+
+  lines.push('END:VCARD');
+  return lines.join('\r\n') + '\r\n';
+};
+
+module.exports = {
+  VERSIONS,
+  toVCard,
+  escapeText,
+  foldLine,
+};